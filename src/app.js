@@ -6,8 +6,8 @@
  * and a Python backend service. The server handles:
  * - CORS configuration for cross-origin requests
  * - Request body parsing with size limits
- * - Static file serving for audio recordings
  * - Route registration
+ * - WebSocket upgrades for streaming transcription
  * - Error handling middleware
  * - Graceful shutdown handling
  * 
@@ -17,22 +17,46 @@
 
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const config = require('./config');
 const logger = require('./utils/logger');
 const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
+const { trackInFlight } = require('./middleware/inFlight');
+const httpMetrics = require('./middleware/metrics');
+const requestId = require('./middleware/requestId');
+const accessLog = require('./middleware/accessLog');
+const streamService = require('./services/streamService');
 
 // Initialize Express application
 const app = express();
 
+// Trust X-Forwarded-For from a reverse proxy so req.ip is the real client IP
+if (config.server.trustProxy) {
+  app.set('trust proxy', true);
+}
+
+// Assign every request an X-Request-Id for log correlation
+app.use(requestId);
+
+// Write an access log line per request (uses the request ID)
+app.use(accessLog);
+
+// Count in-flight requests for the /health report
+app.use(trackInFlight);
+
+// Record request counts and latency for /metrics
+if (config.metrics.enabled) {
+  app.use(httpMetrics);
+}
+
 // Configure CORS (Cross-Origin Resource Sharing) middleware
 // Allows requests from configured origins with credentials support
 app.use(cors({
   origin: config.cors.origin === '*' ? '*' : config.cors.origin.split(','),
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Request-Id', 'Idempotency-Key', 'Upload-Offset', 'Upload-Checksum'],
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Request-Id', 'X-Cache', 'Idempotent-Replayed', 'Location', 'Upload-Offset', 'Upload-Length']
 }));
 
 // Configure body parsing middleware
@@ -40,14 +64,6 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serve audio files statically if audio saving is enabled
-// This allows clients to access saved audio recordings via HTTP
-if (config.audio.saveAudioFiles) {
-  const audioStoragePath = path.resolve(config.audio.storageDir);
-  app.use('/audio', express.static(audioStoragePath));
-  logger.info(`Serving audio files from: ${audioStoragePath}`);
-}
-
 // Register application routes
 app.use(routes);
 
@@ -67,8 +83,15 @@ app.use((req, res) => {
 const server = app.listen(config.server.port, config.server.host, () => {
   logger.info(`${config.app.name} v${config.app.version} started`);
   logger.info(`Server running on http://${config.server.host}:${config.server.port}`);
-  logger.info(`Python backend URL: ${config.pythonBackend.url}`);
+  logger.info(`Python backend URLs: ${config.pythonBackend.urls.join(', ')} (${config.pythonBackend.strategy})`);
   logger.info(`Environment: ${config.env}`);
+  logger.info(`API key authentication: ${config.auth.enabled ? 'enabled' : 'disabled'}`);
+});
+
+// Route WebSocket upgrade requests (streaming transcription) through the app,
+// so they pass the same middleware as HTTP requests
+server.on('upgrade', (req, socket, head) => {
+  streamService.routeUpgrade(app, req, socket, head);
 });
 
 /**
@@ -80,6 +103,10 @@ const server = app.listen(config.server.port, config.server.host, () => {
  */
 const gracefulShutdown = () => {
   logger.info('Shutting down server...');
+
+  // End open streams; their pending windows are transcribed and recordings saved
+  streamService.closeAll();
+
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -8,9 +8,18 @@
  * Configuration sections:
  * - env: Application environment (development, production, etc.)
  * - server: HTTP server host and port settings
- * - pythonBackend: Python backend service URL
- * - audio: Audio file storage and processing settings
- * - logging: Logging level and file path
+ * - pythonBackend: Python backend service URLs, load balancing, health checks, retries, circuit breaker,
+ *   concurrency limit and transcription queue
+ * - audio: Audio file storage (local or S3), processing and retention settings
+ * - stream: WebSocket streaming transcription settings
+ * - jobs: Asynchronous transcription job queue settings
+ * - uploads: Resumable upload settings
+ * - cache: Backend result cache settings
+ * - idempotency: Idempotency-Key settings
+ * - auth: API key authentication settings
+ * - rateLimit: Per-client rate limits for backend routes
+ * - metrics: Prometheus metrics endpoint
+ * - logging: Logging level, log sinks and access log
  * - cors: Cross-origin resource sharing settings
  * - app: Application metadata (name, version)
  * 
@@ -18,8 +27,15 @@
  */
 
 require('dotenv').config();
+const os = require('os');
 const path = require('path');
 
+// Python backend base URLs (PYTHON_BACKEND_URL accepts a comma-separated list)
+const pythonBackendUrls = (process.env.PYTHON_BACKEND_URL || 'http://localhost:8000')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
 /**
  * Application Configuration Object
  * 
@@ -33,27 +49,172 @@ const config = {
   // HTTP server configuration
   server: {
     host: process.env.SERVER_HOST || '0.0.0.0', // Listen on all interfaces
-    port: parseInt(process.env.SERVER_PORT || '3000', 10)
+    port: parseInt(process.env.SERVER_PORT || '3000', 10),
+    trustProxy: process.env.TRUST_PROXY === 'true' // Use X-Forwarded-For for client IPs when behind a reverse proxy
   },
   
   // Python backend service configuration
   pythonBackend: {
-    url: process.env.PYTHON_BACKEND_URL || 'http://localhost:8000'
+    url: pythonBackendUrls[0], // First configured backend
+    urls: pythonBackendUrls, // All configured backends
+    strategy: process.env.PYTHON_BACKEND_STRATEGY || 'round-robin', // Backend selection: 'round-robin' or 'least-outstanding'
+    timeoutMs: parseInt(process.env.PYTHON_BACKEND_TIMEOUT_MS || '300000', 10), // Request timeout (5 minutes for transcription operations)
+    healthCheckIntervalMs: parseInt(process.env.PYTHON_BACKEND_HEALTH_INTERVAL_MS || '10000', 10), // Interval between backend health checks (0 disables)
+    healthCheckTimeoutMs: parseInt(process.env.PYTHON_BACKEND_HEALTH_TIMEOUT_MS || '5000', 10), // Timeout for each backend health check
+    retryAttempts: parseInt(process.env.PYTHON_BACKEND_RETRY_ATTEMPTS || '2', 10), // Retries for transient network errors
+    retryBaseDelayMs: parseInt(process.env.PYTHON_BACKEND_RETRY_DELAY_MS || '200', 10), // Delay before the first retry, doubled for each further retry
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || '5', 10), // Consecutive failures that open a backend's breaker
+      resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS || '30000', 10), // Time a breaker stays open before trial requests
+      halfOpenMaxRequests: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_REQUESTS || '1', 10) // Trial requests allowed at once while half-open
+    },
+    maxConcurrency: parseInt(process.env.PYTHON_BACKEND_MAX_CONCURRENCY || '4', 10), // Transcriptions each backend runs at once, further ones are queued (0 disables the limit)
+    queue: {
+      maxSize: parseInt(process.env.BACKEND_QUEUE_MAX_SIZE || '100', 10), // Transcriptions that may wait for a backend before new ones are rejected with 503
+      timeoutMs: parseInt(process.env.BACKEND_QUEUE_TIMEOUT_MS || '120000', 10), // Longest a transcription waits for a backend before failing with 503
+      tiers: (process.env.BACKEND_QUEUE_TIERS || 'premium,standard') // API key tiers in priority order; keys without a known tier use the last
+        .split(',')
+        .map(tier => tier.trim())
+        .filter(Boolean)
+    }
   },
   
   // Audio file handling configuration
   audio: {
-    storageDir: process.env.AUDIO_STORAGE_DIR || './audio_recordings', // Directory to save audio files
+    storageDriver: process.env.AUDIO_STORAGE_DRIVER || 'local', // Where recordings are stored: 'local' (AUDIO_STORAGE_DIR) or 's3'
+    storageDir: process.env.AUDIO_STORAGE_DIR || './audio_recordings', // Directory to save audio files (local driver)
     saveAudioFiles: process.env.SAVE_AUDIO_FILES !== 'false', // Whether to save uploaded audio files
     mp3Bitrate: process.env.AUDIO_MP3_BITRATE || '192k', // MP3 bitrate for audio processing
+    transcodeToMp3: process.env.AUDIO_TRANSCODE_MP3 !== 'false', // Convert saved audio to MP3 (keeps original format if disabled or ffmpeg is missing)
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg', // Path to the ffmpeg binary used for transcoding
+    ffmpegTimeoutMs: parseInt(process.env.FFMPEG_TIMEOUT_MS || '120000', 10), // Kill ffmpeg runs that take longer than this (0 disables)
     maxFileSizeMB: parseInt(process.env.MAX_FILE_SIZE_MB || '500', 10), // Maximum audio file size in MB
-    maxDurationSeconds: parseInt(process.env.MAX_AUDIO_DURATION_SECONDS || '60', 10) // Maximum audio duration in seconds
+    uploadTempDir: process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'stt-proxy-uploads'), // Directory where uploads are written while they are processed
+    maxDurationSeconds: parseInt(process.env.MAX_AUDIO_DURATION_SECONDS || '60', 10), // Maximum audio duration in seconds (0 disables the check)
+    durationLimitMode: process.env.AUDIO_DURATION_LIMIT_MODE || 'reject', // What to do with over-length audio: 'reject' or 'truncate'
+    index: {
+      file: process.env.RECORDINGS_INDEX_FILE || './data/recordings-index.jsonl', // Append-only log of the recording metadata index (rebuilt from storage if missing)
+      rebuildIntervalMinutes: parseFloat(process.env.RECORDINGS_INDEX_REBUILD_INTERVAL_MINUTES || '0') // Interval between full index rebuilds from storage (0 disables)
+    },
+    retention: {
+      maxAgeDays: parseFloat(process.env.RETENTION_MAX_AGE_DAYS || '0'), // Delete recordings older than this many days (0 disables)
+      maxStorageMB: parseFloat(process.env.RETENTION_MAX_STORAGE_MB || '0'), // Delete oldest recordings while their total size exceeds this (0 disables)
+      maxCount: parseInt(process.env.RETENTION_MAX_COUNT || '0', 10), // Delete oldest recordings while there are more than this many (0 disables)
+      sweepIntervalMinutes: parseFloat(process.env.RETENTION_SWEEP_INTERVAL_MINUTES || '60') // Interval between retention sweeps (0 disables the sweeper)
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET || '', // Bucket holding recordings (s3 driver)
+      prefix: process.env.S3_PREFIX || '', // Key prefix for recordings inside the bucket
+      region: process.env.S3_REGION || 'us-east-1', // Bucket region
+      endpoint: process.env.S3_ENDPOINT || '', // Custom endpoint for S3-compatible services such as MinIO
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // Path-style bucket URLs (needed by most S3-compatible services)
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || '', // Access key (default AWS credential chain when empty)
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '', // Secret key for S3_ACCESS_KEY_ID
+      presignedUrls: process.env.S3_PRESIGNED_URLS === 'true', // Redirect /audio requests to presigned URLs instead of streaming through the proxy
+      presignedUrlExpirySeconds: parseInt(process.env.S3_PRESIGNED_URL_EXPIRY_SECONDS || '900', 10) // Lifetime of presigned URLs
+    }
+  },
+  
+  // Streaming transcription (WebSocket /v1/stream) configuration
+  stream: {
+    enabled: process.env.STREAM_ENABLED !== 'false', // Accept streaming transcription over WebSocket on /v1/stream
+    defaultSampleRate: parseInt(process.env.STREAM_DEFAULT_SAMPLE_RATE || '16000', 10), // Sample rate of the streamed PCM when the client doesn't send sample_rate
+    chunking: process.env.STREAM_CHUNKING || 'vad', // How audio is cut into windows for the backend: 'vad' (at pauses) or 'fixed'
+    windowSeconds: parseFloat(process.env.STREAM_WINDOW_SECONDS || '5'), // Window length for fixed chunking
+    maxWindowSeconds: parseFloat(process.env.STREAM_MAX_WINDOW_SECONDS || '15'), // Longest window; VAD windows are cut here even without a pause
+    vadSilenceMs: parseInt(process.env.STREAM_VAD_SILENCE_MS || '600', 10), // Pause length that ends a window with VAD chunking
+    vadThreshold: parseInt(process.env.STREAM_VAD_THRESHOLD || '500', 10), // RMS level of 16-bit samples above which a frame counts as speech
+    maxDurationSeconds: parseInt(process.env.STREAM_MAX_DURATION_SECONDS || '600', 10), // Maximum audio per stream in seconds (0 disables)
+    idleTimeoutSeconds: parseInt(process.env.STREAM_IDLE_TIMEOUT_SECONDS || '30', 10) // End streams that send nothing for this long (0 disables)
+  },
+  
+  // Asynchronous transcription job configuration
+  jobs: {
+    storageDir: process.env.JOBS_STORAGE_DIR || './data/jobs', // Directory where jobs and their pending audio are persisted
+    concurrency: parseInt(process.env.JOBS_CONCURRENCY || '2', 10), // Number of jobs sent to the backend at the same time
+    maxQueueSize: parseInt(process.env.JOBS_MAX_QUEUE_SIZE || '100', 10), // Maximum number of queued jobs before new jobs are rejected
+    retentionHours: parseInt(process.env.JOBS_RETENTION_HOURS || '24', 10), // How long finished jobs remain available
+    callbackTimeoutMs: parseInt(process.env.JOBS_CALLBACK_TIMEOUT_MS || '10000', 10), // Timeout for each callback request
+    callbackAttempts: parseInt(process.env.JOBS_CALLBACK_ATTEMPTS || '3', 10), // Number of attempts to deliver a callback
+    callbackAllowedHosts: (process.env.JOBS_CALLBACK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean) // Only accept callbacks to these hosts (any address); empty allows any public host
+  },
+  
+  // Resumable upload configuration
+  uploads: {
+    storageDir: process.env.UPLOADS_STORAGE_DIR || './data/uploads', // Directory where resumable uploads and their partial data are persisted
+    expiryHours: parseFloat(process.env.UPLOADS_EXPIRY_HOURS || '24'), // Uploads that receive no chunk for this long are deleted
+    maxPending: parseInt(process.env.UPLOADS_MAX_PENDING || '100', 10) // Maximum number of unfinished uploads before new uploads are rejected
+  },
+  
+  // API key authentication configuration
+  auth: {
+    enabled: process.env.AUTH_ENABLED === 'true', // Require API keys on protected routes
+    keysFile: process.env.AUTH_KEYS_FILE || './api-keys.json', // JSON file defining API keys, scopes and quotas
+    usageFile: process.env.AUTH_USAGE_FILE || './data/api-key-usage.json' // File where daily usage counters are persisted
+  },
+  
+  // Backend result cache configuration
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false', // Reuse backend results for repeated transcription, translation and language detection requests
+    ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS || '3600', 10), // How long a cached result is reused
+    maxSizeMB: parseFloat(process.env.CACHE_MAX_SIZE_MB || '50') // Memory for cached results; least recently used results are evicted first
+  },
+  
+  // Idempotency-Key configuration
+  idempotency: {
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400', 10), // How long the response to an Idempotency-Key is replayed to retries
+    pendingTimeoutSeconds: parseInt(process.env.IDEMPOTENCY_PENDING_TIMEOUT_SECONDS || '600', 10), // Release keys whose request hasn't finished after this long
+    maxSizeMB: parseFloat(process.env.IDEMPOTENCY_MAX_SIZE_MB || '20') // Memory for stored responses; the oldest are evicted first
+  },
+  
+  // Rate limiting configuration (token bucket per client and route group)
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false', // Whether to rate limit backend routes
+    store: process.env.RATE_LIMIT_STORE || 'memory', // 'memory' or path to a module exporting a custom store
+    routes: {
+      transcribe: {
+        requestsPerMinute: parseFloat(process.env.RATE_LIMIT_TRANSCRIBE_PER_MINUTE || '30'), // Sustained request rate
+        burst: parseInt(process.env.RATE_LIMIT_TRANSCRIBE_BURST || '10', 10) // Requests allowed in a burst
+      },
+      translate: {
+        requestsPerMinute: parseFloat(process.env.RATE_LIMIT_TRANSLATE_PER_MINUTE || '120'),
+        burst: parseInt(process.env.RATE_LIMIT_TRANSLATE_BURST || '30', 10)
+      },
+      detectLanguage: {
+        requestsPerMinute: parseFloat(process.env.RATE_LIMIT_DETECT_LANGUAGE_PER_MINUTE || '120'),
+        burst: parseInt(process.env.RATE_LIMIT_DETECT_LANGUAGE_BURST || '30', 10)
+      }
+    }
+  },
+  
+  // Prometheus metrics configuration
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false' // Expose metrics on /metrics
   },
   
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info', // Log level: error, warn, info, debug
-    file: process.env.LOG_FILE || './logs/stt-proxy.log' // Log file path
+    sinks: (process.env.LOG_SINKS || 'console,file').split(',').map(sink => sink.trim()).filter(Boolean), // Log outputs: console, stdout-json, file, syslog
+    file: process.env.LOG_FILE || './logs/stt-proxy.log', // Log file path
+    fileMaxSizeMB: parseInt(process.env.LOG_FILE_MAX_SIZE_MB || '5', 10), // Rotate the log file at this size
+    fileMaxFiles: parseInt(process.env.LOG_FILE_MAX_FILES || '5', 10), // Number of rotated log files to keep
+    syslog: {
+      host: process.env.LOG_SYSLOG_HOST || '127.0.0.1', // Syslog collector host
+      port: parseInt(process.env.LOG_SYSLOG_PORT || '514', 10), // Syslog collector UDP port
+      appName: process.env.LOG_SYSLOG_APP_NAME || 'stt-proxy', // APP-NAME field of syslog messages
+      facility: process.env.LOG_SYSLOG_FACILITY || 'local0' // Syslog facility: user, daemon, local0-local7
+    },
+    accessLog: {
+      enabled: process.env.ACCESS_LOG_ENABLED !== 'false', // Write an access log line per request
+      file: process.env.ACCESS_LOG_FILE || './logs/access.log', // Access log file path
+      format: process.env.ACCESS_LOG_FORMAT || 'json', // Access log format: 'json' or 'combined'
+      maxSizeMB: parseInt(process.env.ACCESS_LOG_MAX_SIZE_MB || '10', 10), // Rotate the access log at this size
+      maxFiles: parseInt(process.env.ACCESS_LOG_MAX_FILES || '5', 10) // Number of rotated access log files to keep
+    }
   },
   
   // CORS (Cross-Origin Resource Sharing) configuration
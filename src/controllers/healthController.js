@@ -2,19 +2,26 @@
  * Health Check Controller
  * 
  * This controller handles health check requests to verify the status of the proxy server
- * and its connection to the Python backend. It proxies the health check request to the
- * Python backend and returns the backend's health status.
+ * and its connection to the Python backend. It provides three endpoints:
+ * - /health/live: the proxy process is running (for liveness probes)
+ * - /health/ready: the proxy can serve traffic (for readiness probes)
+ * - /health: full report of the proxy, its storage and logs, and every backend
+ * 
+ * Separating them lets orchestrators such as Kubernetes tell "proxy alive,
+ * backend down" from "proxy dead".
  * 
  * @author Debarun Lahiri
  */
 
-const proxyService = require('../services/proxyService');
+const healthService = require('../services/healthService');
 
 /**
  * Get health status of the proxy server and Python backend
  * 
- * This endpoint checks the health of both the proxy server and the Python backend.
- * It forwards the health check request to the Python backend and returns the response.
+ * Returns the Python backend's health fields together with proxy uptime and version,
+ * storage and log file status, backend reachability and latency, in-flight request
+ * counts and the status of every configured backend. Responds with 503 when no
+ * backend is reachable, with the same report so clients can see why and fail fast.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -23,13 +30,62 @@ const proxyService = require('../services/proxyService');
  */
 const getHealth = async (req, res, next) => {
   try {
-    const healthData = await proxyService.healthCheck();
-    res.json(healthData);
+    const health = await healthService.getHealth();
+
+    if (health.status !== 'unhealthy') {
+      return res.json(health);
+    }
+
+    if (health.backend.retry_after_seconds) {
+      res.set('Retry-After', String(health.backend.retry_after_seconds));
+    }
+    res.status(503).json({
+      error: 'Service Unavailable',
+      detail: health.backend.error,
+      ...health
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Liveness probe
+ * 
+ * Always responds with 200 while the proxy process can handle requests.
+ * Does not contact the Python backend.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with liveness status
+ */
+const getLiveness = (req, res) => {
+  res.json(healthService.getLiveness());
+};
+
+/**
+ * Readiness probe
+ * 
+ * Responds with 200 when a Python backend is available and audio storage is
+ * writable, otherwise 503. Uses the results of the periodic backend health checks
+ * instead of contacting the backend.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with readiness status
+ */
+const getReadiness = async (req, res, next) => {
+  try {
+    const readiness = await healthService.getReadiness();
+    res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
   } catch (error) {
     next(error);
   }
 };
 
 module.exports = {
-  getHealth
+  getHealth,
+  getLiveness,
+  getReadiness
 };
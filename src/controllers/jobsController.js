@@ -0,0 +1,110 @@
+/**
+ * Jobs Controller
+ *
+ * This controller handles asynchronous transcription jobs. Instead of waiting for
+ * the Python backend to finish, clients create a job, receive its ID immediately,
+ * and then poll the job status or receive the result at a callback URL.
+ *
+ * @author Debarun Lahiri
+ */
+
+const jobService = require('../services/jobService');
+const transcriptionService = require('../services/transcriptionService');
+const resultCache = require('../services/resultCache');
+const { checkCallbackUrl } = require('../utils/callbackUrl');
+
+/**
+ * Create an asynchronous transcription job
+ *
+ * Accepts the same audio upload and query parameters as POST /v1/transcribe, plus
+ * an optional callback_url (query parameter or form field). Responds with
+ * 202 Accepted and the queued job; the Location header points at the job status URL.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.file.path - Path of the uploaded audio file (a temporary file)
+ * @param {string} req.query.callback_url - URL to POST the finished job to (optional)
+ * @param {string} req.body.callback_url - Same as the query parameter, as a form field (optional)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the created job or error
+ */
+const createTranscriptionJob = async (req, res, next) => {
+  try {
+    // Validate that an audio file was uploaded
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: 'Audio file is required'
+      });
+    }
+
+    const callbackUrl = req.query.callback_url || (req.body && req.body.callback_url) || null;
+    const callbackError = callbackUrl ? await checkCallbackUrl(callbackUrl) : null;
+    if (callbackError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: callbackError
+      });
+    }
+
+    const job = await jobService.createTranscriptionJob({
+      audioPath: req.file.path,
+      originalFilename: req.file.originalname || 'audio',
+      mimeType: req.file.mimetype,
+      params: transcriptionService.parseParams(req.query),
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      callbackUrl,
+      audioTruncated: req.audioTruncated || null,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      requestId: req.id,
+      useCache: resultCache.isAllowed(req.query),
+      tier: req.apiKey ? req.apiKey.tier : null
+    });
+
+    const statusUrl = `/v1/jobs/${job.id}`;
+    res.status(202)
+      .location(statusUrl)
+      .json({
+        ...jobService.toPublicJob(job),
+        status_url: statusUrl
+      });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status of a job
+ *
+ * Returns the job's current state. Finished jobs include either the
+ * transcription result or the error that made them fail. When authentication
+ * is enabled, jobs created with a different API key are reported as not found.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Job ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the job or error
+ */
+const getJob = async (req, res, next) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    const ownedByCaller = !req.apiKey || (job && job.api_key_id === req.apiKey.id);
+
+    if (!job || !ownedByCaller) {
+      return res.status(404).json({
+        error: 'Not Found',
+        detail: `Job ${req.params.id} not found`
+      });
+    }
+
+    res.json(jobService.toPublicJob(job));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createTranscriptionJob,
+  getJob
+};
@@ -3,12 +3,15 @@
  * 
  * This controller handles language detection requests. It receives text input from the client
  * and forwards it to the Python backend to detect the language of the text. The controller
- * validates the input before processing.
+ * validates the input before processing. Results are served from the result cache
+ * when the same text was checked recently (see the X-Cache header).
  * 
  * @author Debarun Lahiri
  */
 
 const proxyService = require('../services/proxyService');
+const resultCache = require('../services/resultCache');
+const { getCacheStatus } = require('../utils/requestContext');
 
 /**
  * Detect the language of the provided text
@@ -19,6 +22,7 @@ const proxyService = require('../services/proxyService');
  * 
  * @param {Object} req - Express request object
  * @param {string} req.body.text - The text to detect the language for
+ * @param {string} req.query.cache - 'false' to skip the result cache (optional)
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Promise<void>} Sends JSON response with detected language information or error
@@ -36,7 +40,17 @@ const detectLanguage = async (req, res, next) => {
     }
 
     // Forward language detection request to Python backend
-    const result = await proxyService.detectLanguage(text);
+    const result = await resultCache.wrap(
+      'detect_language',
+      [text],
+      () => proxyService.detectLanguage(text),
+      { bypass: !resultCache.isAllowed(req.query) }
+    );
+
+    const cacheStatus = getCacheStatus();
+    if (cacheStatus) {
+      res.set('X-Cache', cacheStatus);
+    }
 
     res.json(result);
   } catch (error) {
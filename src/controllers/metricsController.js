@@ -0,0 +1,45 @@
+/**
+ * Metrics Controller
+ *
+ * This controller serves the Prometheus metrics collected by the proxy in the
+ * Prometheus text exposition format. Recording count and storage bytes are
+ * refreshed from the recording index on every scrape.
+ *
+ * @author Debarun Lahiri
+ */
+
+const audioService = require('../services/audioService');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+/**
+ * Get all metrics in Prometheus text format
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends the metrics as text/plain
+ */
+const getMetrics = async (req, res, next) => {
+  try {
+    // Storage gauges are best-effort, a failed lookup keeps the previous values
+    if (audioService.saveAudioFiles) {
+      try {
+        const totals = await audioService.getRecordingTotals();
+        metrics.recordingsTotal.set(totals.count);
+        metrics.recordingsStorageBytes.set(totals.bytes);
+      } catch (error) {
+        logger.warn(`Failed to update recording metrics: ${error.message}`);
+      }
+    }
+
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMetrics
+};
@@ -0,0 +1,33 @@
+/**
+ * Queue Controller
+ *
+ * This controller reports the state of the transcription queue. Each Python
+ * backend runs a limited number of transcriptions at once; while every backend
+ * is busy, further transcriptions wait in a queue lane chosen by the tier of
+ * the caller's API key. Clients can check here how long a transcription would
+ * currently wait before sending it.
+ *
+ * @author Debarun Lahiri
+ */
+
+const proxyService = require('../services/proxyService');
+
+/**
+ * Get the state of the transcription queue
+ *
+ * Returns the concurrency limit, slots in use and waiting transcriptions per
+ * tier, along with the position and estimated wait a new transcription of the
+ * caller's tier would get (0 if it would start right away).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the queue state
+ */
+const getQueue = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(proxyService.getQueueStatus(req.apiKey ? req.apiKey.tier : null));
+};
+
+module.exports = {
+  getQueue
+};
@@ -2,35 +2,97 @@
  * Recordings Controller
  * 
  * This controller handles requests related to audio recordings management.
- * It provides endpoints to list all recordings, get individual recording details,
- * and serve HTML pages for viewing and playing recordings.
+ * It provides endpoints to list and search recordings, get individual recording details,
+ * export stored transcripts as subtitles or text, rename, pin and delete recordings (individually, by list or by date range),
+ * report what the retention sweeper would delete, stream audio files from the
+ * storage driver, and serve HTML pages for viewing, playing and deleting
+ * recordings.
+ * 
+ * The :filename route parameter is validated by the recordingFilename middleware
+ * before these handlers run; filenames in bulk requests are checked here with
+ * audioService.isValidFilename. Every value substituted into the HTML templates
+ * is escaped.
  * 
  * @author Debarun Lahiri
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { pipeline } = require('stream');
 const audioService = require('../services/audioService');
 const config = require('../config');
 const logger = require('../utils/logger');
+const subtitles = require('../utils/subtitles');
+
+// Maximum length of a recording title
+const MAX_TITLE_LENGTH = 200;
+
+// Maximum page size of GET /api/recordings
+const MAX_PAGE_SIZE = 1000;
+
+// Numeric filter query parameters and the searchRecordings filters they set
+const NUMERIC_FILTERS = {
+  min_duration: 'minDuration',
+  max_duration: 'maxDuration',
+  min_size: 'minSize',
+  max_size: 'maxSize',
+  min_speakers: 'minSpeakers',
+  max_speakers: 'maxSpeakers'
+};
+
+// Query parameters understood by the recordings list (besides paging)
+const FILTER_PARAMS = ['q', 'from', 'to', 'language', 'api_key_id', 'sort', 'order', ...Object.keys(NUMERIC_FILTERS)];
+
+// Dates without a time, e.g. from a date picker
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
- * Get list of all recordings
+ * Get list of recordings
  * 
- * Returns a JSON array of all audio recordings with their metadata.
+ * Returns a JSON array of recordings with their metadata, optionally filtered,
+ * searched and sorted (see parseRecordingQuery). Without a limit every
+ * matching recording is returned; with a limit, next_cursor is set while more
+ * recordings remain and is passed back as the cursor parameter to fetch the
+ * next page.
  * 
  * @param {Object} req - Express request object
+ * @param {number} req.query.limit - Maximum number of recordings to return (1 to MAX_PAGE_SIZE)
+ * @param {string} req.query.cursor - next_cursor of the previous page
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Promise<void>} Sends JSON response with recordings list or error
  */
 const listRecordings = async (req, res, next) => {
   try {
-    const recordings = await audioService.listAllRecordings();
+    const { filters, sort, order, error } = parseRecordingQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: error
+      });
+    }
+
+    const limitParam = getQueryValue(req.query, 'limit');
+    const limit = limitParam !== undefined ? Number(limitParam) : undefined;
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+
+    const result = await audioService.searchRecordings(filters, {
+      sort,
+      order,
+      cursor: getQueryValue(req.query, 'cursor') || null,
+      limit
+    });
     const baseUrl = `${req.protocol}://${req.get('host')}`;
     
     // Add URL for each recording
-    const recordingsWithUrls = recordings.map(recording => ({
+    const recordingsWithUrls = result.recordings.map(recording => ({
       ...recording,
       url: audioService.getAudioUrl(recording.filename, baseUrl),
       downloadUrl: audioService.getAudioUrl(recording.filename, baseUrl)
@@ -38,6 +100,8 @@ const listRecordings = async (req, res, next) => {
 
     res.json({
       count: recordingsWithUrls.length,
+      total: result.total,
+      next_cursor: result.nextCursor,
       recordings: recordingsWithUrls
     });
   } catch (error) {
@@ -89,11 +153,367 @@ const getRecording = async (req, res, next) => {
   }
 };
 
+/**
+ * Export the stored transcript of a recording
+ * 
+ * Renders the transcription saved with the recording as SRT or VTT subtitles,
+ * plain text, TSV or JSON. Subtitle layout is controlled by the
+ * max_line_length and max_chars_per_cue query parameters.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.filename - Name of the audio file
+ * @param {string} req.params.format - Export format (srt, vtt, txt, tsv or json)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends the rendered transcript or error
+ */
+const exportTranscript = async (req, res, next) => {
+  try {
+    const { filename, format } = req.params;
+
+    if (!subtitles.isSupportedFormat(format)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: 'format must be one of srt, vtt, txt, tsv, json'
+      });
+    }
+
+    const options = subtitles.parseOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: options.error
+      });
+    }
+
+    const metadata = await audioService.getRecordingMetadata(filename);
+
+    if (!metadata) {
+      return res.status(404).json({
+        error: 'Not Found',
+        detail: `Recording ${filename} not found`
+      });
+    }
+
+    if (!metadata.transcription) {
+      return res.status(404).json({
+        error: 'Not Found',
+        detail: `No transcription stored for recording ${filename}`
+      });
+    }
+
+    const exportName = `${path.parse(filename).name}.${format}`;
+    res.set('Content-Disposition', `inline; filename="${exportName}"`);
+    res.type(subtitles.getContentType(format)).send(subtitles.render(metadata.transcription, format, options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a recording
+ * 
+ * Removes the audio file and its stored metadata and transcription.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.filename - Name of the audio file
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response confirming deletion or error
+ */
+const deleteRecording = async (req, res, next) => {
+  try {
+    const { filename } = req.params;
+
+    const deleted = await audioService.deleteAudioFile(filename);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        detail: `Recording ${filename} not found`
+      });
+    }
+
+    logger.info(`Recording deleted via API: ${filename}`);
+    res.json({
+      deleted: true,
+      filename
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete several recordings at once
+ * 
+ * The request body selects the recordings either by name or by creation date:
+ * - filenames: array of recording filenames
+ * - from / to: ISO 8601 dates; recordings created within the range (inclusive)
+ *   are deleted. Either bound may be omitted, but not both.
+ * 
+ * Invalid and missing filenames are reported in the response rather than
+ * failing the whole request.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the result for each recording or error
+ */
+const bulkDeleteRecordings = async (req, res, next) => {
+  try {
+    const { filenames, from, to } = req.body || {};
+    const byName = filenames !== undefined;
+    const byDate = from !== undefined || to !== undefined;
+
+    if (byName === byDate) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: 'Provide either filenames or a from/to date range'
+      });
+    }
+
+    let targets;
+
+    if (byName) {
+      if (!Array.isArray(filenames) || filenames.length === 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          detail: 'filenames must be a non-empty array'
+        });
+      }
+      targets = [...new Set(filenames)];
+    } else {
+      // Only date strings are accepted: new Date() turns null, false and numbers into dates near the epoch
+      const isDateString = value => value === undefined || (typeof value === 'string' && value !== '');
+      const fromDate = from !== undefined ? new Date(from) : null;
+      const toDate = to !== undefined ? new Date(to) : null;
+
+      if (!isDateString(from) || !isDateString(to) ||
+          (fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          detail: 'from and to must be valid ISO 8601 dates'
+        });
+      }
+
+      if (fromDate && toDate && fromDate > toDate) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          detail: 'from must not be later than to'
+        });
+      }
+
+      const recordings = await audioService.listAllRecordings();
+      targets = recordings
+        .filter(recording => (!fromDate || recording.createdAt >= fromDate) && (!toDate || recording.createdAt <= toDate))
+        .map(recording => recording.filename);
+    }
+
+    const result = { deleted: [], not_found: [], invalid: [] };
+
+    for (const filename of targets) {
+      if (!audioService.isValidFilename(filename)) {
+        result.invalid.push(filename);
+      } else if (await audioService.deleteAudioFile(filename)) {
+        result.deleted.push(filename);
+      } else {
+        result.not_found.push(filename);
+      }
+    }
+
+    logger.info(`Bulk delete removed ${result.deleted.length} recording(s)`);
+    res.json({
+      deleted_count: result.deleted.length,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a recording
+ * 
+ * Sets the display title shown on the recordings pages. The stored file keeps
+ * its generated name so existing links keep working.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.filename - Name of the audio file
+ * @param {string|null} req.body.title - New title (null or empty string clears it)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the updated recording or error
+ */
+const renameRecording = async (req, res, next) => {
+  try {
+    const { filename } = req.params;
+    const { title } = req.body || {};
+
+    if (title !== null && typeof title !== 'string') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: 'title must be a string or null'
+      });
+    }
+
+    const trimmedTitle = title ? title.trim() : '';
+    if (trimmedTitle.length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: `title must be at most ${MAX_TITLE_LENGTH} characters`
+      });
+    }
+
+    const renamed = await audioService.renameRecording(filename, trimmedTitle || null);
+
+    if (!renamed) {
+      return res.status(404).json({
+        error: 'Not Found',
+        detail: `Recording ${filename} not found`
+      });
+    }
+
+    res.json({
+      filename,
+      title: trimmedTitle || null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pin a recording
+ * 
+ * Pinned recordings are never deleted by the retention sweeper.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.filename - Name of the audio file
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the pinned state or error
+ */
+const pinRecording = (req, res, next) => updatePinned(req, res, next, true);
+
+/**
+ * Unpin a recording
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.filename - Name of the audio file
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the pinned state or error
+ */
+const unpinRecording = (req, res, next) => updatePinned(req, res, next, false);
+
+/**
+ * Get the retention dry-run report
+ * 
+ * Returns the configured retention rules, current storage totals and the
+ * recordings the next sweep would delete, without deleting anything.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the report or error
+ */
+const getRetentionReport = async (req, res, next) => {
+  try {
+    const plan = await audioService.planRetentionSweep();
+
+    res.json({
+      dry_run: true,
+      enabled: audioService.isRetentionEnabled(),
+      sweep_interval_minutes: config.audio.retention.sweepIntervalMinutes,
+      ...plan,
+      last_sweep: audioService.lastSweep
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream a saved audio file
+ * 
+ * Streams the file from the storage driver, honoring single byte ranges so
+ * browsers can seek. When the driver hands out presigned URLs (S3 with
+ * S3_PRESIGNED_URLS=true), the client is redirected to the bucket instead.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.filename - Name of the audio file
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Streams the audio, redirects, or sends an error response
+ */
+const streamAudio = async (req, res, next) => {
+  try {
+    const { filename } = req.params;
+
+    const downloadUrl = await audioService.getAudioDownloadUrl(filename);
+    if (downloadUrl) {
+      return res.redirect(302, downloadUrl);
+    }
+
+    const stats = await audioService.getAudioFileStats(filename);
+    if (!stats) {
+      return res.status(404).json({
+        error: 'Not Found',
+        detail: `Recording ${filename} not found`
+      });
+    }
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': audioService.getMimeType(filename),
+      'Last-Modified': new Date(stats.modifiedAt).toUTCString(),
+      'Cache-Control': 'public, max-age=0'
+    });
+
+    let range = { start: 0, end: stats.size - 1 };
+
+    if (req.headers.range) {
+      const ranges = req.range(stats.size, { combine: true });
+
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${stats.size}`);
+        return res.status(416).end();
+      }
+
+      // Malformed or multi-part ranges are answered with the whole file
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+      }
+    }
+
+    res.set('Content-Length', String(stats.size === 0 ? 0 : range.end - range.start + 1));
+
+    if (req.method === 'HEAD' || stats.size === 0) {
+      return res.end();
+    }
+
+    const stream = await audioService.openAudioStream(filename, range);
+
+    // pipeline() also stops reading from storage when the client disconnects
+    pipeline(stream, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.warn(`Failed to stream audio file ${filename}: ${error.message}`);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Serve recordings list HTML page
  * 
- * Returns an HTML page displaying all recordings with play and download options.
- * Supports pagination via query parameters.
+ * Returns an HTML page displaying recordings with play and download options.
+ * Supports pagination and the same filter, search and sort query parameters
+ * as GET /api/recordings, which the filter bar on the page submits.
  * 
  * @param {Object} req - Express request object
  * @param {number} req.query.page - Page number (default: 1)
@@ -103,26 +523,42 @@ const getRecording = async (req, res, next) => {
  */
 const getRecordingsPage = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
     const offset = (page - 1) * limit;
 
-    const allRecordings = await audioService.listAllRecordings();
+    const { filters, sort, order, error } = parseRecordingQuery(req.query);
+
+    if (error) {
+      return res.status(400).send(`
+        <html>
+          <head><title>Bad Request</title></head>
+          <body>
+            <h1>Bad Request</h1>
+            <p>${escapeHtml(error)}</p>
+            <a href="/recordings">Back to Recordings</a>
+          </body>
+        </html>
+      `);
+    }
+
+    const { total: totalRecordings, recordings: paginatedRecordings } = await audioService.searchRecordings(filters, {
+      sort,
+      order,
+      offset,
+      limit
+    });
     const baseUrl = `${req.protocol}://${req.get('host')}`;
     
-    const totalRecordings = allRecordings.length;
     const totalPages = Math.ceil(totalRecordings / limit);
     
-    // Get recordings for current page
-    const paginatedRecordings = allRecordings.slice(offset, offset + limit);
-    
     const recordingsWithUrls = paginatedRecordings.map(recording => ({
       ...recording,
       url: audioService.getAudioUrl(recording.filename, baseUrl),
       downloadUrl: audioService.getAudioUrl(recording.filename, baseUrl)
     }));
 
-    const html = await generateRecordingsListHTML(recordingsWithUrls, baseUrl, page, totalPages, totalRecordings, limit);
+    const html = await generateRecordingsListHTML(recordingsWithUrls, baseUrl, page, totalPages, totalRecordings, limit, req.query);
     res.send(html);
   } catch (error) {
     logger.error(`Failed to generate recordings page: ${error.message}`);
@@ -131,7 +567,7 @@ const getRecordingsPage = async (req, res) => {
         <head><title>Error</title></head>
         <body>
           <h1>Error loading recordings</h1>
-          <p>${error.message}</p>
+          <p>${escapeHtml(error.message)}</p>
         </body>
       </html>
     `);
@@ -172,7 +608,7 @@ const getRecordingPage = async (req, res) => {
           <head><title>Not Found</title></head>
           <body>
             <h1>Recording Not Found</h1>
-            <p>Recording ${filename} not found</p>
+            <p>Recording ${escapeHtml(filename)} not found</p>
             <a href="/recordings">Back to Recordings</a>
           </body>
         </html>
@@ -190,7 +626,7 @@ const getRecordingPage = async (req, res) => {
         <head><title>Error</title></head>
         <body>
           <h1>Error loading recording</h1>
-          <p>${error.message}</p>
+          <p>${escapeHtml(error.message)}</p>
         </body>
       </html>
     `);
@@ -204,25 +640,33 @@ const getRecordingPage = async (req, res) => {
  * @param {string} baseUrl - Base URL of the server
  * @param {number} currentPage - Current page number
  * @param {number} totalPages - Total number of pages
- * @param {number} totalRecordings - Total number of recordings
+ * @param {number} totalRecordings - Total number of matching recordings
  * @param {number} limit - Items per page
+ * @param {Object} query - Request query parameters, used to fill the filter bar and pagination links
  * @returns {Promise<string>} HTML content
  */
-async function generateRecordingsListHTML(recordings, baseUrl, currentPage = 1, totalPages = 1, totalRecordings = 0, limit = 10) {
+async function generateRecordingsListHTML(recordings, baseUrl, currentPage = 1, totalPages = 1, totalRecordings = 0, limit = 10, query = {}) {
   const templatePath = path.join(__dirname, '../templates/recordings-list.html');
-  let template = await fs.readFile(templatePath, 'utf-8');
+  const template = await fs.readFile(templatePath, 'utf-8');
   
   const recordingsList = recordings.map((recording, index) => {
     const date = new Date(recording.createdAt).toLocaleString();
+    const details = [
+      `Size: ${recording.sizeFormatted}`,
+      recording.durationSec !== null ? `Duration: ${formatTimestamp(recording.durationSec)}` : null,
+      recording.language ? `Language: ${recording.language}` : null,
+      `Created: ${date}`
+    ].filter(Boolean).join(' | ');
     const safeId = `audio-${index}-${recording.filename.replace(/[^a-zA-Z0-9]/g, '_')}`;
     return `
       <div class="recording-item">
+        <input type="checkbox" class="recording-select" value="${escapeHtml(recording.filename)}" onchange="updateSelection()">
         <div class="recording-info">
-          <h3>${recording.filename}</h3>
-          <p class="recording-meta">Size: ${recording.sizeFormatted} | Created: ${date}</p>
+          <h3>${escapeHtml(recording.title || recording.filename)}</h3>
+          <p class="recording-meta">${escapeHtml(details)}</p>
           <div class="audio-player-wrapper active" id="player-${safeId}">
-            <audio id="${safeId}" preload="metadata" data-src="${recording.url}">
-              <source src="${recording.url}" type="audio/mpeg">
+            <audio id="${safeId}" preload="metadata" data-src="${escapeHtml(recording.url)}">
+              <source src="${escapeHtml(recording.url)}" type="${escapeHtml(recording.mimeType)}">
               Your browser does not support the audio element.
             </audio>
             <div class="audio-controls">
@@ -243,7 +687,8 @@ async function generateRecordingsListHTML(recordings, baseUrl, currentPage = 1,
         </div>
         <div class="recording-actions">
           <a href="/recordings/${encodeURIComponent(recording.filename)}" class="btn btn-view">View</a>
-          <a href="${recording.downloadUrl}" class="btn btn-download" download>Download</a>
+          <a href="${escapeHtml(recording.downloadUrl)}" class="btn btn-download" download>Download</a>
+          <button class="btn btn-delete" data-filename="${escapeHtml(recording.filename)}" onclick="deleteRecording(this)">Delete</button>
         </div>
       </div>
     `;
@@ -253,17 +698,52 @@ async function generateRecordingsListHTML(recordings, baseUrl, currentPage = 1,
     ? `${(currentPage - 1) * limit + 1} - ${Math.min(currentPage * limit, totalRecordings)}`
     : '0 - 0';
   
-  const paginationHTML = totalPages > 1 ? generatePaginationHTML(currentPage, totalPages, limit) : '';
+  // Keep the active filters when moving between pages
+  const filterParams = new URLSearchParams();
+  for (const name of FILTER_PARAMS) {
+    const value = getQueryValue(query, name);
+    if (value !== undefined) {
+      filterParams.set(name, value);
+    }
+  }
+  const filtered = [...filterParams.keys()].some(name => name !== 'sort' && name !== 'order');
+
+  const paginationHTML = totalPages > 1 ? generatePaginationHTML(currentPage, totalPages, limit, filterParams.toString()) : '';
+  const emptyMessage = filtered ? 'No recordings match the filters.' : 'No audio recordings have been saved yet.';
   const recordingsListHTML = recordings.length > 0 
-    ? `<div class="recordings-list">${recordingsList}</div>${paginationHTML}`
-    : `<div class="empty-state"><h2>No Recordings Found</h2><p>No audio recordings have been saved yet.</p></div>`;
+    ? `<div class="bulk-actions"><button id="delete-selected" class="btn btn-delete" onclick="deleteSelected(this)" disabled>Delete Selected</button></div><div class="recordings-list">${recordingsList}</div>${paginationHTML}`
+    : `<div class="empty-state"><h2>No Recordings Found</h2><p>${emptyMessage}</p></div>`;
 
-  template = template.replace(/\{\{totalRecordings\}\}/g, totalRecordings);
-  template = template.replace(/\{\{showingRange\}\}/g, showingRange);
-  template = template.replace(/\{\{recordingsList\}\}/g, recordingsListHTML);
-  template = template.replace(/\{\{pagination\}\}/g, '');
+  const filterValues = {};
+  for (const name of FILTER_PARAMS) {
+    filterValues[`filter_${name}`] = getQueryValue(query, name) || '';
+  }
+
+  return renderTemplate(template, {
+    totalLabel: filtered ? 'Matching Recordings' : 'Total Recordings',
+    totalRecordings,
+    showingRange,
+    limit,
+    ...filterValues
+  }, {
+    recordingsList: recordingsListHTML,
+    pagination: '',
+    sortOptions: generateOptionsHTML({ created_at: 'Date', size: 'Size', duration: 'Duration' }, getQueryValue(query, 'sort') || 'created_at'),
+    orderOptions: generateOptionsHTML({ desc: 'Descending', asc: 'Ascending' }, getQueryValue(query, 'order') || 'desc')
+  });
+}
 
-  return template;
+/**
+ * Generate <option> elements for a select box
+ * 
+ * @param {Object} options - Option labels by value
+ * @param {string} selected - Value of the selected option
+ * @returns {string} HTML content for the options
+ */
+function generateOptionsHTML(options, selected) {
+  return Object.entries(options).map(([value, label]) =>
+    `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`
+  ).join('');
 }
 
 /**
@@ -272,10 +752,12 @@ async function generateRecordingsListHTML(recordings, baseUrl, currentPage = 1,
  * @param {number} currentPage - Current page number
  * @param {number} totalPages - Total number of pages
  * @param {number} limit - Items per page
+ * @param {string} filterQuery - Encoded filter query parameters appended to every link
  * @returns {string} HTML content for pagination
  */
-function generatePaginationHTML(currentPage, totalPages, limit = 10) {
+function generatePaginationHTML(currentPage, totalPages, limit = 10, filterQuery = '') {
   const maxVisible = 5; // Maximum visible page numbers
+  const filters = filterQuery ? escapeHtml(`&${filterQuery}`) : '';
   
   let startPage = Math.max(1, currentPage - Math.floor(maxVisible / 2));
   let endPage = Math.min(totalPages, startPage + maxVisible - 1);
@@ -288,14 +770,14 @@ function generatePaginationHTML(currentPage, totalPages, limit = 10) {
   
   // Previous button
   if (currentPage > 1) {
-    paginationHTML += `<a href="/recordings?page=${currentPage - 1}&limit=${limit}" class="pagination-btn">Previous</a>`;
+    paginationHTML += `<a href="/recordings?page=${currentPage - 1}&limit=${limit}${filters}" class="pagination-btn">Previous</a>`;
   } else {
     paginationHTML += `<span class="pagination-btn disabled">Previous</span>`;
   }
   
   // First page
   if (startPage > 1) {
-    paginationHTML += `<a href="/recordings?page=1&limit=${limit}" class="pagination-btn">1</a>`;
+    paginationHTML += `<a href="/recordings?page=1&limit=${limit}${filters}" class="pagination-btn">1</a>`;
     if (startPage > 2) {
       paginationHTML += `<span class="pagination-info">...</span>`;
     }
@@ -306,7 +788,7 @@ function generatePaginationHTML(currentPage, totalPages, limit = 10) {
     if (i === currentPage) {
       paginationHTML += `<span class="pagination-btn active">${i}</span>`;
     } else {
-      paginationHTML += `<a href="/recordings?page=${i}&limit=${limit}" class="pagination-btn">${i}</a>`;
+      paginationHTML += `<a href="/recordings?page=${i}&limit=${limit}${filters}" class="pagination-btn">${i}</a>`;
     }
   }
   
@@ -315,12 +797,12 @@ function generatePaginationHTML(currentPage, totalPages, limit = 10) {
     if (endPage < totalPages - 1) {
       paginationHTML += `<span class="pagination-info">...</span>`;
     }
-    paginationHTML += `<a href="/recordings?page=${totalPages}&limit=${limit}" class="pagination-btn">${totalPages}</a>`;
+    paginationHTML += `<a href="/recordings?page=${totalPages}&limit=${limit}${filters}" class="pagination-btn">${totalPages}</a>`;
   }
   
   // Next button
   if (currentPage < totalPages) {
-    paginationHTML += `<a href="/recordings?page=${currentPage + 1}&limit=${limit}" class="pagination-btn">Next</a>`;
+    paginationHTML += `<a href="/recordings?page=${currentPage + 1}&limit=${limit}${filters}" class="pagination-btn">Next</a>`;
   } else {
     paginationHTML += `<span class="pagination-btn disabled">Next</span>`;
   }
@@ -340,24 +822,261 @@ function generatePaginationHTML(currentPage, totalPages, limit = 10) {
  */
 async function generateRecordingDetailHTML(metadata, audioUrl, baseUrl) {
   const templatePath = path.join(__dirname, '../templates/recording-detail.html');
-  let template = await fs.readFile(templatePath, 'utf-8');
+  const template = await fs.readFile(templatePath, 'utf-8');
   
   const date = new Date(metadata.createdAt).toLocaleString();
   const modifiedDate = new Date(metadata.modifiedAt).toLocaleString();
 
-  template = template.replace(/{{filename}}/g, metadata.filename);
-  template = template.replace(/{{audioUrl}}/g, audioUrl);
-  template = template.replace(/{{sizeFormatted}}/g, metadata.sizeFormatted);
-  template = template.replace(/{{createdAt}}/g, date);
-  template = template.replace(/{{modifiedAt}}/g, modifiedDate);
-  template = template.replace(/{{sizeBytes}}/g, metadata.size.toLocaleString());
+  return renderTemplate(template, {
+    displayName: metadata.title || metadata.filename,
+    title: metadata.title || '',
+    filename: metadata.filename,
+    audioUrl,
+    mimeType: metadata.mimeType,
+    format: metadata.format.toUpperCase(),
+    sizeFormatted: metadata.sizeFormatted,
+    createdAt: date,
+    modifiedAt: modifiedDate,
+    sizeBytes: metadata.size.toLocaleString(),
+    requestId: metadata.requestId || '-',
+    pinnedLabel: metadata.pinned ? 'Pinned (kept by retention)' : 'Not pinned',
+    pinned: metadata.pinned ? 'true' : 'false',
+    pinAction: metadata.pinned ? 'Unpin' : 'Pin'
+  }, {
+    transcript: generateTranscriptHTML(metadata.transcription, metadata.filename)
+  });
+}
 
-  return template;
+/**
+ * Get a non-empty query parameter value
+ * 
+ * Empty values (as submitted by blank filter bar fields) and repeated
+ * parameters are treated as absent.
+ * 
+ * @param {Object} query - Request query parameters
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} Trimmed value
+ */
+function getQueryValue(query, name) {
+  const value = query[name];
+  if (typeof value !== 'string' || value.trim() === '') {
+    return undefined;
+  }
+  return value.trim();
+}
+
+/**
+ * Parse the filter, search and sort query parameters of the recordings list
+ * 
+ * Parameters (all optional):
+ * - from / to: ISO 8601 creation date bounds (inclusive; a date without a time
+ *   in to covers the whole day, UTC)
+ * - language: transcript language code
+ * - min_duration / max_duration: audio duration in seconds
+ * - min_size / max_size: file size in bytes
+ * - min_speakers / max_speakers: number of speakers in the transcript
+ * - api_key_id: ID of the API key that uploaded the recording
+ * - q: words that must all appear in the transcript or title
+ * - sort: created_at, size or duration (default: created_at)
+ * - order: asc or desc (default: desc)
+ * 
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Filters, sort and order for audioService.searchRecordings, or an error message
+ */
+function parseRecordingQuery(query) {
+  const filters = {};
+
+  for (const name of ['from', 'to']) {
+    const value = getQueryValue(query, name);
+    if (value === undefined) {
+      continue;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `${name} must be a valid ISO 8601 date` };
+    }
+    if (name === 'to' && DATE_ONLY_PATTERN.test(value)) {
+      date.setTime(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+    filters[name] = date;
+  }
+
+  for (const [name, filter] of Object.entries(NUMERIC_FILTERS)) {
+    const value = getQueryValue(query, name);
+    if (value === undefined) {
+      continue;
+    }
+
+    const number = Number(value);
+    if (!isFinite(number) || number < 0) {
+      return { error: `${name} must be a non-negative number` };
+    }
+    filters[filter] = number;
+  }
+
+  filters.language = getQueryValue(query, 'language');
+  filters.apiKeyId = getQueryValue(query, 'api_key_id');
+  filters.text = getQueryValue(query, 'q');
+
+  const sort = getQueryValue(query, 'sort') || 'created_at';
+  if (!audioService.isValidSortField(sort)) {
+    return { error: 'sort must be one of created_at, size, duration' };
+  }
+
+  const order = getQueryValue(query, 'order') || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  return { filters, sort, order };
+}
+
+/**
+ * Set the pinned flag of the recording named in the route
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {boolean} pinned - Whether the recording is pinned
+ * @returns {Promise<void>} Sends JSON response with the pinned state or error
+ */
+async function updatePinned(req, res, next, pinned) {
+  try {
+    const { filename } = req.params;
+    const updated = await audioService.setPinned(filename, pinned);
+
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Not Found',
+        detail: `Recording ${filename} not found`
+      });
+    }
+
+    res.json({
+      filename,
+      pinned
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Substitute {{placeholder}} values into an HTML template
+ * 
+ * Placeholders are replaced in a single pass, so substituted content is never
+ * scanned for further placeholders. Values are HTML-escaped; fragments that are
+ * already HTML (built from escaped values) are passed separately.
+ * 
+ * @param {string} template - Template content
+ * @param {Object} values - Plain values, escaped before substitution
+ * @param {Object} html - Pre-rendered HTML fragments, substituted as-is
+ * @returns {string} Rendered HTML
+ */
+function renderTemplate(template, values, html = {}) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (Object.prototype.hasOwnProperty.call(html, name)) {
+      return html[name];
+    }
+    if (Object.prototype.hasOwnProperty.call(values, name)) {
+      return escapeHtml(values[name]);
+    }
+    return placeholder;
+  });
+}
+
+/**
+ * Generate HTML for the transcript section of a recording page
+ * 
+ * Renders the stored transcription segment by segment with time ranges and
+ * speaker labels, with links to download it as subtitles or text. Falls back
+ * to the full text when no segments were returned.
+ * 
+ * @param {Object|null} transcription - Stored transcription data
+ * @param {string} filename - Name of the audio file
+ * @returns {string} HTML content for the transcript section
+ */
+function generateTranscriptHTML(transcription, filename) {
+  if (!transcription) {
+    return `<p class="transcript-empty">No transcription stored for this recording.</p>`;
+  }
+
+  const language = transcription.detected_language || transcription.language || 'unknown';
+  const processingTime = typeof transcription.processing_time_sec === 'number'
+    ? `${transcription.processing_time_sec.toFixed(2)}s`
+    : 'n/a';
+  const summary = `
+    <p class="transcript-meta">
+      Language: ${escapeHtml(language)} | Processing time: ${processingTime}${transcription.speakers && transcription.speakers.length > 0 ? ` | Speakers: ${transcription.speakers.length}` : ''}
+    </p>
+    <p class="transcript-downloads">
+      Download: ${['srt', 'vtt', 'txt', 'json'].map(format =>
+        `<a href="/api/recordings/${encodeURIComponent(filename)}/transcript.${format}" download>${format.toUpperCase()}</a>`).join(' ')}
+    </p>
+  `;
+
+  if (!transcription.segments || transcription.segments.length === 0) {
+    return `${summary}<p class="transcript-text">${escapeHtml(transcription.text)}</p>`;
+  }
+
+  const segmentsHTML = transcription.segments.map(segment => {
+    const speaker = segment.speaker !== null && segment.speaker !== undefined
+      ? `<span class="segment-speaker">${escapeHtml(segment.speaker)}</span>`
+      : '';
+    return `
+      <div class="transcript-segment">
+        <span class="segment-time">${formatTimestamp(segment.start)} - ${formatTimestamp(segment.end)}</span>
+        ${speaker}
+        <span class="segment-text">${escapeHtml(segment.text)}</span>
+      </div>
+    `;
+  }).join('');
+
+  return `${summary}<div class="transcript-segments">${segmentsHTML}</div>`;
+}
+
+/**
+ * Format seconds as a m:ss.s timestamp
+ * 
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted timestamp (e.g., "1:05.3")
+ */
+function formatTimestamp(seconds) {
+  if (typeof seconds !== 'number' || !isFinite(seconds)) return '0:00.0';
+  // Round to tenths first so 59.95+ seconds carry over into the minutes
+  const tenths = Math.max(Math.round(seconds * 10), 0);
+  const mins = Math.floor(tenths / 600);
+  const secs = ((tenths % 600) / 10).toFixed(1);
+  return `${mins}:${secs.padStart(4, '0')}`;
+}
+
+/**
+ * Escape a value for safe inclusion in HTML
+ * 
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-escaped string
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 module.exports = {
   listRecordings,
   getRecording,
+  exportTranscript,
+  deleteRecording,
+  bulkDeleteRecordings,
+  renameRecording,
+  pinRecording,
+  unpinRecording,
+  getRetentionReport,
+  streamAudio,
   getRecordingsPage,
   getRecordingPage
 };
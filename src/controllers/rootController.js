@@ -32,7 +32,14 @@ const getRoot = (req, res) => {
     status: 'online',
     endpoints: {
       health: '/health',
+      health_live: '/health/live',
+      health_ready: '/health/ready',
+      metrics: '/metrics',
       transcribe: '/v1/transcribe',
+      stream: '/v1/stream',
+      transcription_jobs: '/v1/jobs/transcribe',
+      uploads: '/v1/uploads',
+      queue: '/v1/queue',
       translate: '/v1/translate',
       translate_page: '/translate',
       detect_language: '/v1/detect-language',
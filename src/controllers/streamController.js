@@ -0,0 +1,90 @@
+/**
+ * Stream Controller
+ *
+ * This controller opens streaming transcription sessions on /v1/stream. The
+ * route is reached through a WebSocket upgrade request; authentication and
+ * rate limiting have already run when the controller validates the stream
+ * options and hands the connection to the stream service. Plain HTTP requests
+ * are answered with 426 Upgrade Required.
+ *
+ * @author Debarun Lahiri
+ */
+
+const config = require('../config');
+const streamService = require('../services/streamService');
+const transcriptionService = require('../services/transcriptionService');
+
+// Supported ways of cutting the stream into windows
+const CHUNKING_MODES = ['vad', 'fixed'];
+
+// Accepted sample rates of the streamed PCM audio
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+/**
+ * Open a streaming transcription session
+ *
+ * Supported query parameters:
+ * - language: Language code (e.g., 'en', 'es') or 'auto' for automatic detection (default: 'auto')
+ * - enable_word_timestamps: Enable word-level timestamps (default: true)
+ * - enable_diarization: Enable speaker diarization (default: false)
+ * - sample_rate: Sample rate of the streamed 16-bit mono PCM in Hz (default: STREAM_DEFAULT_SAMPLE_RATE)
+ * - chunking: 'vad' to cut windows at pauses or 'fixed' for fixed-length windows (default: STREAM_CHUNKING)
+ * - window_seconds: Window length for fixed chunking (default: STREAM_WINDOW_SECONDS)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Accepts the WebSocket connection or sends an error response
+ */
+const openStream = async (req, res, next) => {
+  try {
+    if (!streamService.isUpgradeRequest(req)) {
+      res.set('Upgrade', 'websocket');
+      return res.status(426).json({
+        error: 'Upgrade Required',
+        detail: 'Streaming transcription requires a WebSocket connection'
+      });
+    }
+
+    const sampleRate = req.query.sample_rate !== undefined ? Number(req.query.sample_rate) : config.stream.defaultSampleRate;
+    if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: `sample_rate must be an integer between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE}`
+      });
+    }
+
+    const chunking = req.query.chunking || config.stream.chunking;
+    if (!CHUNKING_MODES.includes(chunking)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: `chunking must be one of: ${CHUNKING_MODES.join(', ')}`
+      });
+    }
+
+    const windowSeconds = req.query.window_seconds !== undefined ? Number(req.query.window_seconds) : config.stream.windowSeconds;
+    if (!(windowSeconds >= 1 && windowSeconds <= config.stream.maxWindowSeconds)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: `window_seconds must be between 1 and ${config.stream.maxWindowSeconds}`
+      });
+    }
+
+    streamService.accept(req, res, {
+      params: transcriptionService.parseParams(req.query),
+      sampleRate,
+      chunking,
+      windowSeconds,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      tier: req.apiKey ? req.apiKey.tier : null,
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  openStream
+};
@@ -4,14 +4,17 @@
  * This controller handles speech-to-text transcription requests. It processes uploaded
  * audio files, optionally saves them to disk, and forwards them to the Python backend
  * for transcription. The controller supports various transcription parameters including
- * language selection, word timestamps, and speaker diarization.
+ * language selection, word timestamps, and speaker diarization. The result can be
+ * returned as JSON (default) or rendered as SRT/VTT subtitles, plain text or TSV.
+ * The X-Cache header reports whether the backend result came from the result cache.
  * 
  * @author Debarun Lahiri
  */
 
-const proxyService = require('../services/proxyService');
-const audioService = require('../services/audioService');
-const logger = require('../utils/logger');
+const transcriptionService = require('../services/transcriptionService');
+const resultCache = require('../services/resultCache');
+const subtitles = require('../utils/subtitles');
+const { getCacheStatus } = require('../utils/requestContext');
 
 /**
  * Transcribe audio file to text
@@ -24,25 +27,33 @@ const logger = require('../utils/logger');
  * - language: Language code (e.g., 'en', 'es') or 'auto' for automatic detection (default: 'auto')
  * - enable_word_timestamps: Enable word-level timestamps in response (default: true)
  * - enable_diarization: Enable speaker diarization to identify different speakers (default: false)
+ * - format: Response format, json, srt, vtt, txt or tsv (default: json)
+ * - max_line_length: Maximum characters per subtitle line for srt/vtt (default: 42, 0 disables wrapping)
+ * - max_chars_per_cue: Maximum characters per subtitle cue for srt/vtt (default: 84, 0 disables splitting)
+ * - cache: 'false' to skip the result cache and run the transcription again (default: true)
+ * 
+ * The audio duration has already been checked (and possibly truncated) by the
+ * audio duration middleware when this controller runs.
  * 
  * The controller:
  * 1. Validates that an audio file was uploaded
- * 2. Extracts audio buffer, filename, and MIME type
- * 3. Parses query parameters for transcription options
- * 4. Optionally saves the audio file to disk (if configured)
- * 5. Forwards the audio to Python backend for transcription
- * 6. Returns transcription result with optional audio file URL
+ * 2. Parses query parameters for transcription options
+ * 3. Hands the audio to the transcription service, which saves it (if configured),
+ *    forwards it to the Python backend and stores the transcription
+ * 4. Returns transcription result with optional audio file URL, or the rendered
+ *    transcript for the other formats
  * 
  * @param {Object} req - Express request object
- * @param {Buffer} req.file.buffer - The uploaded audio file buffer
+ * @param {string} req.file.path - Path of the uploaded audio file (a temporary file)
  * @param {string} req.file.originalname - Original filename of the uploaded audio
  * @param {string} req.file.mimetype - MIME type of the uploaded audio
  * @param {string} req.query.language - Language code for transcription
  * @param {string} req.query.enable_word_timestamps - Enable word timestamps ('true'/'false')
  * @param {string} req.query.enable_diarization - Enable speaker diarization ('true'/'false')
+ * @param {string} req.query.format - Response format
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
- * @returns {Promise<void>} Sends JSON response with transcription result or error
+ * @returns {Promise<void>} Sends the transcription result in the requested format or error
  */
 const transcribe = async (req, res, next) => {
   try {
@@ -54,50 +65,49 @@ const transcribe = async (req, res, next) => {
       });
     }
 
-    // Extract audio file information
-    const audioBuffer = req.file.buffer;
-    const originalFilename = req.file.originalname || 'audio';
-    const mimeType = req.file.mimetype;
-
-    // Parse transcription parameters from query string
-    const params = {
-      language: req.query.language || 'auto',
-      enable_word_timestamps: req.query.enable_word_timestamps !== undefined 
-        ? req.query.enable_word_timestamps === 'true'
-        : true,
-      enable_diarization: req.query.enable_diarization !== undefined
-        ? req.query.enable_diarization === 'true'
-        : false
-    };
+    const format = req.query.format || 'json';
+    if (!subtitles.isSupportedFormat(format)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: 'format must be one of json, srt, vtt, txt, tsv'
+      });
+    }
 
-    // Optionally save audio file to disk (if configured)
-    // Continue with transcription even if saving fails
-    let savedFilename = null;
-    try {
-      savedFilename = await audioService.saveAudioFile(audioBuffer, originalFilename);
-    } catch (error) {
-      logger.warn(`Failed to save audio file, continuing with transcription: ${error.message}`);
+    const subtitleOptions = subtitles.parseOptions(req.query);
+    if (subtitleOptions.error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: subtitleOptions.error
+      });
     }
 
-    // Forward transcription request to Python backend
-    const transcriptionResult = await proxyService.transcribe(
-      audioBuffer,
-      originalFilename,
-      mimeType,
-      params
-    );
+    // Parse transcription parameters from query string
+    const params = transcriptionService.parseParams(req.query);
 
-    // Generate audio file URL if file was saved
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const audioFileUrl = savedFilename ? audioService.getAudioUrl(savedFilename, baseUrl) : null;
+    // Save the audio, forward it to the Python backend and store the result
+    const response = await transcriptionService.transcribe({
+      audio: req.file.path,
+      originalFilename: req.file.originalname || 'audio',
+      mimeType: req.file.mimetype,
+      params,
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      audioTruncated: req.audioTruncated || null,
+      apiKeyId: req.apiKey ? req.apiKey.id : null,
+      requestId: req.id,
+      useCache: resultCache.isAllowed(req.query),
+      queue: { tier: req.apiKey ? req.apiKey.tier : null }
+    });
 
-    // Combine transcription result with audio file URL
-    const response = {
-      ...transcriptionResult,
-      audio_file_url: audioFileUrl || null
-    };
+    const cacheStatus = getCacheStatus();
+    if (cacheStatus) {
+      res.set('X-Cache', cacheStatus);
+    }
+
+    if (format === 'json') {
+      return res.json(response);
+    }
 
-    res.json(response);
+    res.type(subtitles.getContentType(format)).send(subtitles.render(response, format, subtitleOptions));
   } catch (error) {
     next(error);
   }
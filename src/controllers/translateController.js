@@ -3,7 +3,8 @@
  * 
  * This controller handles text translation requests. It receives text input along with
  * optional source and target language parameters, validates the input, and forwards the
- * translation request to the Python backend service.
+ * translation request to the Python backend service. Results are served from the
+ * result cache when the same text was translated recently (see the X-Cache header).
  * 
  * @author Debarun Lahiri
  */
@@ -11,7 +12,9 @@
 const fs = require('fs').promises;
 const path = require('path');
 const proxyService = require('../services/proxyService');
+const resultCache = require('../services/resultCache');
 const logger = require('../utils/logger');
+const { getCacheStatus } = require('../utils/requestContext');
 
 /**
  * Translate text to multiple languages
@@ -26,6 +29,7 @@ const logger = require('../utils/logger');
  * @param {string} req.body.text - The text to translate (required)
  * @param {string} req.body.source_language - Source language code (optional, for hinting)
  * @param {string} req.body.target_language - Target language code (optional, deprecated but accepted for backward compatibility)
+ * @param {string} req.query.cache - 'false' to skip the result cache (optional)
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Promise<void>} Sends JSON response with translation results in multiple languages or error
@@ -45,12 +49,20 @@ const translate = async (req, res, next) => {
     // Forward translation request to Python backend
     // Note: target_language is deprecated - API always returns all 3 languages
     // But we still accept it for backward compatibility
-    const result = await proxyService.translate(
-      text,
-      source_language || null,
-      target_language || 'en' // Default for backward compatibility
+    const sourceLanguage = source_language || null;
+    const targetLanguage = target_language || 'en'; // Default for backward compatibility
+    const result = await resultCache.wrap(
+      'translate',
+      [text, sourceLanguage, targetLanguage],
+      () => proxyService.translate(text, sourceLanguage, targetLanguage),
+      { bypass: !resultCache.isAllowed(req.query) }
     );
 
+    const cacheStatus = getCacheStatus();
+    if (cacheStatus) {
+      res.set('X-Cache', cacheStatus);
+    }
+
     res.json(result);
   } catch (error) {
     next(error);
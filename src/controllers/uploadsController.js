@@ -0,0 +1,318 @@
+/**
+ * Uploads Controller
+ *
+ * This controller handles resumable uploads for clients on unreliable networks.
+ * A client creates an upload with the file's total size, PATCHes the file in
+ * chunks at the offset the proxy reports, asks for the current offset (GET or
+ * HEAD) after a dropped connection and resumes from there. Once every byte has
+ * arrived, POST /v1/uploads/:id/transcribe hands the file to the same
+ * transcription flow as POST /v1/transcribe.
+ *
+ * Offsets are exchanged in the Upload-Offset header and checksums in the
+ * Upload-Checksum header as "<algorithm> <base64 digest>" (sha256, sha1 or md5).
+ *
+ * @author Debarun Lahiri
+ */
+
+const fs = require('fs').promises;
+const config = require('../config');
+const uploadService = require('../services/uploadService');
+const { isSupportedMimeType } = require('../middleware/upload');
+const logger = require('../utils/logger');
+const { uploadSizeBytes } = require('../utils/metrics');
+
+// Content types accepted for chunk data
+const CHUNK_CONTENT_TYPES = ['application/offset+octet-stream', 'application/octet-stream'];
+
+/**
+ * Get an upload that belongs to the caller
+ *
+ * When authentication is enabled, uploads created with a different API key are
+ * treated as not found.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Upload record or null
+ */
+async function findOwnUpload(req) {
+  const upload = await uploadService.getUpload(req.params.id);
+  const ownedByCaller = !req.apiKey || (upload && upload.api_key_id === req.apiKey.id);
+  return upload && ownedByCaller ? upload : null;
+}
+
+/**
+ * Send a 404 response for an unknown upload
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+function sendUploadNotFound(req, res) {
+  res.status(404).json({
+    error: 'Not Found',
+    detail: `Upload ${req.params.id} not found`
+  });
+}
+
+/**
+ * Set the offset headers of an upload on a response
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} upload - Upload record
+ * @returns {void}
+ */
+function setOffsetHeaders(res, upload) {
+  res.set({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Length': String(upload.size),
+    'Cache-Control': 'no-store'
+  });
+}
+
+/**
+ * Create a resumable upload
+ *
+ * Responds with 201 Created and the upload; the Location header points at
+ * the upload URL that chunks are sent to.
+ *
+ * @param {Object} req - Express request object
+ * @param {number} req.body.size - Total size of the file in bytes
+ * @param {string} req.body.filename - Original filename (optional)
+ * @param {string} req.body.mime_type - MIME type of the file (optional)
+ * @param {string} req.body.checksum - Checksum of the complete file, verified before transcription (optional)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the created upload or error
+ */
+const createUpload = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const maxFileSize = config.audio.maxFileSizeMB * 1024 * 1024;
+
+    const size = Number(body.size);
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: 'size must be a positive integer (bytes)'
+      });
+    }
+    if (size > maxFileSize) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: `File size exceeds maximum allowed size of ${config.audio.maxFileSizeMB} MB`
+      });
+    }
+
+    const mimeType = body.mime_type || 'application/octet-stream';
+    if (typeof mimeType !== 'string' || !isSupportedMimeType(mimeType)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: `Unsupported file type: ${mimeType}`
+      });
+    }
+
+    const checksum = body.checksum ? uploadService.parseChecksum(body.checksum) : null;
+    if (body.checksum && !checksum) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: 'checksum must be "<algorithm> <base64 digest>" with algorithm sha256, sha1 or md5'
+      });
+    }
+
+    const upload = await uploadService.createUpload({
+      size,
+      filename: typeof body.filename === 'string' && body.filename ? body.filename : 'audio',
+      mimeType,
+      checksum,
+      apiKeyId: req.apiKey ? req.apiKey.id : null
+    });
+
+    const uploadUrl = `/v1/uploads/${upload.id}`;
+    setOffsetHeaders(res, upload);
+    res.status(201)
+      .location(uploadUrl)
+      .json({
+        ...uploadService.toPublicUpload(upload),
+        upload_url: uploadUrl,
+        transcribe_url: `${uploadUrl}/transcribe`
+      });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the state of an upload
+ *
+ * Also answers HEAD requests, so clients can read the Upload-Offset header to
+ * find where to resume.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Upload ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the upload or error
+ */
+const getUpload = async (req, res, next) => {
+  try {
+    const upload = await findOwnUpload(req);
+    if (!upload) {
+      return sendUploadNotFound(req, res);
+    }
+
+    setOffsetHeaders(res, upload);
+    res.json(uploadService.toPublicUpload(upload));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Append a chunk to an upload
+ *
+ * The request body is the chunk data. The Upload-Offset header must equal the
+ * upload's current offset; otherwise the request is rejected with 409 and the
+ * current offset so the client can resume from there. An optional
+ * Upload-Checksum header is verified before the chunk is accepted.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Upload ID
+ * @param {string} req.headers.upload-offset - Offset the chunk starts at
+ * @param {string} req.headers.upload-checksum - Checksum of the chunk (optional)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends JSON response with the updated upload or error
+ */
+const appendChunk = async (req, res, next) => {
+  try {
+    const upload = await findOwnUpload(req);
+    if (!upload) {
+      return sendUploadNotFound(req, res);
+    }
+
+    if (req.is(CHUNK_CONTENT_TYPES) === false) {
+      return res.status(415).json({
+        error: 'Unsupported Media Type',
+        detail: `Chunks must be sent as ${CHUNK_CONTENT_TYPES.join(' or ')}`
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!req.get('Upload-Offset') || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: 'Upload-Offset header must be a non-negative integer'
+      });
+    }
+    if (offset !== upload.offset) {
+      setOffsetHeaders(res, upload);
+      return res.status(409).json({
+        error: 'Conflict',
+        detail: `Upload-Offset ${offset} does not match the current offset ${upload.offset}`,
+        offset: upload.offset
+      });
+    }
+
+    const checksum = req.get('Upload-Checksum') ? uploadService.parseChecksum(req.get('Upload-Checksum')) : null;
+    if (req.get('Upload-Checksum') && !checksum) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: 'Upload-Checksum header must be "<algorithm> <base64 digest>" with algorithm sha256, sha1 or md5'
+      });
+    }
+
+    const contentLength = Number(req.get('Content-Length'));
+    if (contentLength > upload.size - upload.offset) {
+      return res.status(413).json({
+        error: 'Payload Too Large',
+        detail: `Chunk exceeds the ${upload.size - upload.offset} bytes remaining in the upload`
+      });
+    }
+
+    await uploadService.appendChunk(upload, req, checksum);
+
+    setOffsetHeaders(res, upload);
+    res.json(uploadService.toPublicUpload(upload));
+  } catch (error) {
+    // Nobody is left to receive a response when the client disconnected mid-chunk
+    if (!error.statusCode && !req.complete) {
+      (req.log || logger).warn(`Chunk for upload ${req.params.id} aborted: ${error.message}`);
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * Cancel an upload and delete its data
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Upload ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Sends 204 No Content or error
+ */
+const deleteUpload = async (req, res, next) => {
+  try {
+    const upload = await findOwnUpload(req);
+    if (!upload) {
+      return sendUploadNotFound(req, res);
+    }
+
+    await uploadService.deleteUpload(upload);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete an upload for transcription
+ *
+ * Middleware for POST /v1/uploads/:id/transcribe. Verifies that the upload is
+ * complete (and matches its checksum), then exposes the file as req.file so the
+ * audio duration middleware and the transcription controller handle it exactly
+ * like a multipart upload. The upload is deleted once the transcription has
+ * been sent successfully; after a failure or a dropped connection it can be
+ * transcribed again.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Upload ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Calls next() with req.file set or sends error response
+ */
+const completeUpload = async (req, res, next) => {
+  try {
+    const upload = await findOwnUpload(req);
+    if (!upload) {
+      return sendUploadNotFound(req, res);
+    }
+
+    const filePath = await uploadService.completeUpload(upload);
+    req.file = {
+      path: filePath,
+      originalname: upload.filename,
+      mimetype: upload.mime_type,
+      size: upload.size
+    };
+
+    // Read req.file at close time: the audio duration middleware may replace the file
+    res.on('close', () => {
+      fs.rm(req.file.path, { force: true }).catch(() => {});
+      uploadService.releaseUpload(upload, res.writableFinished && res.statusCode < 300);
+    });
+
+    uploadSizeBytes.observe(upload.size);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createUpload,
+  getUpload,
+  appendChunk,
+  deleteUpload,
+  completeUpload
+};
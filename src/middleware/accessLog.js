@@ -0,0 +1,148 @@
+/**
+ * Access Log Middleware
+ *
+ * This middleware writes one line per request to a dedicated access log file,
+ * rotated by size independently of the application log. Each line records:
+ * - method, path, route label and HTTP version
+ * - status code and total latency
+ * - bytes in and out (from the Content-Length headers)
+ * - client IP and user agent
+ * - API key ID (when authenticated) and request ID
+ * - time spent waiting for the Python backend
+ *
+ * ACCESS_LOG_FORMAT selects the line format:
+ * - json: one JSON object per line with all fields above
+ * - combined: Apache/nginx combined log format (API key ID as the user field),
+ *   followed by key=value pairs for the remaining fields
+ *
+ * Must be registered after the request ID middleware.
+ *
+ * @author Debarun Lahiri
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const config = require('../config');
+const getRouteLabel = require('../utils/routeLabel');
+const { getContext } = require('../utils/requestContext');
+
+const accessLogConfig = config.logging.accessLog;
+
+// Month abbreviations used by the combined log format
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Create the Winston logger writing the access log file
+ *
+ * Lines are pre-formatted by the middleware, so the logger writes messages as-is.
+ *
+ * @returns {Object} Winston logger
+ */
+function createAccessLogger() {
+  const logDir = path.dirname(accessLogConfig.file);
+  if (!fs.existsSync(logDir)) {
+    fs.mkdirSync(logDir, { recursive: true });
+  }
+
+  return winston.createLogger({
+    level: 'info',
+    format: winston.format.printf(({ message }) => message),
+    transports: [
+      new winston.transports.File({
+        filename: accessLogConfig.file,
+        maxsize: accessLogConfig.maxSizeMB * 1024 * 1024,
+        maxFiles: accessLogConfig.maxFiles
+      })
+    ]
+  });
+}
+
+/**
+ * Format a date as in the combined log format (e.g. 19/Oct/2026:18:38:17 +0000)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date in UTC
+ */
+function formatClfDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Format an access log entry as a combined log format line
+ *
+ * @param {Object} entry - Access log entry
+ * @param {Date} date - Time the request was received
+ * @returns {string} Log line
+ */
+function formatCombined(entry, date) {
+  const quote = value => `"${String(value || '-').replace(/"/g, '\\"')}"`;
+  const seconds = ms => (ms === null ? '-' : (ms / 1000).toFixed(3));
+
+  return `${entry.client_ip || '-'} - ${entry.api_key_id || '-'} [${formatClfDate(date)}] ` +
+    `${quote(`${entry.method} ${entry.path} HTTP/${entry.http_version}`)} ${entry.status} ${entry.bytes_out === null ? '-' : entry.bytes_out} ` +
+    `${quote(entry.referer)} ${quote(entry.user_agent)} ` +
+    `rt=${seconds(entry.latency_ms)} backend_rt=${seconds(entry.backend_latency_ms)} bytes_in=${entry.bytes_in} ` +
+    `route=${quote(entry.route)} request_id=${entry.request_id || '-'}`;
+}
+
+/**
+ * Parse a Content-Length header value
+ *
+ * @param {string|number|undefined} value - Header value
+ * @returns {number|null} Length in bytes or null if unknown
+ */
+function parseLength(value) {
+  const length = parseInt(value, 10);
+  return Number.isNaN(length) ? null : length;
+}
+
+// Access log writer, created only when the access log is enabled
+const accessLogger = accessLogConfig.enabled ? createAccessLogger() : null;
+
+/**
+ * Write an access log line once the response has been sent
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const accessLog = (req, res, next) => {
+  if (!accessLogger) {
+    return next();
+  }
+
+  const receivedAt = new Date();
+  const startedAt = process.hrtime.bigint();
+  const context = getContext();
+
+  res.on('finish', () => {
+    const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const entry = {
+      timestamp: receivedAt.toISOString(),
+      request_id: req.id || null,
+      method: req.method,
+      path: req.originalUrl,
+      route: getRouteLabel(req),
+      http_version: req.httpVersion,
+      status: res.statusCode,
+      latency_ms: Math.round(latencyMs * 100) / 100,
+      bytes_in: parseLength(req.get('content-length')) || 0,
+      bytes_out: parseLength(res.get('content-length')),
+      client_ip: req.ip,
+      user_agent: req.get('user-agent') || null,
+      referer: req.get('referer') || null,
+      api_key_id: req.apiKey ? req.apiKey.id : null,
+      backend_latency_ms: context && context.backendTimeMs > 0 ? context.backendTimeMs : null
+    };
+
+    accessLogger.info(accessLogConfig.format === 'combined' ? formatCombined(entry, receivedAt) : JSON.stringify(entry));
+  });
+
+  next();
+};
+
+module.exports = accessLog;
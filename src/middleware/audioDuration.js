@@ -0,0 +1,86 @@
+/**
+ * Audio Duration Middleware
+ *
+ * This middleware enforces the maximum audio duration configured by
+ * MAX_AUDIO_DURATION_SECONDS. It probes the uploaded file's headers to determine
+ * its duration before the audio is forwarded to the Python backend. Over-length
+ * audio is either rejected or, in 'truncate' mode, trimmed to the limit.
+ *
+ * Audio whose duration cannot be determined from its headers is passed through
+ * and left to the Python backend to validate.
+ *
+ * @author Debarun Lahiri
+ */
+
+const fs = require('fs').promises;
+const config = require('../config');
+const audioService = require('../services/audioService');
+const audioProbe = require('../utils/audioProbe');
+const logger = require('../utils/logger');
+
+/**
+ * Audio duration middleware function
+ *
+ * Must run after the upload middleware. Sets req.audioDuration to the probed
+ * duration in seconds (or null if unknown). When audio is truncated, the
+ * uploaded file is replaced and req.audioTruncated holds the original duration.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Calls next() on success or sends error response
+ */
+const audioDurationMiddleware = async (req, res, next) => {
+  req.audioDuration = null;
+
+  // Missing files are reported by the controller
+  if (!req.file) {
+    return next();
+  }
+
+  let probeResult = null;
+  try {
+    probeResult = await audioProbe.probeFile(req.file.path);
+  } catch (error) {
+    logger.warn(`Failed to probe ${req.file.originalname}: ${error.message}`);
+  }
+
+  if (!probeResult) {
+    logger.debug(`Could not determine duration of ${req.file.originalname}, skipping duration check`);
+    return next();
+  }
+
+  req.audioDuration = probeResult.duration;
+  const maxDuration = config.audio.maxDurationSeconds;
+
+  if (!maxDuration || probeResult.duration <= maxDuration) {
+    return next();
+  }
+
+  // Trim to the limit instead of rejecting when configured to do so
+  if (config.audio.durationLimitMode === 'truncate') {
+    try {
+      const truncatedPath = `${req.file.path}-truncated`;
+      req.file.size = await audioService.truncateAudio(req.file.path, truncatedPath, probeResult.format, maxDuration);
+
+      // The upload middleware deletes whichever file req.file.path points to
+      await fs.rm(req.file.path, { force: true });
+      req.file.path = truncatedPath;
+      req.audioTruncated = { originalDuration: probeResult.duration };
+      req.audioDuration = maxDuration;
+      logger.info(`Truncated ${req.file.originalname} from ${probeResult.duration.toFixed(1)}s to ${maxDuration}s`);
+      return next();
+    } catch (error) {
+      logger.warn(`Failed to truncate ${req.file.originalname}, rejecting instead: ${error.message}`);
+    }
+  }
+
+  return res.status(413).json({
+    error: 'Payload Too Large',
+    detail: `Audio duration of ${probeResult.duration.toFixed(1)} seconds exceeds maximum allowed duration of ${maxDuration} seconds`,
+    max_duration_seconds: maxDuration,
+    audio_duration_sec: Math.round(probeResult.duration * 100) / 100
+  });
+};
+
+module.exports = audioDurationMiddleware;
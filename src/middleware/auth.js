@@ -0,0 +1,166 @@
+/**
+ * Authentication Middleware
+ *
+ * This middleware protects routes with API keys when AUTH_ENABLED=true. Keys are
+ * read from the Authorization header, either as a bearer token
+ * (`Authorization: Bearer <key>`) or as the password of HTTP Basic credentials,
+ * which lets browsers open the HTML recordings pages with a login prompt.
+ *
+ * Each protected route requires a scope (transcribe, translate, recordings:read,
+ * recordings:delete, metrics). Only requests to routes that call the Python
+ * backend are checked against the key's daily quotas (enforceQuota), and they
+ * are counted (countRequest) only once they have passed rate limiting and are
+ * not idempotent replays; polling jobs, upload chunks, metrics scrapes and
+ * recordings pages are not counted.
+ * Errors use the standard {error, detail} response shape:
+ * - 401 Unauthorized: missing or invalid API key
+ * - 403 Forbidden: key lacks the required scope
+ * - 429 Too Many Requests: daily quota exhausted
+ *
+ * @author Debarun Lahiri
+ */
+
+const config = require('../config');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+/**
+ * Extract the API key from the Authorization header
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} Presented API key or null if none was sent
+ */
+function extractApiKey(req) {
+  const header = req.get('authorization');
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, credentials] = header.split(' ');
+  if (!credentials) {
+    return null;
+  }
+
+  if (scheme.toLowerCase() === 'bearer') {
+    return credentials.trim();
+  }
+
+  // Basic credentials: the key is the password, the username is ignored
+  if (scheme.toLowerCase() === 'basic') {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf-8');
+    const separator = decoded.indexOf(':');
+    return separator >= 0 ? decoded.slice(separator + 1) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Get the number of seconds until the daily quotas reset (UTC midnight)
+ *
+ * @returns {number} Seconds until the next UTC day
+ */
+function secondsUntilQuotaReset() {
+  const now = new Date();
+  const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((nextDay - now.getTime()) / 1000);
+}
+
+/**
+ * Create middleware that requires an API key with the given scope
+ *
+ * On success, the key record is available as req.apiKey. When authentication
+ * is disabled, all requests pass and req.apiKey is null. Quotas are not
+ * checked here; see enforceQuota.
+ *
+ * @param {string} scope - Required scope
+ * @returns {Function} Express middleware function
+ */
+const requireScope = (scope) => (req, res, next) => {
+  req.apiKey = null;
+
+  if (!config.auth.enabled) {
+    return next();
+  }
+
+  const presentedKey = extractApiKey(req);
+  if (!presentedKey) {
+    res.set('WWW-Authenticate', ['Bearer realm="STT Proxy"', 'Basic realm="STT Proxy"']);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      detail: 'API key is required'
+    });
+  }
+
+  const apiKey = apiKeyService.authenticate(presentedKey);
+  if (!apiKey) {
+    logger.warn(`Rejected invalid API key for ${req.method} ${req.path}`);
+    res.set('WWW-Authenticate', ['Bearer realm="STT Proxy"', 'Basic realm="STT Proxy"']);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      detail: 'Invalid API key'
+    });
+  }
+
+  if (!apiKeyService.hasScope(apiKey, scope)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      detail: `API key '${apiKey.id}' does not have the '${scope}' scope`
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+/**
+ * Check the authenticated key's daily quotas
+ *
+ * Must run after requireScope. Used on the routes that call the Python backend,
+ * together with countRequest. Passes all requests when authentication is disabled.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} Calls next() or sends a 429 response
+ */
+const enforceQuota = (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const exceeded = apiKeyService.checkQuota(req.apiKey);
+  if (exceeded) {
+    res.set('Retry-After', String(secondsUntilQuotaReset()));
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      detail: `API key '${req.apiKey.id}' has used its ${exceeded.quota} quota of ${exceeded.limit} for today`
+    });
+  }
+
+  next();
+};
+
+/**
+ * Count the request against the authenticated key's daily quotas
+ *
+ * Runs after rateLimit and idempotency, so rate-limited requests and replayed
+ * responses are not counted. Does nothing when authentication is disabled.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} Calls next()
+ */
+const countRequest = (req, res, next) => {
+  if (req.apiKey) {
+    apiKeyService.recordRequest(req.apiKey.id);
+  }
+  next();
+};
+
+module.exports = {
+  requireScope,
+  enforceQuota,
+  countRequest
+};
@@ -4,7 +4,8 @@
  * This middleware handles all errors that occur during request processing.
  * It logs errors with context information and sends appropriate error responses
  * to the client. The middleware distinguishes between client errors (4xx) and
- * server errors (5xx) and formats the response accordingly.
+ * server errors (5xx) and formats the response accordingly. Error responses
+ * include the request_id so clients can report it.
  * 
  * @author Debarun Lahiri
  */
@@ -18,7 +19,7 @@ const logger = require('../utils/logger');
  * It:
  * 1. Logs the error with stack trace and request context
  * 2. Determines the appropriate HTTP status code
- * 3. Formats a user-friendly error response
+ * 3. Formats a user-friendly error response with the request ID
  * 4. Sends the error response to the client
  * 
  * @param {Error} err - The error object passed from previous middleware/controllers
@@ -29,7 +30,9 @@ const logger = require('../utils/logger');
  */
 const errorHandler = (err, req, res, next) => {
   // Log error with full context for debugging
-  logger.error(`Error: ${err.message}`, {
+  // req.log adds the request ID; fall back to the shared logger if it is missing
+  const log = req.log || logger;
+  log.error(`Error: ${err.message}`, {
     stack: err.stack,
     url: req.url,
     method: req.method
@@ -51,6 +54,16 @@ const errorHandler = (err, req, res, next) => {
     Object.assign(errorResponse, data);
   }
 
+  // Identify the request so clients can quote it when reporting problems
+  if (req.id) {
+    errorResponse.request_id = req.id;
+  }
+
+  // Tell the client when to retry if the error carries a retry delay
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Send error response
   res.status(statusCode).json(errorResponse);
 };
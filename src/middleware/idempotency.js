@@ -0,0 +1,179 @@
+/**
+ * Idempotency Middleware
+ *
+ * This middleware makes POST requests with an Idempotency-Key header safe to
+ * retry. The first request with a key is processed normally and its response
+ * is stored. Duplicates (same client and key) that arrive while it is being
+ * processed wait for it, and later duplicates within IDEMPOTENCY_TTL_SECONDS
+ * receive the stored response, marked with Idempotent-Replayed: true, without
+ * saving or transcribing anything again.
+ *
+ * Keys are scoped to the client (API key when authenticated, otherwise IP
+ * address). Reusing a key for a different request (method, URL, body or
+ * uploaded file) is rejected with 422. On routes with a file upload the
+ * middleware runs after the upload middleware, so duplicates upload the file
+ * again and their file is compared by its SHA-256 hash. Server errors (5xx) and 429 responses are not stored,
+ * so the request can be retried with the same key. If the client disconnects
+ * before the request body has arrived, or the request doesn't finish within
+ * IDEMPOTENCY_PENDING_TIMEOUT_SECONDS, the key is released as well.
+ *
+ * @author Debarun Lahiri
+ */
+
+const crypto = require('crypto');
+const idempotencyStore = require('../services/idempotencyStore');
+const resultCache = require('../services/resultCache');
+const logger = require('../utils/logger');
+
+// Longest accepted Idempotency-Key
+const MAX_KEY_LENGTH = 255;
+
+// Response headers replayed to duplicates; the rest are per request (request ID, rate limits)
+const REPLAYED_HEADERS = ['Content-Type', 'Content-Disposition', 'Location', 'X-Cache'];
+
+/**
+ * Build the fingerprint of a request, compared when a key is reused
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<string>} Hex SHA-256 of the method, URL, parsed body and the hash of the uploaded file
+ */
+const getFingerprint = async (req) => {
+  const fileHash = req.file ? await resultCache.hashAudio(req.file.path) : null;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body || {}, fileHash]))
+    .digest('hex');
+};
+
+/**
+ * Send a stored response to a duplicate request
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} response - Stored status code, headers and body
+ * @returns {void}
+ */
+const replay = (res, response) => {
+  res.set(response.headers);
+  res.set('Idempotent-Replayed', 'true');
+  res.status(response.statusCode).end(response.body);
+};
+
+/**
+ * Record the response of a request so it can be replayed
+ *
+ * Captures the body as the handler writes it and stores the response when
+ * the handler ends it, even if the client has already disconnected, so a
+ * retry after a dropped connection gets the result of the original request.
+ *
+ * @param {string} key - Store key
+ * @param {Object} entry - Pending entry of the key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const captureResponse = (key, entry, req, res) => {
+  const chunks = [];
+  const write = res.write;
+  const end = res.end;
+  let ended = false;
+
+  const collect = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+  };
+
+  res.write = function (chunk, encoding, callback) {
+    collect(chunk, encoding);
+    return write.call(this, chunk, encoding, callback);
+  };
+
+  res.end = function (chunk, encoding, callback) {
+    collect(chunk, encoding);
+    ended = true;
+
+    if (res.statusCode >= 500 || res.statusCode === 429) {
+      idempotencyStore.release(key, entry);
+    } else {
+      const headers = {};
+      for (const name of REPLAYED_HEADERS) {
+        if (res.get(name) !== undefined) {
+          headers[name] = res.get(name);
+        }
+      }
+      idempotencyStore.complete(key, entry, { statusCode: res.statusCode, headers, body: Buffer.concat(chunks) });
+    }
+
+    return end.call(this, chunk, encoding, callback);
+  };
+
+  // Without the whole body the handler won't produce a response
+  res.on('close', () => {
+    if (!ended && !req.complete) {
+      idempotencyStore.release(key, entry);
+    }
+  });
+};
+
+/**
+ * Idempotency middleware function
+ *
+ * Must run after the authentication middleware so API keys can scope the keys,
+ * and after the upload middleware on routes that take a file upload.
+ * Requests without an Idempotency-Key header are passed through unchanged.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Calls next(), replays a stored response or sends an error response
+ */
+const idempotency = async (req, res, next) => {
+  try {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    if (!idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        detail: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const clientId = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+    const key = `${clientId}:${idempotencyKey}`;
+    const fingerprint = await getFingerprint(req);
+
+    // A duplicate may have to process the request itself if the original is released
+    for (;;) {
+      const entry = idempotencyStore.get(key);
+
+      if (!entry) {
+        captureResponse(key, idempotencyStore.begin(key, fingerprint), req, res);
+        return next();
+      }
+
+      if (entry.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: 'Unprocessable Entity',
+          detail: 'Idempotency-Key has already been used for a different request'
+        });
+      }
+
+      if (entry.state === 'done') {
+        logger.info(`Replaying stored response for Idempotency-Key ${idempotencyKey}`);
+        return replay(res, entry.response);
+      }
+
+      logger.info(`Waiting for the original request with Idempotency-Key ${idempotencyKey}`);
+      const response = await entry.promise;
+      if (response) {
+        return replay(res, response);
+      }
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,48 @@
+/**
+ * In-Flight Request Tracking Middleware
+ *
+ * This middleware counts the HTTP requests the proxy is currently handling.
+ * The count is reported by the /health endpoint. A request stops counting once
+ * its response has been sent or the client connection has closed.
+ *
+ * @author Debarun Lahiri
+ */
+
+// Number of requests currently being handled
+let inFlightCount = 0;
+
+/**
+ * Count a request as in flight until its response finishes
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const trackInFlight = (req, res, next) => {
+  inFlightCount++;
+
+  let done = false;
+  const release = () => {
+    if (!done) {
+      done = true;
+      inFlightCount--;
+    }
+  };
+  res.on('finish', release);
+  res.on('close', release);
+
+  next();
+};
+
+/**
+ * Get the number of requests currently being handled
+ *
+ * @returns {number} In-flight request count
+ */
+const getInFlightCount = () => inFlightCount;
+
+module.exports = {
+  trackInFlight,
+  getInFlightCount
+};
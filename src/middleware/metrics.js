@@ -0,0 +1,38 @@
+/**
+ * HTTP Metrics Middleware
+ *
+ * This middleware records the count and latency of every HTTP request in the
+ * Prometheus metrics exposed on /metrics. Requests are labelled with their
+ * method, status code and route label (see utils/routeLabel).
+ *
+ * @author Debarun Lahiri
+ */
+
+const { httpRequestsTotal, httpRequestDurationSeconds } = require('../utils/metrics');
+const getRouteLabel = require('../utils/routeLabel');
+
+/**
+ * Record request count and latency once the response has been sent
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDurationSeconds.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: getRouteLabel(req),
+      status: String(res.statusCode)
+    };
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+module.exports = httpMetrics;
@@ -0,0 +1,73 @@
+/**
+ * Rate Limit Middleware
+ *
+ * This middleware limits how often each client may call the routes that fan out
+ * to the Python backend. Limits use a token bucket per client and route: each
+ * bucket holds up to `burst` tokens and refills at `requestsPerMinute`.
+ *
+ * Clients are identified by their API key when authenticated, otherwise by IP
+ * address. Every response carries X-RateLimit-Limit, X-RateLimit-Remaining and
+ * X-RateLimit-Reset headers; rejected requests get 429 with Retry-After.
+ *
+ * @author Debarun Lahiri
+ */
+
+const config = require('../config');
+const { createStore } = require('../services/rateLimitStore');
+const logger = require('../utils/logger');
+
+// Shared store for all rate-limited routes
+const store = createStore();
+
+/**
+ * Create rate limit middleware for a named route group
+ *
+ * Must run after the authentication middleware so API keys can be used as
+ * the client identifier.
+ *
+ * @param {string} name - Route group name as configured in config.rateLimit.routes
+ * @returns {Function} Express middleware function
+ */
+const rateLimit = (name) => {
+  const limits = config.rateLimit.routes[name];
+  if (!limits) {
+    throw new Error(`No rate limit configured for route group '${name}'`);
+  }
+
+  const capacity = limits.burst;
+  const refillPerSecond = limits.requestsPerMinute / 60;
+
+  return async (req, res, next) => {
+    if (!config.rateLimit.enabled) {
+      return next();
+    }
+
+    const clientId = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+
+    let result;
+    try {
+      result = await store.consume(`${name}:${clientId}`, { capacity, refillPerSecond });
+    } catch (error) {
+      // Never block traffic because the store is unavailable
+      logger.error(`Rate limit store error, allowing request: ${error.message}`);
+      return next();
+    }
+
+    res.set('X-RateLimit-Limit', String(capacity));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+    res.set('X-RateLimit-Reset', String(result.resetSeconds));
+
+    if (!result.allowed) {
+      logger.warn(`Rate limit exceeded for ${name} by ${clientId}`);
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        detail: `Rate limit of ${limits.requestsPerMinute} ${name} requests per minute exceeded, retry in ${result.retryAfterSeconds} seconds`
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
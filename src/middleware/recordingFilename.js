@@ -0,0 +1,58 @@
+/**
+ * Recording Filename Middleware
+ *
+ * This middleware validates the :filename route parameter of every recordings
+ * and /audio route before the controller runs. Filenames are checked by
+ * audioService.isValidFilename, which only accepts the generated recording
+ * name pattern (YYYY-MM-DD_HH-MM-SS_xxxxxxxx.ext), so requests can never reach
+ * other files in storage.
+ *
+ * Invalid filenames are rejected with 400 Bad Request: JSON in the standard
+ * {error, detail} shape for API and /audio routes, an HTML page for the
+ * recordings pages.
+ *
+ * Placed after requireScope in each route, so unauthenticated callers get 401
+ * before their filename is looked at.
+ *
+ * @author Debarun Lahiri
+ */
+
+const audioService = require('../services/audioService');
+const logger = require('../utils/logger');
+
+/**
+ * Validate the filename route parameter
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} Calls next() for valid filenames or sends a 400 response
+ */
+const validateRecordingFilename = (req, res, next) => {
+  const { filename } = req.params;
+  if (audioService.isValidFilename(filename)) {
+    return next();
+  }
+
+  (req.log || logger).warn(`Rejected invalid recording filename: ${JSON.stringify(filename)}`);
+
+  if (!req.originalUrl.startsWith('/recordings/')) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      detail: 'Invalid recording filename'
+    });
+  }
+
+  res.status(400).send(`
+    <html>
+      <head><title>Bad Request</title></head>
+      <body>
+        <h1>Bad Request</h1>
+        <p>Invalid recording filename</p>
+        <a href="/recordings">Back to Recordings</a>
+      </body>
+    </html>
+  `);
+};
+
+module.exports = validateRecordingFilename;
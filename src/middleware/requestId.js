@@ -0,0 +1,43 @@
+/**
+ * Request ID Middleware
+ *
+ * This middleware assigns every request an ID used to correlate the client
+ * request, the Python backend call and the saved recording in logs:
+ * - An incoming X-Request-Id header is honored if it is a safe token
+ *   (letters, digits, '.', '_', ':' and '-', up to 128 characters);
+ *   otherwise a new UUID is generated
+ * - The ID is returned in the X-Request-Id response header
+ * - req.id holds the ID and req.log is a child logger that adds it to every line
+ * - The rest of the request runs in a request context, so services and the
+ *   shared logger pick up the ID as well
+ *
+ * @author Debarun Lahiri
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { runWithRequestId } = require('../utils/requestContext');
+
+// Accepted format for client-supplied request IDs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assign a request ID and run the rest of the request in its context
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+
+  req.id = id;
+  req.log = logger.child({ request_id: id });
+  res.set('X-Request-Id', id);
+
+  runWithRequestId(id, next);
+};
+
+module.exports = requestId;
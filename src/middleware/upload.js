@@ -3,22 +3,140 @@
  * 
  * This middleware handles multipart/form-data file uploads for audio files.
  * It uses multer to process file uploads, validates file types and sizes,
- * and stores files in memory as buffers. The middleware supports various
- * audio formats and enforces file size limits.
+ * and streams files to a temporary file in UPLOAD_TEMP_DIR, so memory use
+ * does not grow with the file size. The middleware supports various audio
+ * formats and enforces file size limits.
+ *
+ * The uploaded file is available as req.file.path until the response has been
+ * sent or the client disconnects, after which it is deleted. Partial files of
+ * aborted or rejected uploads are deleted as well.
  * 
  * @author Debarun Lahiri
  */
 
+const fs = require('fs');
+const path = require('path');
+const { AsyncResource } = require('async_hooks');
+const { pipeline } = require('stream/promises');
 const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { uploadSizeBytes } = require('../utils/metrics');
 
 // Calculate maximum file size in bytes from MB configuration
 const maxFileSize = config.audio.maxFileSizeMB * 1024 * 1024;
 
-// Configure multer to store files in memory as buffers
-// This allows the file to be processed without writing to disk first
-const storage = multer.memoryStorage();
+// Prefix of temporary upload files, so leftovers can be recognized
+const TEMP_FILE_PREFIX = 'upload-';
+
+/**
+ * Delete a temporary upload file, ignoring files that are already gone
+ *
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<void>}
+ */
+const removeTempFile = async (filePath) => {
+  try {
+    await fs.promises.rm(filePath, { force: true });
+  } catch (error) {
+    logger.warn(`Failed to delete temporary upload ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * TempFileStorage Class
+ *
+ * Multer storage engine that streams each uploaded file to a temporary file.
+ * If the client disconnects mid-upload, the file stream is destroyed so the
+ * partial file is deleted and multer reports the error.
+ */
+class TempFileStorage {
+  /**
+   * Initialize TempFileStorage
+   *
+   * @param {string} directory - Directory for temporary files
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Write an uploaded file to a temporary file (multer storage engine API)
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} file - Multer file object with the file stream
+   * @param {Function} cb - Callback receiving an error or the path and size
+   * @returns {void}
+   */
+  _handleFile(req, file, cb) {
+    const filePath = path.join(this.directory, `${TEMP_FILE_PREFIX}${uuidv4()}`);
+    const output = fs.createWriteStream(filePath);
+
+    const onClose = () => {
+      if (!req.complete) {
+        file.stream.destroy(new Error('Upload aborted by client'));
+      }
+    };
+    req.on('close', onClose);
+
+    pipeline(file.stream, output)
+      .then(() => cb(null, { path: filePath, size: output.bytesWritten }))
+      .catch(async (error) => {
+        await removeTempFile(filePath);
+        cb(error);
+      })
+      .finally(() => req.off('close', onClose));
+  }
+
+  /**
+   * Delete a stored file when multer aborts the upload (multer storage engine API)
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} file - Multer file object
+   * @param {Function} cb - Callback called once the file is deleted
+   * @returns {void}
+   */
+  _removeFile(req, file, cb) {
+    removeTempFile(file.path).then(() => cb(null));
+  }
+}
+
+// Create the temporary directory and remove files left behind by a crash
+fs.mkdirSync(config.audio.uploadTempDir, { recursive: true });
+for (const name of fs.readdirSync(config.audio.uploadTempDir)) {
+  if (name.startsWith(TEMP_FILE_PREFIX)) {
+    fs.rmSync(path.join(config.audio.uploadTempDir, name), { force: true });
+  }
+}
+
+// Configure multer to stream files to temporary files on disk
+const storage = new TempFileStorage(config.audio.uploadTempDir);
+
+// List of allowed MIME types for audio and video files
+const allowedMimeTypes = [
+  'audio/wav', 'audio/wave', 'audio/x-wav',
+  'audio/mpeg', 'audio/mp3',
+  'audio/mp4', 'audio/m4a',
+  'audio/aac',
+  'audio/flac',
+  'audio/ogg', 'audio/vorbis', 'audio/opus',
+  'audio/webm',
+  'video/webm', 'video/mp4',
+  'audio/aiff', 'audio/x-aiff',
+  'audio/amr',
+  'application/octet-stream'
+];
+
+/**
+ * Check whether a MIME type is accepted for audio uploads
+ *
+ * Also used by resumable uploads, which don't go through multer.
+ *
+ * @param {string} mimetype - MIME type of the file (may be empty)
+ * @returns {boolean} True if the MIME type is in the allowed list, starts with 'audio/' or is missing
+ */
+const isSupportedMimeType = (mimetype) => !mimetype || allowedMimeTypes.includes(mimetype) || mimetype.startsWith('audio/');
 
 /**
  * File type filter function
@@ -31,26 +149,12 @@ const storage = multer.memoryStorage();
  * @param {Function} cb - Callback function (error, accept)
  */
 const fileFilter = (req, file, cb) => {
-  // List of allowed MIME types for audio and video files
-  const allowedMimeTypes = [
-    'audio/wav', 'audio/wave', 'audio/x-wav',
-    'audio/mpeg', 'audio/mp3',
-    'audio/mp4', 'audio/m4a',
-    'audio/aac',
-    'audio/flac',
-    'audio/ogg', 'audio/vorbis', 'audio/opus',
-    'audio/webm',
-    'video/webm', 'video/mp4',
-    'audio/aiff', 'audio/x-aiff',
-    'audio/amr',
-    'application/octet-stream'
-  ];
-
-  // Accept file if MIME type is in allowed list or starts with 'audio/'
-  if (!file.mimetype || allowedMimeTypes.includes(file.mimetype) || file.mimetype.startsWith('audio/')) {
+  if (isSupportedMimeType(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error(`Unsupported file type: ${file.mimetype}. Supported types: ${allowedMimeTypes.join(', ')}`), false);
+    const error = new Error(`Unsupported file type: ${file.mimetype}. Supported types: ${allowedMimeTypes.join(', ')}`);
+    error.statusCode = 400;
+    cb(error, false);
   }
 };
 
@@ -68,7 +172,8 @@ const upload = multer({
  * 
  * This middleware processes single file uploads with the field name 'audio_file'.
  * It handles multer errors and file validation errors, returning appropriate
- * HTTP error responses for client errors.
+ * HTTP error responses for client errors. The temporary file is deleted when
+ * the response closes (sent, failed or aborted by the client).
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -76,9 +181,26 @@ const upload = multer({
  * @returns {void} Calls next() on success or sends error response
  */
 const uploadMiddleware = (req, res, next) => {
+  // Read req.file at close time: later middleware may replace the file (e.g., when truncating)
+  res.on('close', () => {
+    if (req.file && req.file.path) {
+      removeTempFile(req.file.path);
+    }
+  });
+
   // Process single file upload with field name 'audio_file'
-  upload.single('audio_file')(req, res, (err) => {
+  // Bind the callback so it runs in the request context (multer calls it from stream events)
+  upload.single('audio_file')(req, res, AsyncResource.bind((err) => {
     if (err) {
+      // Nobody is left to receive a response when the client disconnected mid-upload
+      if (req.destroyed || res.writableEnded) {
+        (req.log || logger).warn(`Upload aborted: ${err.message}`);
+        return;
+      }
+
+      // Multer stops reading on errors; drain the rest of the body so the response reaches the client
+      req.resume();
+
       // Handle multer-specific errors
       if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
@@ -95,9 +217,13 @@ const uploadMiddleware = (req, res, next) => {
       // Forward other errors to error handler middleware
       return next(err);
     }
-    // File uploaded successfully, continue to next middleware
+    // File uploaded successfully, record its size and continue to next middleware
+    if (req.file) {
+      uploadSizeBytes.observe(req.file.size);
+    }
     next();
-  });
+  }));
 };
 
 module.exports = uploadMiddleware;
+module.exports.isSupportedMimeType = isSupportedMimeType;
@@ -7,14 +7,43 @@
  * Available routes:
  * - GET  /              - Root endpoint with service information
  * - GET  /health        - Health check endpoint
+ * - GET  /health/live   - Liveness probe
+ * - GET  /health/ready  - Readiness probe
+ * - GET  /metrics       - Prometheus metrics
  * - POST /v1/transcribe - Speech-to-text transcription endpoint
+ * - GET  /v1/stream - Streaming transcription over WebSocket
+ * - POST /v1/jobs/transcribe - Create an asynchronous transcription job
+ * - GET  /v1/jobs/:id   - Get the status and result of a job
+ * - POST /v1/uploads    - Create a resumable upload
+ * - GET  /v1/uploads/:id - Offset and state of a resumable upload (also HEAD)
+ * - PATCH /v1/uploads/:id - Append a chunk to a resumable upload
+ * - DELETE /v1/uploads/:id - Cancel a resumable upload
+ * - POST /v1/uploads/:id/transcribe - Transcribe a completed resumable upload
+ * - GET  /v1/queue      - Transcription queue state and estimated wait
  * - POST /v1/translate  - Text translation endpoint
  * - POST /v1/detect-language - Language detection endpoint
  * - GET  /recordings    - HTML page listing all recordings
  * - GET  /recordings/:filename - HTML page for individual recording
  * - GET  /api/recordings - JSON API listing all recordings
+ * - GET  /api/recordings/retention - Retention dry-run report
  * - GET  /api/recordings/:filename - JSON API for individual recording
+ * - GET  /api/recordings/:filename/transcript.:format - Stored transcript as srt, vtt, txt, tsv or json
+ * - PATCH /api/recordings/:filename - Rename (set the title of) a recording
+ * - DELETE /api/recordings/:filename - Delete a recording
+ * - POST /api/recordings/bulk-delete - Delete recordings by filename list or date range
+ * - PUT  /api/recordings/:filename/pin - Pin a recording so retention never sweeps it
+ * - DELETE /api/recordings/:filename/pin - Unpin a recording
  * - GET  /translate     - HTML page for translating text
+ * - GET  /audio/:filename - Saved audio file (streamed from storage or redirected to a presigned URL)
+ * 
+ * When AUTH_ENABLED=true, every route except / and /health* requires an API key
+ * with the scope named in its requireScope() middleware. Routes that call the
+ * Python backend are checked against the key's daily quotas (enforceQuota), rate
+ * limited per client by rateLimit(), and their POST requests can be retried
+ * safely with an Idempotency-Key header. They all run these middleware in the
+ * same order, and count the request (countRequest) only after rate limiting and
+ * idempotent replays. The :filename
+ * parameter of the recordings routes is validated once the caller is authenticated.
  * 
  * @author Debarun Lahiri
  */
@@ -29,9 +58,22 @@ const transcribeController = require('../controllers/transcribeController');
 const translateController = require('../controllers/translateController');
 const languageDetectionController = require('../controllers/languageDetectionController');
 const recordingsController = require('../controllers/recordingsController');
+const jobsController = require('../controllers/jobsController');
+const metricsController = require('../controllers/metricsController');
+const streamController = require('../controllers/streamController');
+const uploadsController = require('../controllers/uploadsController');
+const queueController = require('../controllers/queueController');
+
+// Import configuration
+const config = require('../config');
 
 // Import middleware
+const { requireScope, enforceQuota, countRequest } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const idempotency = require('../middleware/idempotency');
 const uploadMiddleware = require('../middleware/upload');
+const audioDurationMiddleware = require('../middleware/audioDuration');
+const validateRecordingFilename = require('../middleware/recordingFilename');
 
 // Root endpoint - Returns service information and available endpoints
 router.get('/', rootController.getRoot);
@@ -39,23 +81,72 @@ router.get('/', rootController.getRoot);
 // Health check endpoint - Checks server and backend health
 router.get('/health', healthController.getHealth);
 
+// Liveness and readiness probes - Do not contact the Python backend
+router.get('/health/live', healthController.getLiveness);
+router.get('/health/ready', healthController.getReadiness);
+
+// Prometheus metrics endpoint - Request, backend, transcription and storage metrics
+if (config.metrics.enabled) {
+  router.get('/metrics', requireScope('metrics'), metricsController.getMetrics);
+}
+
 // Transcription endpoint - Accepts audio file upload and returns transcription
-// Uses uploadMiddleware to handle multipart/form-data file uploads
-router.post('/v1/transcribe', uploadMiddleware, transcribeController.transcribe);
+// Uses uploadMiddleware to handle multipart/form-data file uploads and
+// audioDurationMiddleware to enforce the maximum audio duration
+router.post('/v1/transcribe', requireScope('transcribe'), enforceQuota, rateLimit('transcribe'), uploadMiddleware, idempotency, countRequest, audioDurationMiddleware, transcribeController.transcribe);
+
+// Streaming transcription - WebSocket upgrade; audio is sent as PCM chunks and
+// partial transcripts are pushed back as each window is transcribed
+if (config.stream.enabled) {
+  router.get('/v1/stream', requireScope('transcribe'), enforceQuota, rateLimit('transcribe'), countRequest, streamController.openStream);
+}
+
+// Asynchronous transcription jobs - Same upload as /v1/transcribe, but returns a job ID immediately
+router.post('/v1/jobs/transcribe', requireScope('transcribe'), enforceQuota, rateLimit('transcribe'), uploadMiddleware, idempotency, countRequest, audioDurationMiddleware, jobsController.createTranscriptionJob);
+router.get('/v1/jobs/:id', requireScope('transcribe'), jobsController.getJob);
+
+// Resumable uploads - The audio is sent in chunks that can be resumed after a dropped
+// connection; the completed upload goes through the same flow as /v1/transcribe
+router.post('/v1/uploads', requireScope('transcribe'), uploadsController.createUpload);
+router.get('/v1/uploads/:id', requireScope('transcribe'), uploadsController.getUpload);
+router.patch('/v1/uploads/:id', requireScope('transcribe'), uploadsController.appendChunk);
+router.delete('/v1/uploads/:id', requireScope('transcribe'), uploadsController.deleteUpload);
+router.post('/v1/uploads/:id/transcribe', requireScope('transcribe'), enforceQuota, rateLimit('transcribe'), idempotency, countRequest, uploadsController.completeUpload, audioDurationMiddleware, transcribeController.transcribe);
+
+// Transcription queue - Where a new transcription would wait while every backend is busy
+router.get('/v1/queue', requireScope('transcribe'), queueController.getQueue);
 
 // Translation endpoint - Translates text to multiple languages
-router.post('/v1/translate', translateController.translate);
+router.post('/v1/translate', requireScope('translate'), enforceQuota, rateLimit('translate'), idempotency, countRequest, translateController.translate);
 
 // Translation page - HTML page for translating text
-router.get('/translate', translateController.getTranslatePage);
+router.get('/translate', requireScope('translate'), translateController.getTranslatePage);
 
 // Language detection endpoint - Detects the language of provided text
-router.post('/v1/detect-language', languageDetectionController.detectLanguage);
+router.post('/v1/detect-language', requireScope('translate'), enforceQuota, rateLimit('detectLanguage'), idempotency, countRequest, languageDetectionController.detectLanguage);
 
 // Recordings endpoints - View and manage audio recordings
-router.get('/recordings', recordingsController.getRecordingsPage);
-router.get('/recordings/:filename', recordingsController.getRecordingPage);
-router.get('/api/recordings', recordingsController.listRecordings);
-router.get('/api/recordings/:filename', recordingsController.getRecording);
+// Protected by the recordings:read scope when authentication is enabled; filenames
+// that don't match the generated name pattern are rejected once the caller is authenticated
+router.get('/recordings', requireScope('recordings:read'), recordingsController.getRecordingsPage);
+router.get('/recordings/:filename', requireScope('recordings:read'), validateRecordingFilename, recordingsController.getRecordingPage);
+router.get('/api/recordings', requireScope('recordings:read'), recordingsController.listRecordings);
+router.get('/api/recordings/retention', requireScope('recordings:read'), recordingsController.getRetentionReport);
+router.get('/api/recordings/:filename', requireScope('recordings:read'), validateRecordingFilename, recordingsController.getRecording);
+router.get('/api/recordings/:filename/transcript.:format', requireScope('recordings:read'), validateRecordingFilename, recordingsController.exportTranscript);
+
+// Audio files - Streamed from the storage driver, with byte range support
+// Protected by the recordings:read scope when authentication is enabled
+if (config.audio.saveAudioFiles) {
+  router.get('/audio/:filename', requireScope('recordings:read'), validateRecordingFilename, recordingsController.streamAudio);
+}
+
+// Recording management endpoints - Rename and delete recordings
+// Protected by the recordings:delete scope when authentication is enabled
+router.patch('/api/recordings/:filename', requireScope('recordings:delete'), validateRecordingFilename, recordingsController.renameRecording);
+router.delete('/api/recordings/:filename', requireScope('recordings:delete'), validateRecordingFilename, recordingsController.deleteRecording);
+router.post('/api/recordings/bulk-delete', requireScope('recordings:delete'), recordingsController.bulkDeleteRecordings);
+router.put('/api/recordings/:filename/pin', requireScope('recordings:delete'), validateRecordingFilename, recordingsController.pinRecording);
+router.delete('/api/recordings/:filename/pin', requireScope('recordings:delete'), validateRecordingFilename, recordingsController.unpinRecording);
 
 module.exports = router;
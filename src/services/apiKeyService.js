@@ -0,0 +1,280 @@
+/**
+ * API Key Service
+ *
+ * This service validates API keys and tracks their daily usage. Keys are defined
+ * in a JSON key file (AUTH_KEYS_FILE) with the following shape:
+ *
+ * {
+ *   "keys": [
+ *     {
+ *       "id": "android-app",
+ *       "name": "Android app (production)",
+ *       "key_sha256": "<hex SHA-256 of the key>",
+ *       "scopes": ["transcribe", "translate", "recordings:read"],
+ *       "quota": { "daily_requests": 5000, "daily_audio_seconds": 36000 },
+ *       "tier": "premium",
+ *       "enabled": true
+ *     }
+ *   ]
+ * }
+ *
+ * A plain "key" may be given instead of "key_sha256" for local development.
+ * The scope "*" grants every scope. Quotas are optional; a missing limit means
+ * unlimited. The optional tier selects the lane transcriptions wait in while
+ * every backend is busy (see BACKEND_QUEUE_TIERS); keys without a known tier
+ * use the lowest-priority lane. The key file is reloaded automatically when it
+ * changes on disk.
+ *
+ * Usage counters are kept per key per UTC day and persisted to AUTH_USAGE_FILE
+ * so quotas survive a restart.
+ *
+ * @author Debarun Lahiri
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Minimum interval between checks of the key file for changes
+const RELOAD_CHECK_INTERVAL_MS = 5000;
+
+// Delay before usage counters are written to disk after a change
+const USAGE_FLUSH_DELAY_MS = 1000;
+
+/**
+ * Hash an API key with SHA-256
+ *
+ * @param {string} key - Plain API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * ApiKeyService Class
+ *
+ * Manages the API key store and per-key daily usage counters.
+ */
+class ApiKeyService {
+  /**
+   * Initialize ApiKeyService
+   *
+   * Loads the key file and persisted usage counters when authentication is enabled.
+   */
+  constructor() {
+    this.keysFile = path.resolve(config.auth.keysFile);
+    this.usageFile = path.resolve(config.auth.usageFile);
+    this.keys = [];
+    this.keysMtime = 0;
+    this.lastReloadCheck = 0;
+    this.usage = {};
+    this.flushTimer = null;
+
+    if (config.auth.enabled) {
+      this.loadKeys();
+      this.loadUsage();
+    }
+  }
+
+  /**
+   * Load API keys from the key file
+   *
+   * Keys without an ID or key material are skipped with a warning. If the file
+   * cannot be read, the previously loaded keys are kept.
+   *
+   * @returns {void}
+   */
+  loadKeys() {
+    try {
+      const stats = fs.statSync(this.keysFile);
+      const data = JSON.parse(fs.readFileSync(this.keysFile, 'utf-8'));
+      const keys = Array.isArray(data.keys) ? data.keys : [];
+
+      this.keys = keys
+        .filter(entry => {
+          if (!entry.id || (!entry.key && !entry.key_sha256)) {
+            logger.warn(`Skipping API key entry without id or key in ${this.keysFile}`);
+            return false;
+          }
+          if (entry.tier && !config.pythonBackend.queue.tiers.includes(entry.tier)) {
+            logger.warn(`API key ${entry.id} has unknown tier '${entry.tier}', using the lowest-priority queue lane`);
+          }
+          return true;
+        })
+        .map(entry => ({
+          id: entry.id,
+          name: entry.name || entry.id,
+          hash: (entry.key_sha256 || hashKey(entry.key)).toLowerCase(),
+          scopes: Array.isArray(entry.scopes) ? entry.scopes : [],
+          quota: entry.quota || {},
+          tier: entry.tier || null,
+          enabled: entry.enabled !== false
+        }));
+      this.keysMtime = stats.mtimeMs;
+
+      logger.info(`Loaded ${this.keys.length} API keys from ${this.keysFile}`);
+    } catch (error) {
+      logger.error(`Failed to load API keys from ${this.keysFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reload the key file if it changed since it was last loaded
+   *
+   * Checks the file's modification time at most once every few seconds.
+   *
+   * @returns {void}
+   */
+  reloadKeysIfChanged() {
+    const now = Date.now();
+    if (now - this.lastReloadCheck < RELOAD_CHECK_INTERVAL_MS) {
+      return;
+    }
+    this.lastReloadCheck = now;
+
+    try {
+      if (fs.statSync(this.keysFile).mtimeMs !== this.keysMtime) {
+        this.loadKeys();
+      }
+    } catch (error) {
+      // Missing file is reported by loadKeys on the next successful change
+    }
+  }
+
+  /**
+   * Find the API key record matching a presented key
+   *
+   * @param {string} presentedKey - Key sent by the client
+   * @returns {Object|null} Key record or null if the key is unknown or disabled
+   */
+  authenticate(presentedKey) {
+    this.reloadKeysIfChanged();
+
+    const presentedHash = Buffer.from(hashKey(presentedKey), 'hex');
+    const match = this.keys.find(entry => {
+      const storedHash = Buffer.from(entry.hash, 'hex');
+      return storedHash.length === presentedHash.length && crypto.timingSafeEqual(storedHash, presentedHash);
+    });
+
+    return match && match.enabled ? match : null;
+  }
+
+  /**
+   * Check whether an API key has a scope
+   *
+   * @param {Object} apiKey - Key record
+   * @param {string} scope - Required scope
+   * @returns {boolean} True if the key has the scope or the "*" scope
+   */
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes('*') || apiKey.scopes.includes(scope);
+  }
+
+  /**
+   * Load persisted usage counters
+   *
+   * @returns {void}
+   */
+  loadUsage() {
+    try {
+      this.usage = JSON.parse(fs.readFileSync(this.usageFile, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to load API key usage from ${this.usageFile}: ${error.message}`);
+      }
+      this.usage = {};
+    }
+  }
+
+  /**
+   * Schedule writing usage counters to disk
+   *
+   * Writes are batched so a burst of requests results in a single write.
+   *
+   * @returns {void}
+   */
+  scheduleUsageFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(async () => {
+      this.flushTimer = null;
+      try {
+        await fs.promises.mkdir(path.dirname(this.usageFile), { recursive: true });
+        await fs.promises.writeFile(this.usageFile, JSON.stringify(this.usage, null, 2));
+      } catch (error) {
+        logger.error(`Failed to persist API key usage: ${error.message}`);
+      }
+    }, USAGE_FLUSH_DELAY_MS);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Get today's usage counters for an API key
+   *
+   * Counters are reset when the UTC day changes.
+   *
+   * @param {string} keyId - API key ID
+   * @returns {Object} Usage counters { date, requests, audio_seconds }
+   */
+  getUsage(keyId) {
+    const today = new Date().toISOString().slice(0, 10);
+    const usage = this.usage[keyId];
+
+    if (!usage || usage.date !== today) {
+      this.usage[keyId] = { date: today, requests: 0, audio_seconds: 0 };
+    }
+    return this.usage[keyId];
+  }
+
+  /**
+   * Check whether an API key has exhausted a daily quota
+   *
+   * @param {Object} apiKey - Key record
+   * @returns {Object|null} { quota, limit } for the exhausted quota, or null if within quota
+   */
+  checkQuota(apiKey) {
+    const usage = this.getUsage(apiKey.id);
+    const { daily_requests: dailyRequests, daily_audio_seconds: dailyAudioSeconds } = apiKey.quota;
+
+    if (dailyRequests !== undefined && usage.requests >= dailyRequests) {
+      return { quota: 'daily_requests', limit: dailyRequests };
+    }
+    if (dailyAudioSeconds !== undefined && usage.audio_seconds >= dailyAudioSeconds) {
+      return { quota: 'daily_audio_seconds', limit: dailyAudioSeconds };
+    }
+    return null;
+  }
+
+  /**
+   * Count a request against an API key's daily quota
+   *
+   * @param {string} keyId - API key ID
+   * @returns {void}
+   */
+  recordRequest(keyId) {
+    this.getUsage(keyId).requests += 1;
+    this.scheduleUsageFlush();
+  }
+
+  /**
+   * Count transcribed audio against an API key's daily quota
+   *
+   * @param {string} keyId - API key ID
+   * @param {number} seconds - Audio duration in seconds
+   * @returns {void}
+   */
+  recordAudioSeconds(keyId, seconds) {
+    if (!keyId || typeof seconds !== 'number' || !isFinite(seconds)) {
+      return;
+    }
+    const usage = this.getUsage(keyId);
+    usage.audio_seconds = Math.round((usage.audio_seconds + seconds) * 100) / 100;
+    this.scheduleUsageFlush();
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService();
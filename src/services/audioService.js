@@ -6,17 +6,104 @@
  * utilities for generating unique filenames and constructing audio file URLs.
  * 
  * The service can be configured to save or skip saving audio files based on
- * configuration settings. When enabled, audio files are always saved in MP3 format
- * with timestamped and UUID-based filenames for uniqueness.
+ * configuration settings. When enabled, audio files are converted to MP3 with
+ * ffmpeg if it is available, otherwise they are stored in their original container
+ * with the matching extension. Filenames are timestamped and UUID-based for uniqueness.
+ * 
+ * Recordings and their sidecar metadata are kept by a storage driver (local disk
+ * or an S3-compatible bucket, see recordingStorage.js). Filenames received in
+ * requests must pass isValidFilename, which accepts nothing but the generated
+ * name pattern, before they are used as storage keys.
+ * 
+ * Listing, searching, pagination and lookups are served by a recording index
+ * (see recordingIndex.js) that is updated on every save, transcription, rename,
+ * pin and delete, and rebuilt from storage on startup when its log file is
+ * missing.
+ * 
+ * Retention rules (maximum age, total storage and recording count) are enforced
+ * by a background sweeper that deletes the oldest recordings first. Pinned
+ * recordings are never swept.
  * 
  * @author Debarun Lahiri
  */
 
+const { createReadStream } = require('fs');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
+const { createStorage } = require('./recordingStorage');
+const RecordingIndex = require('./recordingIndex');
 const logger = require('../utils/logger');
+const ffmpeg = require('../utils/ffmpeg');
+const audioProbe = require('../utils/audioProbe');
+
+// File extensions recognized as stored recordings ('bin' is used for uploads of unknown format)
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'm4a', 'aac', 'flac', 'ogg', 'opus', 'webm', 'mp4', 'aiff', 'amr', 'wma', 'bin'];
+
+// Milliseconds per day, used by the maximum age retention rule
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Names produced by generateFileName: YYYY-MM-DD_HH-MM-SS_xxxxxxxx.{extension}
+const RECORDING_FILENAME_PATTERN = new RegExp(
+  `^\\d{4}-\\d{2}-\\d{2}_\\d{2}-\\d{2}-\\d{2}_[0-9a-f]{8}\\.(${AUDIO_EXTENSIONS.join('|')})$`
+);
+
+// Sort keys accepted by searchRecordings (recordings without a duration sort as shortest)
+const SORT_FIELDS = {
+  created_at: record => record.createdAt.getTime(),
+  size: record => record.size,
+  duration: record => (record.durationSec === null ? -1 : record.durationSec)
+};
+
+// Preferred file extension for each supported upload MIME type
+const MIME_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac',
+  'audio/ogg': 'ogg',
+  'audio/vorbis': 'ogg',
+  'audio/opus': 'opus',
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'video/mp4': 'mp4',
+  'audio/aiff': 'aiff',
+  'audio/x-aiff': 'aiff',
+  'audio/amr': 'amr',
+  'audio/x-ms-wma': 'wma'
+};
+
+// ffmpeg muxer used to rewrite each probed container format without re-encoding
+const FFMPEG_MUXERS = {
+  mp3: 'mp3',
+  ogg: 'ogg',
+  flac: 'flac',
+  mp4: 'mp4'
+};
+
+// MIME type served for each stored recording extension
+const EXTENSION_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  opus: 'audio/ogg',
+  webm: 'audio/webm',
+  mp4: 'video/mp4',
+  aiff: 'audio/aiff',
+  amr: 'audio/amr',
+  wma: 'audio/x-ms-wma'
+};
 
 /**
  * AudioService Class
@@ -27,83 +114,338 @@ class AudioService {
   /**
    * Initialize AudioService
    * 
-   * Sets up storage directory path and configuration, then ensures
-   * the storage directory exists.
+   * Creates the configured storage driver and prepares it together with the
+   * recording index, then starts the retention sweeper when a rule is enabled.
    */
   constructor() {
-    this.storageDir = path.resolve(config.audio.storageDir);
+    this.storage = createStorage();
+    this.index = new RecordingIndex(config.audio.index.file);
     this.saveAudioFiles = config.audio.saveAudioFiles;
-    this.ensureStorageDir();
+    this.retention = config.audio.retention;
+    this.sweeping = false;
+    this.lastSweep = null;
+    this.ready = this.initStorage();
+
+    // Pick up recordings added or removed behind the proxy's back (e.g. by other instances sharing a bucket)
+    if (config.audio.index.rebuildIntervalMinutes > 0) {
+      this.indexTimer = setInterval(() => this.rebuildIndex(), config.audio.index.rebuildIntervalMinutes * 60 * 1000);
+      this.indexTimer.unref();
+    }
+
+    // Enforce the retention rules periodically
+    if (this.isRetentionEnabled() && this.retention.sweepIntervalMinutes > 0) {
+      this.sweepTimer = setInterval(() => this.sweepRecordings(), this.retention.sweepIntervalMinutes * 60 * 1000);
+      this.sweepTimer.unref();
+    }
   }
 
   /**
-   * Ensure audio storage directory exists
+   * Prepare the recording storage and load the recording index
    * 
-   * Creates the audio storage directory if it doesn't exist.
-   * Uses recursive option to create parent directories if needed.
+   * For local storage, creates the storage directory and its metadata
+   * subdirectory if they don't exist. Failures are logged; they surface again
+   * in the health and readiness checks.
    * 
-   * @throws {Error} If directory creation fails
+   * @returns {Promise<void>}
    */
-  async ensureStorageDir() {
+  async initStorage() {
     try {
-      await fs.mkdir(this.storageDir, { recursive: true });
-      logger.info(`Audio storage directory ready: ${this.storageDir}`);
+      await this.storage.init();
+      const status = await this.storage.getStatus();
+      logger.info(`Audio storage ready (${status.driver}): ${status.location}`);
     } catch (error) {
-      logger.error(`Failed to create audio storage directory: ${error.message}`);
-      throw error;
+      logger.error(`Failed to prepare audio storage: ${error.message}`);
+    }
+
+    try {
+      await this.index.load(() => this.scanRecordings());
+    } catch (error) {
+      logger.error(`Failed to load recording index: ${error.message}`);
     }
   }
 
+  /**
+   * Rebuild the recording index from a full storage scan
+   * 
+   * @returns {Promise<boolean>} True if the index was rebuilt, false if the scan failed
+   */
+  async rebuildIndex() {
+    try {
+      await this.ready;
+      await this.index.rebuild(() => this.scanRecordings());
+      return true;
+    } catch (error) {
+      logger.error(`Failed to rebuild recording index: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Scan the storage for recordings
+   * 
+   * Reads every recording's sidecar for its title and pinned flag, so this is
+   * only used to build the recording index.
+   * 
+   * @returns {Promise<Array>} Index records of all stored recordings
+   */
+  async scanRecordings() {
+    const objects = (await this.storage.list()).filter(object => this.isValidFilename(object.key));
+    const records = [];
+
+    for (const object of objects) {
+      const sidecar = await this.readSidecar(object.key);
+      records.push({
+        filename: object.key,
+        size: object.size,
+        createdAt: new Date(object.createdAt),
+        modifiedAt: new Date(object.modifiedAt),
+        title: sidecar ? sidecar.title || null : null,
+        pinned: sidecar ? sidecar.pinned === true : false,
+        apiKeyId: sidecar ? sidecar.api_key_id || null : null,
+        ...this.summarizeTranscription(sidecar ? sidecar.transcription : null)
+      });
+    }
+
+    return records;
+  }
+
   /**
    * Generate unique filename for audio file
    * 
    * Creates a filename using timestamp and UUID to ensure uniqueness.
-   * Always uses .mp3 extension regardless of original file format.
    * 
-   * Format: YYYY-MM-DD_HH-MM-SS_XXXXXXXX.mp3
+   * Format: YYYY-MM-DD_HH-MM-SS_XXXXXXXX.{extension}
    * 
-   * @param {string} originalFilename - Original filename (used for logging purposes only)
-   * @returns {string} Generated unique filename with .mp3 extension
+   * @param {string} extension - File extension without the leading dot (default: 'mp3')
+   * @returns {string} Generated unique filename
    */
-  generateFileName(originalFilename) {
+  generateFileName(extension = 'mp3') {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19).replace('T', '_');
     const uniqueId = uuidv4().substring(0, 8);
     
-    // Always save as MP3 format
-    return `${timestamp}_${uniqueId}.mp3`;
+    return `${timestamp}_${uniqueId}.${extension}`;
+  }
+
+  /**
+   * Determine the file extension for an upload kept in its original format
+   * 
+   * Uses the original filename's extension when it is a known audio extension,
+   * then falls back to the MIME type. Unknown uploads are stored as .bin.
+   * 
+   * @param {string} originalFilename - Original filename of the upload
+   * @param {string} mimeType - MIME type of the upload
+   * @returns {string} File extension without the leading dot
+   */
+  resolveExtension(originalFilename, mimeType) {
+    const originalExtension = path.extname(originalFilename || '').slice(1).toLowerCase();
+    if (AUDIO_EXTENSIONS.includes(originalExtension)) {
+      return originalExtension;
+    }
+
+    return MIME_EXTENSIONS[(mimeType || '').toLowerCase()] || 'bin';
+  }
+
+  /**
+   * Get MIME type for a stored recording based on its extension
+   * 
+   * @param {string} filename - Name of the audio file
+   * @returns {string} MIME type (defaults to application/octet-stream)
+   */
+  getMimeType(filename) {
+    const extension = path.extname(filename).slice(1).toLowerCase();
+    return EXTENSION_MIME_TYPES[extension] || 'application/octet-stream';
   }
 
   /**
-   * Save audio file to disk
+   * Save audio file to storage
    * 
-   * Saves the audio buffer to disk with a generated unique filename.
-   * All audio files are saved with .mp3 extension regardless of original format.
+   * Converts the audio to MP3 at the configured bitrate when transcoding is enabled
+   * and ffmpeg is available. If conversion is disabled, unavailable or fails, the
+   * original bytes are stored with the extension matching their real format.
+   * The stored format is recorded in the recording's sidecar metadata.
    * Returns null if audio saving is disabled in configuration.
    * 
-   * @param {Buffer} buffer - Audio file buffer to save
-   * @param {string} originalFilename - Original filename (used for logging purposes only)
-   * @returns {Promise<string|null>} Saved filename with .mp3 extension or null if saving is disabled
-   * @throws {Error} If file saving fails
+   * Audio given as a file path is streamed to storage, so uploads of any size
+   * are saved without loading them into memory.
+   * 
+   * @param {Buffer|string} audio - Audio data, or the path of a file holding it
+   * @param {string} originalFilename - Original filename of the upload
+   * @param {string} mimeType - MIME type of the upload
+   * @param {Object} metadata - Additional fields to store in the sidecar (optional)
+   * @returns {Promise<string|null>} Saved filename or null if saving is disabled
+   * @throws {Error} If file saving fails (a file stored before the failure is removed again)
    */
-  async saveAudioFile(buffer, originalFilename) {
+  async saveAudioFile(audio, originalFilename, mimeType, metadata = {}) {
     // Skip saving if disabled in configuration
     if (!this.saveAudioFiles) {
       return null;
     }
 
+    let mp3Path = null;
+    let filename = null;
+    let stored = false;
     try {
-      // Generate filename with .mp3 extension
-      const filename = this.generateFileName(originalFilename);
-      const filePath = path.join(this.storageDir, filename);
-      
-      // Write buffer to file (saved as MP3 format)
-      await fs.writeFile(filePath, buffer);
-      logger.info(`Audio file saved as MP3: ${filename}`);
-      
+      let transcoded = false;
+
+      let source = audio;
+
+      if (config.audio.transcodeToMp3 && await ffmpeg.isAvailable()) {
+        try {
+          mp3Path = await this.transcodeToMp3(audio);
+          source = mp3Path;
+          filename = this.generateFileName('mp3');
+          transcoded = true;
+        } catch (error) {
+          logger.warn(`Failed to convert ${originalFilename} to MP3, keeping original format: ${error.message}`);
+        }
+      }
+
+      if (!transcoded) {
+        filename = this.generateFileName(this.resolveExtension(originalFilename, mimeType));
+      }
+
+      if (Buffer.isBuffer(source)) {
+        await this.storage.save(filename, source, { contentType: this.getMimeType(filename) });
+      } else {
+        const { size } = await fs.stat(source);
+        await this.storage.save(filename, createReadStream(source), { contentType: this.getMimeType(filename), contentLength: size });
+      }
+      stored = true;
+      const stats = await this.storage.stat(filename);
+
+      const format = path.extname(filename).slice(1);
+      await this.writeSidecar(filename, {
+        ...metadata,
+        audio: {
+          format,
+          mimeType: this.getMimeType(filename),
+          bitrate: transcoded ? config.audio.mp3Bitrate : null,
+          transcoded,
+          originalFilename: originalFilename || null,
+          originalMimeType: mimeType || null
+        }
+      });
+
+      await this.ready;
+      await this.index.put({
+        filename,
+        size: stats.size,
+        createdAt: new Date(stats.createdAt),
+        modifiedAt: new Date(stats.modifiedAt),
+        title: metadata.title || null,
+        pinned: metadata.pinned === true,
+        apiKeyId: metadata.api_key_id || null,
+        ...this.summarizeTranscription(null)
+      });
+
+      logger.info(`Audio file saved as ${format.toUpperCase()}: ${filename}`);
       return filename;
     } catch (error) {
       logger.error(`Failed to save audio file: ${error.message}`);
+
+      // Don't leave a stored file behind that the index (and so retention and listings) never sees
+      if (stored) {
+        await this.removeUnindexedFile(filename);
+      }
       throw new Error(`Failed to save audio file: ${error.message}`);
+    } finally {
+      if (mp3Path) {
+        await fs.rm(mp3Path, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Remove a stored audio file and its sidecar after a failed save (best-effort)
+   * 
+   * @param {string} filename - Name of the audio file
+   * @returns {Promise<void>}
+   */
+  async removeUnindexedFile(filename) {
+    for (const key of [filename, this.getSidecarKey(filename)]) {
+      try {
+        await this.storage.delete(key);
+      } catch (error) {
+        logger.warn(`Failed to remove ${key} after a failed save: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Convert audio to an MP3 file
+   * 
+   * Audio given as a buffer is first written to a temporary file (so ffmpeg can
+   * seek in containers such as M4A). The audio is encoded to MP3 at the
+   * configured bitrate into a temporary file, which the caller must delete.
+   * 
+   * @param {Buffer|string} audio - Audio data in any format supported by ffmpeg, or the path of a file holding it
+   * @returns {Promise<string>} Path of the temporary MP3 file
+   * @throws {Error} If conversion fails
+   */
+  async transcodeToMp3(audio) {
+    const id = uuidv4();
+    const inputPath = Buffer.isBuffer(audio) ? path.join(os.tmpdir(), `stt-proxy-${id}`) : audio;
+    const outputPath = path.join(os.tmpdir(), `stt-proxy-${id}.mp3`);
+    try {
+      if (Buffer.isBuffer(audio)) {
+        await fs.writeFile(inputPath, audio);
+      }
+      await ffmpeg.run([
+        '-i', inputPath,
+        '-vn',
+        '-codec:a', 'libmp3lame',
+        '-b:a', config.audio.mp3Bitrate,
+        '-f', 'mp3',
+        outputPath
+      ]);
+      return outputPath;
+    } catch (error) {
+      await fs.rm(outputPath, { force: true });
+      throw error;
+    } finally {
+      if (Buffer.isBuffer(audio)) {
+        await fs.rm(inputPath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Truncate an audio file to a maximum duration
+   * 
+   * WAV audio is truncated by copying its headers with rewritten sizes and as
+   * much audio data as fits. Other formats are cut with ffmpeg using stream copy
+   * so the audio is not re-encoded.
+   * 
+   * @param {string} inputPath - Path of the audio file
+   * @param {string} outputPath - Path of the truncated file to write
+   * @param {string} format - Container format as returned by the audio probe
+   * @param {number} maxSeconds - Maximum duration in seconds
+   * @returns {Promise<number>} Size of the truncated file in bytes
+   * @throws {Error} If the format cannot be truncated
+   */
+  async truncateAudio(inputPath, outputPath, format, maxSeconds) {
+    if (format !== 'wav' && (!FFMPEG_MUXERS[format] || !(await ffmpeg.isAvailable()))) {
+      throw new Error(`Truncating ${format} audio requires ffmpeg`);
+    }
+
+    try {
+      if (format === 'wav') {
+        if (!(await audioProbe.truncateWavFile(inputPath, outputPath, maxSeconds))) {
+          throw new Error('Invalid WAV headers');
+        }
+      } else {
+        await ffmpeg.run([
+          '-i', inputPath,
+          '-t', String(maxSeconds),
+          '-c', 'copy',
+          '-f', FFMPEG_MUXERS[format],
+          outputPath
+        ]);
+      }
+      return (await fs.stat(outputPath)).size;
+    } catch (error) {
+      await fs.rm(outputPath, { force: true });
+      throw error;
     }
   }
 
@@ -136,111 +478,546 @@ class AudioService {
   }
 
   /**
-   * Get file system path for audio file
+   * Get size and timestamps of a saved audio file
    * 
-   * Returns the full file system path for a saved audio file.
-   * Checks if the file exists before returning the path.
+   * @param {string} filename - Name of the audio file
+   * @returns {Promise<Object|null>} Size, createdAt and modifiedAt, or null if the file doesn't exist
+   * @throws {Error} If the filename is invalid
+   */
+  async getAudioFileStats(filename) {
+    this.assertValidFilename(filename);
+    return this.storage.stat(filename);
+  }
+
+  /**
+   * Open a read stream on a saved audio file
    * 
    * @param {string} filename - Name of the audio file
-   * @returns {Promise<string|null>} Full file path or null if file doesn't exist
+   * @param {Object} range - Optional inclusive byte range ({ start, end })
+   * @returns {Promise<Readable>} Audio data stream
+   * @throws {Error} If the filename is invalid
    */
-  async getAudioFilePath(filename) {
-    const filePath = path.join(this.storageDir, filename);
-    
-    try {
-      // Check if file exists
-      await fs.access(filePath);
-      return filePath;
-    } catch (error) {
-      logger.warn(`Audio file not found: ${filename}`);
-      return null;
+  async openAudioStream(filename, range = {}) {
+    this.assertValidFilename(filename);
+    return this.storage.createReadStream(filename, range);
+  }
+
+  /**
+   * Get a direct download URL for a saved audio file
+   * 
+   * Only storage drivers that support presigned URLs (S3 with
+   * S3_PRESIGNED_URLS=true) return one; otherwise the file must be streamed
+   * through the proxy.
+   * 
+   * @param {string} filename - Name of the audio file
+   * @returns {Promise<string|null>} Presigned URL or null
+   * @throws {Error} If the filename is invalid
+   */
+  async getAudioDownloadUrl(filename) {
+    this.assertValidFilename(filename);
+    return this.storage.getDownloadUrl(filename);
+  }
+
+  /**
+   * Check whether a filename can refer to a stored recording
+   * 
+   * Only names produced by generateFileName are accepted, so path separators,
+   * '..', dot files and anything else a client might send are rejected.
+   * 
+   * @param {string} filename - Name of the audio file
+   * @returns {boolean} True if the filename matches the recording name pattern
+   */
+  isValidFilename(filename) {
+    return typeof filename === 'string' && RECORDING_FILENAME_PATTERN.test(filename);
+  }
+
+  /**
+   * Ensure a filename can refer to a stored recording before using it as a storage key
+   * 
+   * @param {string} filename - Name of the audio file
+   * @returns {void}
+   * @throws {Error} If the filename doesn't match the recording name pattern
+   */
+  assertValidFilename(filename) {
+    if (!this.isValidFilename(filename)) {
+      throw new Error(`Invalid recording filename: ${filename}`);
     }
   }
 
   /**
-   * Delete audio file from disk
+   * Delete audio file from storage
    * 
-   * Removes an audio file from the storage directory.
-   * Logs a warning if deletion fails but doesn't throw an error.
+   * Removes an audio file and its sidecar metadata.
    * 
    * @param {string} filename - Name of the audio file to delete
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} True if the file was deleted, false if it doesn't exist
+   * @throws {Error} If the filename is invalid or the file cannot be removed
    */
   async deleteAudioFile(filename) {
+    this.assertValidFilename(filename);
+
     try {
-      const filePath = path.join(this.storageDir, filename);
-      await fs.unlink(filePath);
-      logger.info(`Audio file deleted: ${filename}`);
+      await this.ready;
+      const deleted = await this.storage.delete(filename);
+
+      // Drop the index entry even if the file was already gone
+      await this.index.remove(filename);
+
+      if (!deleted) {
+        return false;
+      }
+      await this.storage.delete(this.getSidecarKey(filename));
     } catch (error) {
       logger.warn(`Failed to delete audio file ${filename}: ${error.message}`);
+      throw new Error(`Failed to delete audio file: ${error.message}`);
     }
+
+    logger.info(`Audio file deleted: ${filename}`);
+    return true;
   }
 
   /**
-   * List all audio files in storage directory
+   * Set the display title of a recording
    * 
-   * Returns an array of all audio files with their metadata including
-   * filename, size, and creation date.
+   * The title is stored in the recording's sidecar; the file itself keeps its
+   * generated name. An empty title removes it.
    * 
-   * @returns {Promise<Array>} Array of audio file objects with metadata
+   * @param {string} filename - Name of the audio file
+   * @param {string|null} title - New title, or null to clear it
+   * @returns {Promise<boolean>} True if the title was saved, false if the recording doesn't exist
+   * @throws {Error} If the filename is invalid or the sidecar cannot be written
    */
-  async listAllRecordings() {
+  async renameRecording(filename, title) {
+    this.assertValidFilename(filename);
+    await this.ready;
+
+    const record = this.index.get(filename);
+    if (!record) {
+      return false;
+    }
+
+    await this.writeSidecar(filename, { title: title || null });
+    await this.index.put({ ...record, title: title || null });
+    logger.info(`Recording ${filename} renamed to ${title ? `'${title}'` : 'its filename'}`);
+    return true;
+  }
+
+  /**
+   * Pin or unpin a recording
+   * 
+   * Pinned recordings are never deleted by the retention sweeper. They can still
+   * be deleted explicitly through the API.
+   * 
+   * @param {string} filename - Name of the audio file
+   * @param {boolean} pinned - Whether the recording is pinned
+   * @returns {Promise<boolean>} True if the flag was saved, false if the recording doesn't exist
+   * @throws {Error} If the filename is invalid or the sidecar cannot be written
+   */
+  async setPinned(filename, pinned) {
+    this.assertValidFilename(filename);
+    await this.ready;
+
+    const record = this.index.get(filename);
+    if (!record) {
+      return false;
+    }
+
+    await this.writeSidecar(filename, { pinned });
+    await this.index.put({ ...record, pinned });
+    logger.info(`Recording ${filename} ${pinned ? 'pinned' : 'unpinned'}`);
+    return true;
+  }
+
+  /**
+   * Check whether any retention rule is enabled
+   * 
+   * @returns {boolean} True if at least one rule has a non-zero limit
+   */
+  isRetentionEnabled() {
+    const { maxAgeDays, maxStorageMB, maxCount } = this.retention;
+    return maxAgeDays > 0 || maxStorageMB > 0 || maxCount > 0;
+  }
+
+  /**
+   * Work out which recordings a retention sweep would delete
+   * 
+   * Recordings older than the maximum age are selected first. Then, oldest
+   * first, further recordings are selected while the remaining recordings
+   * exceed the maximum count or total storage. Pinned recordings are never
+   * selected but still count towards the limits.
+   * 
+   * @returns {Promise<Object>} Rules, current totals, totals after the sweep and the recordings to delete (oldest first)
+   */
+  async planRetentionSweep() {
+    const { maxAgeDays, maxStorageMB, maxCount } = this.retention;
+    const maxStorageBytes = Math.floor(maxStorageMB * 1024 * 1024);
+
+    // listAllRecordings returns newest first
+    const recordings = (await this.listAllRecordings()).reverse();
+
+    const pinned = new Set(recordings.filter(recording => recording.pinned).map(recording => recording.filename));
+
+    const reasons = new Map();
+    const totalBytes = recordings.reduce((total, recording) => total + recording.size, 0);
+    let remainingCount = recordings.length;
+    let remainingBytes = totalBytes;
+
+    if (maxAgeDays > 0) {
+      const cutoff = Date.now() - maxAgeDays * DAY_MS;
+      for (const recording of recordings) {
+        if (!pinned.has(recording.filename) && recording.createdAt.getTime() < cutoff) {
+          reasons.set(recording.filename, ['max_age']);
+          remainingCount -= 1;
+          remainingBytes -= recording.size;
+        }
+      }
+    }
+
+    for (const recording of recordings) {
+      if (pinned.has(recording.filename) || reasons.has(recording.filename)) {
+        continue;
+      }
+
+      const overCount = maxCount > 0 && remainingCount > maxCount;
+      const overStorage = maxStorageBytes > 0 && remainingBytes > maxStorageBytes;
+      if (!overCount && !overStorage) {
+        break;
+      }
+
+      reasons.set(recording.filename, [overCount && 'max_count', overStorage && 'max_storage'].filter(Boolean));
+      remainingCount -= 1;
+      remainingBytes -= recording.size;
+    }
+
+    return {
+      rules: {
+        max_age_days: maxAgeDays > 0 ? maxAgeDays : null,
+        max_storage_bytes: maxStorageBytes > 0 ? maxStorageBytes : null,
+        max_count: maxCount > 0 ? maxCount : null
+      },
+      current: {
+        recordings: recordings.length,
+        bytes: totalBytes,
+        pinned: pinned.size
+      },
+      after_sweep: {
+        recordings: remainingCount,
+        bytes: remainingBytes
+      },
+      to_delete: recordings
+        .filter(recording => reasons.has(recording.filename))
+        .map(recording => ({
+          filename: recording.filename,
+          size: recording.size,
+          created_at: recording.createdAt,
+          reasons: reasons.get(recording.filename)
+        }))
+    };
+  }
+
+  /**
+   * Delete recordings that break the retention rules
+   * 
+   * Runs planRetentionSweep and deletes the selected recordings with their
+   * sidecar data, logging each removal. Overlapping sweeps are skipped.
+   * 
+   * @returns {Promise<Object|null>} Sweep summary, or null if a sweep was already running or failed
+   */
+  async sweepRecordings() {
+    if (this.sweeping) {
+      return null;
+    }
+
+    this.sweeping = true;
     try {
-      const files = await fs.readdir(this.storageDir);
-      const recordings = [];
+      const plan = await this.planRetentionSweep();
+      const summary = {
+        finished_at: null,
+        deleted_count: 0,
+        freed_bytes: 0,
+        failed_count: 0
+      };
 
-      for (const file of files) {
-        const filePath = path.join(this.storageDir, file);
+      for (const recording of plan.to_delete) {
         try {
-          const stats = await fs.stat(filePath);
-          // Only include files (not directories) and filter for audio files
-          if (stats.isFile() && (file.endsWith('.mp3') || file.endsWith('.m4a') || file.endsWith('.wav') || file.endsWith('.aac') || file.endsWith('.flac') || file.endsWith('.ogg'))) {
-            recordings.push({
-              filename: file,
-              size: stats.size,
-              sizeFormatted: this.formatFileSize(stats.size),
-              createdAt: stats.birthtime,
-              modifiedAt: stats.mtime
-            });
+          if (await this.deleteAudioFile(recording.filename)) {
+            summary.deleted_count += 1;
+            summary.freed_bytes += recording.size;
+            logger.info(`Retention sweep removed ${recording.filename} (${recording.reasons.join(', ')})`);
           }
         } catch (error) {
-          logger.warn(`Failed to get stats for file ${file}: ${error.message}`);
+          summary.failed_count += 1;
+          logger.warn(`Retention sweep failed to remove ${recording.filename}: ${error.message}`);
         }
       }
 
-      // Sort by creation date, newest first
-      recordings.sort((a, b) => b.createdAt - a.createdAt);
+      summary.finished_at = new Date().toISOString();
+      this.lastSweep = summary;
+
+      if (summary.deleted_count > 0) {
+        logger.info(`Retention sweep removed ${summary.deleted_count} recording(s), freed ${this.formatFileSize(summary.freed_bytes)}`);
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error(`Retention sweep failed: ${error.message}`);
+      return null;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * List all saved recordings
+   * 
+   * Returns every recording in the index with its title, pinned flag, size
+   * and dates, newest first.
+   * 
+   * @returns {Promise<Array>} Array of recording objects
+   */
+  async listAllRecordings() {
+    await this.ready;
+    return this.index.list().map(record => this.formatRecord(record));
+  }
+
+  /**
+   * Check whether a name is a sort key accepted by searchRecordings
+   * 
+   * @param {string} sort - Sort key
+   * @returns {boolean} True for created_at, size and duration
+   */
+  isValidSortField(sort) {
+    return Object.prototype.hasOwnProperty.call(SORT_FIELDS, sort);
+  }
+
+  /**
+   * Search saved recordings
+   * 
+   * Filters the recording index, sorts the matches (ties are broken by
+   * filename) and returns one page of them, either after a cursor returned by
+   * a previous call or at an offset. All filters are optional; recordings
+   * without a stored transcription never match the language, duration,
+   * speaker or text filters.
+   * 
+   * @param {Object} filters - Recording filters
+   * @param {Date} filters.from - Earliest creation date
+   * @param {Date} filters.to - Latest creation date
+   * @param {string} filters.language - Detected or requested transcript language
+   * @param {number} filters.minDuration - Minimum audio duration in seconds
+   * @param {number} filters.maxDuration - Maximum audio duration in seconds
+   * @param {number} filters.minSize - Minimum file size in bytes
+   * @param {number} filters.maxSize - Maximum file size in bytes
+   * @param {number} filters.minSpeakers - Minimum number of speakers
+   * @param {number} filters.maxSpeakers - Maximum number of speakers
+   * @param {string} filters.apiKeyId - ID of the API key that uploaded the recording
+   * @param {string} filters.text - Words that must all appear in the transcript or title (case-insensitive)
+   * @param {Object} options - Sorting and paging options
+   * @param {string} options.sort - Sort key: created_at, size or duration (default: created_at)
+   * @param {string} options.order - 'asc' or 'desc' (default: desc)
+   * @param {string} options.cursor - Cursor returned as nextCursor by a previous search
+   * @param {number} options.offset - Number of matches to skip (ignored with a cursor)
+   * @param {number} options.limit - Maximum number of recordings to return (all when omitted)
+   * @returns {Promise<Object>} Number of matches, the recordings on this page and the cursor of the next page (null on the last page)
+   * @throws {Error} If the sort key or cursor is invalid (statusCode 400)
+   */
+  async searchRecordings(filters = {}, { sort = 'created_at', order = 'desc', cursor = null, offset = 0, limit = Infinity } = {}) {
+    if (!this.isValidSortField(sort)) {
+      throw this.createBadRequestError(`Unknown sort field '${sort}'`);
+    }
+
+    await this.ready;
+
+    const sortKey = SORT_FIELDS[sort];
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (a, b) => direction * (sortKey(a) - sortKey(b) ||
+      (a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0));
+
+    const terms = filters.text ? filters.text.toLowerCase().split(/\s+/).filter(Boolean) : [];
+    const matches = this.index.list().filter(record => this.matchesFilters(record, filters, terms));
+
+    // The index is already ordered newest first
+    if (sort !== 'created_at' || direction === 1) {
+      matches.sort(compare);
+    }
+
+    let start = offset;
+    if (cursor) {
+      const position = this.decodeCursor(cursor, sort, order);
+      start = matches.findIndex(record => compare(record, position) > 0);
+      if (start === -1) {
+        start = matches.length;
+      }
+    }
+
+    const page = matches.slice(start, start + limit);
+    const hasMore = start + page.length < matches.length;
+
+    return {
+      total: matches.length,
+      recordings: page.map(record => this.formatRecord(record)),
+      nextCursor: hasMore && page.length > 0 ? this.encodeCursor(page[page.length - 1], sort, order) : null
+    };
+  }
+
+  /**
+   * Check whether an index record matches the search filters
+   * 
+   * @param {Object} record - Index record
+   * @param {Object} filters - Recording filters (see searchRecordings)
+   * @param {Array<string>} terms - Lowercased words of the text filter
+   * @returns {boolean} True if the record passes every filter
+   */
+  matchesFilters(record, filters, terms) {
+    const inRange = (value, min, max) => (min === undefined && max === undefined) ||
+      (value !== null && (min === undefined || value >= min) && (max === undefined || value <= max));
+
+    if ((filters.from && record.createdAt < filters.from) || (filters.to && record.createdAt > filters.to)) {
+      return false;
+    }
+    if (filters.language && (record.language || '').toLowerCase() !== filters.language.toLowerCase()) {
+      return false;
+    }
+    if (filters.apiKeyId && record.apiKeyId !== filters.apiKeyId) {
+      return false;
+    }
+    if (!inRange(record.size, filters.minSize, filters.maxSize) ||
+        !inRange(record.durationSec, filters.minDuration, filters.maxDuration) ||
+        !inRange(record.speakerCount, filters.minSpeakers, filters.maxSpeakers)) {
+      return false;
+    }
+    if (terms.length > 0) {
+      const haystack = `${record.title || ''}\n${record.text || ''}`.toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    }
+    return true;
+  }
+
+  /**
+   * Encode the position after a recording as an opaque pagination cursor
+   * 
+   * @param {Object} record - Last index record of a page
+   * @param {string} sort - Sort key of the search
+   * @param {string} order - Sort order of the search
+   * @returns {string} Base64url-encoded cursor
+   */
+  encodeCursor(record, sort, order) {
+    return Buffer.from(JSON.stringify({ s: sort, o: order, k: SORT_FIELDS[sort](record), f: record.filename })).toString('base64url');
+  }
 
-      return recordings;
+  /**
+   * Decode a pagination cursor into a position to compare index records against
+   * 
+   * @param {string} cursor - Cursor returned by encodeCursor
+   * @param {string} sort - Sort key of the current search
+   * @param {string} order - Sort order of the current search
+   * @returns {Object} Pseudo index record with the sort key value and filename of the cursor
+   * @throws {Error} If the cursor is malformed or was created for another sort (statusCode 400)
+   */
+  decodeCursor(cursor, sort, order) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
     } catch (error) {
-      logger.error(`Failed to list recordings: ${error.message}`);
-      throw new Error(`Failed to list recordings: ${error.message}`);
+      throw this.createBadRequestError('Invalid cursor');
+    }
+
+    if (!position || position.s !== sort || position.o !== order || typeof position.k !== 'number' || typeof position.f !== 'string') {
+      throw this.createBadRequestError('Invalid cursor for this sort order');
     }
+
+    // Rebuild just enough of a record for the sort key functions
+    return {
+      filename: position.f,
+      createdAt: new Date(position.k),
+      size: position.k,
+      durationSec: position.k === -1 ? null : position.k
+    };
+  }
+
+  /**
+   * Create an error that the error handler answers with 400 Bad Request
+   * 
+   * @param {string} message - Error message
+   * @returns {Error} Error with statusCode 400
+   */
+  createBadRequestError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Get the number of saved recordings and their total size
+   * 
+   * @returns {Promise<Object>} Recording count and total bytes
+   */
+  async getRecordingTotals() {
+    await this.ready;
+    return this.index.getTotals();
+  }
+
+  /**
+   * Convert a recording index record to the listing format
+   * 
+   * @param {Object} record - Index record
+   * @returns {Object} Recording with MIME type and formatted size
+   */
+  formatRecord(record) {
+    return {
+      filename: record.filename,
+      title: record.title,
+      pinned: record.pinned,
+      mimeType: this.getMimeType(record.filename),
+      size: record.size,
+      sizeFormatted: this.formatFileSize(record.size),
+      createdAt: record.createdAt,
+      modifiedAt: record.modifiedAt,
+      apiKeyId: record.apiKeyId,
+      language: record.language,
+      durationSec: record.durationSec,
+      speakerCount: record.speakerCount
+    };
   }
 
   /**
    * Get recording metadata by filename
    * 
-   * Returns detailed metadata for a specific audio file.
+   * Returns detailed metadata for a specific audio file, including the stored
+   * transcription if one was saved for it.
    * 
    * @param {string} filename - Name of the audio file
-   * @returns {Promise<Object|null>} Recording metadata or null if not found
+   * @returns {Promise<Object|null>} Recording metadata or null if the filename is invalid or not found
    */
   async getRecordingMetadata(filename) {
+    if (!this.isValidFilename(filename)) {
+      return null;
+    }
+
     try {
-      const filePath = path.join(this.storageDir, filename);
-      const stats = await fs.stat(filePath);
+      await this.ready;
+      const record = this.index.get(filename);
 
-      if (!stats.isFile()) {
+      if (!record) {
         return null;
       }
 
+      const sidecar = await this.readSidecar(filename);
+
+      const audio = sidecar && sidecar.audio ? sidecar.audio : null;
+
       return {
         filename: filename,
-        size: stats.size,
-        sizeFormatted: this.formatFileSize(stats.size),
-        createdAt: stats.birthtime,
-        modifiedAt: stats.mtime
+        title: record.title,
+        pinned: record.pinned,
+        format: audio ? audio.format : path.extname(filename).slice(1),
+        mimeType: audio ? audio.mimeType : this.getMimeType(filename),
+        originalFilename: audio ? audio.originalFilename : null,
+        size: record.size,
+        sizeFormatted: this.formatFileSize(record.size),
+        createdAt: record.createdAt,
+        modifiedAt: record.modifiedAt,
+        requestId: sidecar ? sidecar.request_id || null : null,
+        transcription: sidecar ? sidecar.transcription || null : null
       };
     } catch (error) {
       logger.warn(`Failed to get metadata for file ${filename}: ${error.message}`);
@@ -248,6 +1025,128 @@ class AudioService {
     }
   }
 
+  /**
+   * Get the storage key of a recording's sidecar metadata file
+   * 
+   * Sidecar files live in a dot-prefixed subdirectory of the storage root so
+   * they are skipped by the recordings listing and never served by the /audio
+   * endpoint.
+   * 
+   * @param {string} filename - Name of the audio file
+   * @returns {string} Storage key of the sidecar JSON file
+   */
+  getSidecarKey(filename) {
+    return `.metadata/${filename}.json`;
+  }
+
+  /**
+   * Read sidecar metadata for a recording
+   * 
+   * @param {string} filename - Name of the audio file
+   * @returns {Promise<Object|null>} Parsed sidecar data or null if none exists
+   */
+  async readSidecar(filename) {
+    try {
+      const content = await this.storage.read(this.getSidecarKey(filename));
+      return content ? JSON.parse(content.toString('utf-8')) : null;
+    } catch (error) {
+      logger.warn(`Failed to read metadata for file ${filename}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write sidecar metadata for a recording
+   * 
+   * Merges the given fields into any existing sidecar data so that different
+   * parts of the application can record their own fields independently.
+   * 
+   * @param {string} filename - Name of the audio file
+   * @param {Object} data - Fields to merge into the sidecar
+   * @returns {Promise<Object>} The full sidecar data after merging
+   * @throws {Error} If the sidecar file cannot be written
+   */
+  async writeSidecar(filename, data) {
+    const existing = await this.readSidecar(filename);
+    const sidecar = {
+      ...(existing || { filename }),
+      ...data,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.storage.save(this.getSidecarKey(filename), Buffer.from(JSON.stringify(sidecar, null, 2)), {
+      contentType: 'application/json'
+    });
+    return sidecar;
+  }
+
+  /**
+   * Save transcription result for a recording
+   * 
+   * Stores the parts of the Python backend response that describe the transcript
+   * in the recording's sidecar file. Word and speaker lists are derived from the
+   * segments when the backend does not return them at the top level.
+   * 
+   * @param {string} filename - Name of the saved audio file
+   * @param {Object} result - Transcription result from Python backend
+   * @param {Object} params - Transcription parameters used for the request
+   * @returns {Promise<void>}
+   * @throws {Error} If the sidecar file cannot be written
+   */
+  async saveTranscription(filename, result, params = {}) {
+    const segments = Array.isArray(result.segments) ? result.segments : [];
+
+    const words = Array.isArray(result.words)
+      ? result.words
+      : segments.flatMap(segment => (Array.isArray(segment.words) ? segment.words : []));
+
+    const speakers = Array.isArray(result.speakers)
+      ? result.speakers
+      : [...new Set(segments.map(segment => segment.speaker).filter(speaker => speaker !== null && speaker !== undefined))];
+
+    const { transcription } = await this.writeSidecar(filename, {
+      transcription: {
+        text: result.text || '',
+        language: result.language || null,
+        detected_language: result.detected_language || null,
+        segments,
+        words,
+        speakers,
+        processing_time_sec: result.processing_time_sec ?? null,
+        audio_duration_sec: result.audio_duration_sec ?? null,
+        params,
+        transcribedAt: new Date().toISOString()
+      }
+    });
+
+    await this.ready;
+    const record = this.index.get(filename);
+    if (record) {
+      await this.index.put({ ...record, ...this.summarizeTranscription(transcription) });
+    }
+
+    logger.info(`Transcription saved for audio file: ${filename}`);
+  }
+
+  /**
+   * Extract the searchable fields of a stored transcription for the recording index
+   * 
+   * @param {Object|null} transcription - Stored transcription data
+   * @returns {Object} Language, audio duration, speaker count and transcript text (null when unknown)
+   */
+  summarizeTranscription(transcription) {
+    if (!transcription) {
+      return { language: null, durationSec: null, speakerCount: null, text: null };
+    }
+
+    return {
+      language: transcription.detected_language || transcription.language || null,
+      durationSec: typeof transcription.audio_duration_sec === 'number' ? transcription.audio_duration_sec : null,
+      speakerCount: Array.isArray(transcription.speakers) ? transcription.speakers.length : null,
+      text: transcription.text || null
+    };
+  }
+
   /**
    * Format file size in human-readable format
    * 
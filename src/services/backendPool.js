@@ -0,0 +1,645 @@
+/**
+ * Backend Pool
+ *
+ * This module manages the set of Python backends the proxy forwards requests to.
+ * PYTHON_BACKEND_URL may list several backends (comma-separated); the pool:
+ * - Chooses a backend per request by round-robin or least-outstanding-requests
+ * - Health-checks every backend periodically via its /health endpoint
+ * - Ejects backends that fail a health check or are unreachable, and brings them
+ *   back once a health check succeeds again
+ * - Retries idempotent calls on another backend when one returns 503 or cannot
+ *   be reached
+ * - Wraps every backend in a circuit breaker, so a backend that keeps failing
+ *   is skipped and requests fail fast when every breaker is open
+ * - Retries transient network errors with exponential backoff. Non-idempotent
+ *   calls are only retried when the connection was refused, i.e. the request
+ *   never reached the backend
+ * - Limits how many queued requests (transcriptions) each backend runs at once.
+ *   Further requests wait in a bounded priority queue with one lane per tier and
+ *   are rejected when the queue is full or no slot becomes free in time
+ * - Forwards the ID of the current request to the backend as X-Request-Id
+ *
+ * @author Debarun Lahiri
+ */
+
+const axios = require('axios');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const RequestQueue = require('../utils/requestQueue');
+const { getRequestId, addBackendTime } = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const {
+  backendRequestDurationSeconds,
+  backendErrorsTotal,
+  backendQueueSize,
+  backendQueueWaitSeconds,
+  backendQueueRejectedTotal
+} = require('../utils/metrics');
+
+// Supported backend selection strategies
+const STRATEGIES = ['round-robin', 'least-outstanding'];
+
+// Network error codes worth retrying for idempotent requests
+const TRANSIENT_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Backend response statuses that count as failures for the circuit breaker
+const BREAKER_FAILURE_STATUSES = [502, 503, 504];
+
+// Assumed duration of a queued request until the first one has been measured
+const DEFAULT_SERVICE_TIME_MS = 30 * 1000;
+
+// Weight of the latest duration in the moving average used for wait estimates
+const SERVICE_TIME_SMOOTHING = 0.2;
+
+/**
+ * Check whether an axios error means the request should be tried on another backend
+ *
+ * @param {Error} error - Error from an axios request
+ * @returns {boolean} True if the backend was unreachable or returned 503
+ */
+function isFailoverError(error) {
+  if (error.response) {
+    return error.response.status === 503;
+  }
+  return Boolean(error.request);
+}
+
+/**
+ * Check whether an axios error should count against a backend's circuit breaker
+ *
+ * Only unreachable backends, timeouts and gateway-style statuses count; other
+ * error responses mean the backend is up and rejected the request itself.
+ *
+ * @param {Error} error - Error from an axios request
+ * @returns {boolean} True if the error indicates a failing backend
+ */
+function isBreakerFailure(error) {
+  if (error.response) {
+    return BREAKER_FAILURE_STATUSES.includes(error.response.status);
+  }
+  return Boolean(error.request);
+}
+
+/**
+ * Check whether an axios error may be retried after a backoff
+ *
+ * @param {Error} error - Error from an axios request
+ * @param {boolean} idempotent - Whether the request is safe to send twice
+ * @returns {boolean} True if the request should be retried
+ */
+function isTransientError(error, idempotent) {
+  if (error.response) {
+    return false;
+  }
+  if (!idempotent) {
+    return error.code === 'ECONNREFUSED';
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Classify an axios error for the backend error metric
+ *
+ * @param {Error} error - Error from an axios request
+ * @returns {string} Error type label
+ */
+function getErrorType(error) {
+  if (error.response) {
+    return `http_${error.response.status}`;
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return 'timeout';
+  }
+  return error.request ? 'unreachable' : 'other';
+}
+
+/**
+ * Wait for the given number of milliseconds
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * BackendPool Class
+ *
+ * Tracks backend health, in-flight requests and concurrency slots, selects
+ * backends and queues requests that wait for a slot.
+ */
+class BackendPool {
+  /**
+   * Initialize BackendPool
+   *
+   * Creates an axios client and circuit breaker per backend and starts periodic
+   * health checks.
+   *
+   * @param {Array<string>} urls - Backend base URLs
+   * @param {Object} options - Pool options
+   * @param {string} options.strategy - 'round-robin' or 'least-outstanding'
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {number} options.healthCheckIntervalMs - Interval between health checks (0 disables)
+   * @param {number} options.healthCheckTimeoutMs - Timeout for each health check
+   * @param {number} options.retryAttempts - Retries for transient network errors
+   * @param {number} options.retryBaseDelayMs - Delay before the first retry, doubled for each further retry
+   * @param {Object} options.circuitBreaker - Circuit breaker options (see CircuitBreaker)
+   * @param {number} options.maxConcurrency - Queued requests each backend runs at once (0 disables the limit)
+   * @param {Object} options.queue - Queue options
+   * @param {number} options.queue.maxSize - Maximum number of waiting requests
+   * @param {number} options.queue.timeoutMs - Longest time a request waits for a slot
+   * @param {Array<string>} options.queue.tiers - Priority tiers, highest first
+   */
+  constructor(urls, {
+    strategy,
+    timeout,
+    healthCheckIntervalMs,
+    healthCheckTimeoutMs,
+    retryAttempts,
+    retryBaseDelayMs,
+    circuitBreaker,
+    maxConcurrency,
+    queue
+  }) {
+    if (!STRATEGIES.includes(strategy)) {
+      logger.warn(`Unknown backend strategy '${strategy}', using round-robin`);
+      strategy = 'round-robin';
+    }
+
+    this.strategy = strategy;
+    this.healthCheckTimeoutMs = healthCheckTimeoutMs;
+    this.retryAttempts = retryAttempts;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.nextIndex = 0;
+    this.maxConcurrency = maxConcurrency;
+    this.queue = new RequestQueue(queue.tiers, queue.maxSize);
+    this.queueTimeoutMs = queue.timeoutMs;
+    this.serviceTimeMs = null; // Moving average duration of queued requests
+    this.backends = urls.map(url => ({
+      url,
+      client: axios.create({
+        baseURL: url,
+        timeout,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }),
+      breaker: new CircuitBreaker(url, circuitBreaker),
+      healthy: true,
+      inFlight: 0,
+      slotsInUse: 0,
+      lastCheckedAt: null,
+      latencyMs: null,
+      lastError: null
+    }));
+
+    // Propagate the current request ID so backend logs can be correlated
+    for (const backend of this.backends) {
+      backend.client.interceptors.request.use((requestConfig) => {
+        const requestId = getRequestId();
+        if (requestId) {
+          requestConfig.headers['X-Request-Id'] = requestId;
+        }
+        return requestConfig;
+      });
+    }
+
+    if (healthCheckIntervalMs > 0) {
+      this.checkAll();
+      this.healthTimer = setInterval(() => this.checkAll(), healthCheckIntervalMs);
+      this.healthTimer.unref();
+    }
+  }
+
+  /**
+   * Select a backend for the next request
+   *
+   * Backends whose circuit breaker is open are never selected. Of the rest, only
+   * healthy backends are considered. If every remaining backend has been
+   * ejected, they are all considered anyway, since a stale health result is
+   * better than failing without trying. Queued requests are only given
+   * backends below their concurrency limit.
+   *
+   * @param {Array<Object>} exclude - Backends already tried for this request
+   * @param {Object} options - Selection options
+   * @param {boolean} options.queued - Whether the request needs a concurrency slot
+   * @returns {Object|null} Selected backend or null if none are left
+   */
+  select(exclude = [], { queued = false } = {}) {
+    const remaining = this.backends.filter(backend => !exclude.includes(backend) && backend.breaker.canRequest());
+    if (remaining.length === 0) {
+      return null;
+    }
+
+    const healthy = remaining.filter(backend => backend.healthy);
+    let candidates = healthy.length > 0 ? healthy : remaining;
+
+    if (queued) {
+      candidates = candidates.filter(backend => backend.slotsInUse < this.maxConcurrency);
+      if (candidates.length === 0) {
+        return null;
+      }
+    }
+
+    // Rotate the starting point so ties are spread across backends
+    const offset = this.nextIndex++ % candidates.length;
+    const rotated = [...candidates.slice(offset), ...candidates.slice(0, offset)];
+
+    if (this.strategy === 'least-outstanding') {
+      return rotated.reduce((best, backend) => (backend.inFlight < best.inFlight ? backend : best));
+    }
+    return rotated[0];
+  }
+
+  /**
+   * Run a request against a backend from the pool
+   *
+   * The in-flight count of the chosen backend is tracked for the duration of the
+   * request, and the outcome is recorded in its circuit breaker. Unreachable
+   * backends are ejected immediately. Idempotent requests that fail with 503 or
+   * an unreachable backend are retried on the next backend; transient network
+   * errors are retried with exponential backoff.
+   *
+   * Queued requests take a concurrency slot on the backend for each attempt and
+   * wait in the queue while every backend is at its limit.
+   *
+   * @param {Function} requestFn - Function receiving a backend and returning a promise
+   * @param {Object} options - Execution options
+   * @param {boolean} options.idempotent - Whether the request may be sent more than once
+   * @param {string} options.operation - Operation name used to label metrics
+   * @param {boolean} options.queued - Whether the request is subject to the concurrency limit
+   * @param {string|null} options.tier - Priority tier of a queued request
+   * @param {boolean} options.bounded - Whether the queue size limit and wait timeout apply to a queued request
+   * @param {Function|null} options.onQueued - Called with the queue entry if the request has to wait
+   * @returns {Promise<*>} Result of requestFn
+   * @throws {Error} The last error if no backend succeeded, an error with code
+   *   CIRCUIT_OPEN and retryAfter (seconds) if every circuit breaker is open, or
+   *   an error with code QUEUE_FULL or QUEUE_TIMEOUT and retryAfter if no slot was free
+   */
+  async execute(requestFn, { idempotent = false, operation = 'unknown', queued = false, tier = null, bounded = true, onQueued = null } = {}) {
+    const limited = queued && this.maxConcurrency > 0;
+    const tried = [];
+    let retries = 0;
+    let retryDelay = 0;
+
+    for (;;) {
+      // Back off before retrying a transient error
+      if (retryDelay > 0) {
+        await sleep(retryDelay);
+        retryDelay = 0;
+      }
+
+      // Prefer backends not yet tried for this request
+      const backend = limited
+        ? await this.acquireSlot(tried, { tier, bounded, onQueued })
+        : this.select(tried) || this.select();
+      if (!backend) {
+        backendErrorsTotal.inc({ backend: 'none', operation, type: 'circuit_open' });
+        throw this.circuitOpenError();
+      }
+      if (!tried.includes(backend)) {
+        tried.push(backend);
+      }
+
+      backend.breaker.acquire();
+      backend.inFlight++;
+      const endTimer = backendRequestDurationSeconds.startTimer({ backend: backend.url, operation });
+      const startedAt = Date.now();
+
+      try {
+        const result = await requestFn(backend);
+        endTimer({ outcome: 'success' });
+        backend.breaker.recordSuccess();
+        if (limited) {
+          this.recordServiceTime(Date.now() - startedAt);
+        }
+        return result;
+      } catch (error) {
+        endTimer({ outcome: 'error' });
+        backendErrorsTotal.inc({ backend: backend.url, operation, type: getErrorType(error) });
+
+        if (isBreakerFailure(error)) {
+          backend.breaker.recordFailure();
+        } else {
+          backend.breaker.recordSuccess();
+        }
+        if (error.request && !error.response) {
+          this.markUnhealthy(backend, error.message);
+        }
+
+        const untried = this.backends.some(other => !tried.includes(other) && other.breaker.canRequest());
+        if (idempotent && isFailoverError(error) && untried) {
+          logger.warn(`Backend ${backend.url} failed (${error.message}), retrying on another backend`);
+          continue;
+        }
+
+        if (retries < this.retryAttempts && isTransientError(error, idempotent)) {
+          retryDelay = this.retryBaseDelayMs * 2 ** retries;
+          retries++;
+          logger.warn(`Backend ${backend.url} failed (${error.message}), retry ${retries}/${this.retryAttempts} in ${retryDelay}ms`);
+          continue;
+        }
+
+        throw error;
+      } finally {
+        backend.inFlight--;
+        addBackendTime(Date.now() - startedAt);
+        if (limited) {
+          this.releaseSlot(backend);
+        }
+      }
+    }
+  }
+
+  /**
+   * Take a concurrency slot for a queued request, waiting in the queue if needed
+   *
+   * A request only skips the queue when nobody is waiting, so slots are handed
+   * out in queue order. Unbounded requests (e.g. jobs, which have their own
+   * bounded queue) are queued even when the queue is full and wait without a timeout.
+   *
+   * @param {Array<Object>} exclude - Backends already tried for this request
+   * @param {Object} options - Queue options
+   * @param {string|null} options.tier - Priority tier of the request
+   * @param {boolean} options.bounded - Whether the queue size limit and wait timeout apply
+   * @param {Function|null} options.onQueued - Called with the queue entry if the request has to wait
+   * @returns {Promise<Object|null>} Backend whose slot was taken, or null if every circuit breaker is open
+   * @throws {Error} Error with code QUEUE_FULL or QUEUE_TIMEOUT and retryAfter (seconds)
+   */
+  async acquireSlot(exclude, { tier, bounded, onQueued }) {
+    if (this.queue.size === 0) {
+      const backend = this.select(exclude, { queued: true }) || this.select([], { queued: true });
+      if (backend) {
+        backend.slotsInUse++;
+        return backend;
+      }
+    }
+
+    if (!this.backends.some(backend => backend.breaker.retryAfterSeconds() === 0)) {
+      return null;
+    }
+
+    if (bounded && this.queue.isFull()) {
+      backendQueueRejectedTotal.inc({ reason: 'full' });
+      throw this.queueError('QUEUE_FULL', `Transcription queue is full (${this.queue.maxSize} requests waiting), retry later`);
+    }
+
+    const entry = this.queue.push(tier);
+    this.updateQueueMetrics();
+    logger.info(`Every backend is busy, request queued at position ${this.queue.getPosition(entry)} (tier ${entry.tier})`);
+
+    let timer = null;
+    if (bounded) {
+      timer = setTimeout(() => {
+        if (this.queue.remove(entry)) {
+          this.updateQueueMetrics();
+          backendQueueRejectedTotal.inc({ reason: 'timeout' });
+          entry.reject(this.queueError('QUEUE_TIMEOUT', `No Python backend became free within ${Math.round(this.queueTimeoutMs / 1000)} seconds, retry later`));
+        }
+      }, this.queueTimeoutMs);
+    }
+
+    if (onQueued) {
+      onQueued(entry);
+    }
+
+    try {
+      return await entry.promise;
+    } finally {
+      clearTimeout(timer);
+      backendQueueWaitSeconds.observe({ tier: entry.tier }, (Date.now() - entry.enqueuedAt) / 1000);
+    }
+  }
+
+  /**
+   * Free the concurrency slot of a queued request and hand it on
+   *
+   * @param {Object} backend - Backend the request ran on
+   * @returns {void}
+   */
+  releaseSlot(backend) {
+    backend.slotsInUse--;
+    this.dispatch();
+  }
+
+  /**
+   * Hand free slots to waiting requests in queue order
+   *
+   * Once no backend can take requests and none are running, no slot would ever
+   * be freed, so waiting requests are woken without a backend and fail with
+   * the circuit breaker error.
+   *
+   * @returns {void}
+   */
+  dispatch() {
+    while (this.queue.size > 0) {
+      const backend = this.select([], { queued: true });
+      if (!backend) {
+        break;
+      }
+      backend.slotsInUse++;
+      this.queue.shift().resolve(backend);
+    }
+
+    if (this.queue.size > 0 && this.backends.every(backend => backend.slotsInUse === 0)) {
+      for (let entry = this.queue.shift(); entry; entry = this.queue.shift()) {
+        entry.resolve(null);
+      }
+    }
+
+    this.updateQueueMetrics();
+  }
+
+  /**
+   * Add the duration of a queued request to the moving average
+   *
+   * @param {number} ms - Duration in milliseconds
+   * @returns {void}
+   */
+  recordServiceTime(ms) {
+    this.serviceTimeMs = this.serviceTimeMs === null
+      ? ms
+      : this.serviceTimeMs + SERVICE_TIME_SMOOTHING * (ms - this.serviceTimeMs);
+  }
+
+  /**
+   * Estimate how long a request at a queue position waits for a slot
+   *
+   * Assumes slots free up at the rate the available backends complete
+   * requests of the average duration.
+   *
+   * @param {number} position - Queue position starting at 1
+   * @returns {number} Estimated wait in seconds (at least 1)
+   */
+  estimateWaitSeconds(position) {
+    const available = this.backends.filter(backend => backend.breaker.retryAfterSeconds() === 0).length;
+    const slots = this.maxConcurrency * Math.max(1, available);
+    const serviceTimeMs = this.serviceTimeMs === null ? DEFAULT_SERVICE_TIME_MS : this.serviceTimeMs;
+    return Math.max(1, Math.ceil((position * serviceTimeMs) / slots / 1000));
+  }
+
+  /**
+   * Create the error thrown when a queued request cannot get a slot
+   *
+   * @param {string} code - QUEUE_FULL or QUEUE_TIMEOUT
+   * @param {string} message - Error message
+   * @returns {Error} Error with code and retryAfter in seconds
+   */
+  queueError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.retryAfter = this.estimateWaitSeconds(1);
+    return error;
+  }
+
+  /**
+   * Update the queue size metric of every tier
+   *
+   * @returns {void}
+   */
+  updateQueueMetrics() {
+    for (const [tier, count] of Object.entries(this.queue.getCounts())) {
+      backendQueueSize.set({ tier }, count);
+    }
+  }
+
+  /**
+   * Get the position and estimated wait of a waiting request
+   *
+   * @param {Object} entry - Queue entry passed to onQueued
+   * @returns {Object|null} Position and estimated wait in seconds, or null if the request no longer waits
+   */
+  getQueuePosition(entry) {
+    const position = this.queue.getPosition(entry);
+    if (position === 0) {
+      return null;
+    }
+    return { position, estimated_wait_seconds: this.estimateWaitSeconds(position) };
+  }
+
+  /**
+   * Get the state of the queue
+   *
+   * The position and estimated wait are those a new request of the given tier
+   * would get (0 if it would be sent to a backend right away).
+   *
+   * @param {string|null} tier - Priority tier of the caller
+   * @returns {Object} Limits, slots in use, waiting requests per tier and the caller's estimate
+   */
+  getQueueStatus(tier = null) {
+    const resolvedTier = this.queue.resolveTier(tier);
+    const enabled = this.maxConcurrency > 0;
+    const slotFree = this.backends.some(backend =>
+      backend.breaker.retryAfterSeconds() === 0 && backend.slotsInUse < this.maxConcurrency);
+    const position = enabled && (this.queue.size > 0 || !slotFree) ? this.queue.getNextPosition(resolvedTier) : 0;
+
+    return {
+      enabled,
+      max_concurrency_per_backend: this.maxConcurrency,
+      slots: this.maxConcurrency * this.backends.length,
+      slots_in_use: this.backends.reduce((total, backend) => total + backend.slotsInUse, 0),
+      queued: this.queue.size,
+      max_queue_size: this.queue.maxSize,
+      queued_by_tier: this.queue.getCounts(),
+      average_service_seconds: this.serviceTimeMs === null ? null : Math.round(this.serviceTimeMs / 100) / 10,
+      tier: resolvedTier,
+      position,
+      estimated_wait_seconds: position > 0 ? this.estimateWaitSeconds(position) : 0
+    };
+  }
+
+  /**
+   * Create the error thrown when every backend's circuit breaker is open
+   *
+   * @returns {Error} Error with code CIRCUIT_OPEN and retryAfter in seconds
+   */
+  circuitOpenError() {
+    const error = new Error('Circuit breaker is open for every Python backend');
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAfter = Math.max(1, Math.min(...this.backends.map(backend => backend.breaker.retryAfterSeconds())));
+    return error;
+  }
+
+  /**
+   * Eject a backend until its next successful health check
+   *
+   * @param {Object} backend - Backend to eject
+   * @param {string} reason - Reason for ejection
+   * @returns {void}
+   */
+  markUnhealthy(backend, reason) {
+    if (backend.healthy) {
+      logger.warn(`Ejecting backend ${backend.url}: ${reason}`);
+    }
+    backend.healthy = false;
+    backend.lastError = reason;
+  }
+
+  /**
+   * Health-check a single backend
+   *
+   * A backend is healthy if its /health endpoint answers with a 2xx status.
+   *
+   * @param {Object} backend - Backend to check
+   * @returns {Promise<void>}
+   */
+  async checkBackend(backend) {
+    const startedAt = Date.now();
+
+    try {
+      await backend.client.get('/health', { timeout: this.healthCheckTimeoutMs });
+      if (!backend.healthy) {
+        logger.info(`Backend ${backend.url} is healthy again`);
+      }
+      backend.healthy = true;
+      backend.lastError = null;
+    } catch (error) {
+      this.markUnhealthy(backend, error.response ? `health check returned ${error.response.status}` : error.message);
+    } finally {
+      backend.lastCheckedAt = new Date().toISOString();
+      backend.latencyMs = Date.now() - startedAt;
+    }
+  }
+
+  /**
+   * Health-check every backend in parallel
+   *
+   * @returns {Promise<void>}
+   */
+  async checkAll() {
+    await Promise.all(this.backends.map(backend => this.checkBackend(backend)));
+  }
+
+  /**
+   * Check whether any backend can currently take requests
+   *
+   * Uses the latest health check results and circuit breaker states without
+   * contacting the backends.
+   *
+   * @returns {boolean} True if at least one backend is healthy and its breaker is not open
+   */
+  hasAvailableBackend() {
+    return this.backends.some(backend => backend.healthy && backend.breaker.retryAfterSeconds() === 0);
+  }
+
+  /**
+   * Get the status of every backend
+   *
+   * @returns {Array<Object>} Backend URL, health, in-flight count, concurrency slots
+   *   in use, last health check details and circuit breaker status
+   */
+  getStatus() {
+    return this.backends.map(backend => ({
+      url: backend.url,
+      healthy: backend.healthy,
+      in_flight: backend.inFlight,
+      slots_in_use: backend.slotsInUse,
+      last_checked_at: backend.lastCheckedAt,
+      latency_ms: backend.latencyMs,
+      last_error: backend.lastError,
+      circuit_breaker: backend.breaker.getStatus()
+    }));
+  }
+}
+
+module.exports = BackendPool;
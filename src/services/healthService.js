@@ -0,0 +1,215 @@
+/**
+ * Health Service
+ *
+ * This service gathers the health information reported by the health endpoints:
+ * - Liveness: the proxy process is running and able to answer requests
+ * - Readiness: the proxy can serve traffic (a backend is available and the audio
+ *   storage is writable when audio saving is enabled)
+ * - Full health: proxy uptime and version, storage driver, writability and free
+ *   disk space, log and access log file status, backend reachability and latency, in-flight
+ *   request counts and the transcription queue
+ *
+ * Liveness and readiness never contact the Python backend; readiness relies on
+ * the backend pool's periodic health checks and circuit breakers.
+ *
+ * @author Debarun Lahiri
+ */
+
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const config = require('../config');
+const audioService = require('./audioService');
+const proxyService = require('./proxyService');
+const { getInFlightCount } = require('../middleware/inFlight');
+
+/**
+ * HealthService Class
+ *
+ * Builds liveness, readiness and full health reports.
+ */
+class HealthService {
+  /**
+   * Initialize HealthService
+   *
+   * Records the time the proxy started.
+   */
+  constructor() {
+    this.startedAt = new Date();
+  }
+
+  /**
+   * Get the liveness report
+   *
+   * @returns {Object} Liveness status
+   */
+  getLiveness() {
+    return {
+      status: 'alive',
+      uptime_seconds: Math.round(process.uptime())
+    };
+  }
+
+  /**
+   * Get the readiness report
+   *
+   * @returns {Promise<Object>} Readiness status with the result of each check
+   */
+  async getReadiness() {
+    const checks = {
+      backend: proxyService.hasAvailableBackend(),
+      storage: !audioService.saveAudioFiles || (await audioService.storage.getStatus()).writable
+    };
+
+    return {
+      status: Object.values(checks).every(Boolean) ? 'ready' : 'not_ready',
+      checks
+    };
+  }
+
+  /**
+   * Get the full health report
+   *
+   * The Python backend's own health fields (model_loaded, device, ...) are kept
+   * at the top level for compatibility. The overall status is:
+   * - healthy: backend reachable and every local check passed
+   * - degraded: backend reachable but a local check failed or a backend is unhealthy
+   * - unhealthy: no backend reachable
+   *
+   * @returns {Promise<Object>} Health report
+   */
+  async getHealth() {
+    const [backend, storage, logFile, accessLogFile] = await Promise.all([
+      this.checkBackend(),
+      this.getStorageStatus(),
+      this.getLogFileStatus(config.logging.file, config.logging.sinks.includes('file')),
+      this.getLogFileStatus(config.logging.accessLog.file, config.logging.accessLog.enabled)
+    ]);
+
+    const backends = proxyService.getBackendStatus();
+    const logFilesWritable = [logFile, accessLogFile].every(file => !file.enabled || file.writable);
+
+    let status = 'healthy';
+    if (!backend.reachable) {
+      status = 'unhealthy';
+    } else if ((storage.enabled && !storage.writable) || !logFilesWritable || backends.some(item => !item.healthy)) {
+      status = 'degraded';
+    }
+
+    return {
+      ...backend.data,
+      status,
+      proxy: {
+        name: config.app.name,
+        version: config.app.version,
+        started_at: this.startedAt.toISOString(),
+        uptime_seconds: Math.round(process.uptime()),
+        in_flight_requests: getInFlightCount()
+      },
+      storage,
+      log_file: logFile,
+      access_log_file: accessLogFile,
+      backend: {
+        reachable: backend.reachable,
+        latency_ms: backend.latencyMs,
+        error: backend.error,
+        retry_after_seconds: backend.retryAfter,
+        in_flight_requests: backends.reduce((total, item) => total + item.in_flight, 0),
+        queue: proxyService.getQueueStatus()
+      },
+      backends
+    };
+  }
+
+  /**
+   * Check Python backend reachability and measure latency
+   *
+   * @returns {Promise<Object>} Reachability, latency, backend health data and error
+   */
+  async checkBackend() {
+    const startedAt = Date.now();
+
+    try {
+      const data = await proxyService.healthCheck();
+      return { reachable: true, latencyMs: Date.now() - startedAt, data, error: null, retryAfter: null };
+    } catch (error) {
+      return {
+        reachable: false,
+        latencyMs: Date.now() - startedAt,
+        data: {},
+        error: error.message,
+        retryAfter: error.retryAfter || null
+      };
+    }
+  }
+
+  /**
+   * Get audio storage status
+   *
+   * @returns {Promise<Object>} Driver, location (directory or bucket), writability and disk space in bytes
+   */
+  async getStorageStatus() {
+    const { driver, location, writable, free_bytes, total_bytes } = await audioService.storage.getStatus();
+
+    return {
+      driver,
+      directory: location,
+      enabled: audioService.saveAudioFiles,
+      writable,
+      free_bytes,
+      total_bytes
+    };
+  }
+
+  /**
+   * Get log file status
+   *
+   * Log files that aren't written (file sink or access log disabled) are
+   * reported with enabled false and are not checked.
+   *
+   * @param {string} filePath - Path of the log file
+   * @param {boolean} enabled - Whether the proxy writes to the file
+   * @returns {Promise<Object>} Whether the file is written, path, existence, writability and size in bytes
+   */
+  async getLogFileStatus(filePath, enabled) {
+    const status = {
+      enabled,
+      path: filePath,
+      exists: false,
+      writable: false,
+      size_bytes: null
+    };
+
+    if (!enabled) {
+      return status;
+    }
+
+    try {
+      const stats = await fs.stat(filePath);
+      status.exists = true;
+      status.size_bytes = stats.size;
+      status.writable = await this.isWritable(filePath);
+    } catch (error) {
+      // Log file not created yet
+    }
+
+    return status;
+  }
+
+  /**
+   * Check whether a file or directory is writable
+   *
+   * @param {string} target - Path to check
+   * @returns {Promise<boolean>} True if the process can write to the path
+   */
+  async isWritable(target) {
+    try {
+      await fs.access(target, constants.W_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new HealthService();
@@ -0,0 +1,184 @@
+/**
+ * Idempotency Store
+ *
+ * This service keeps track of requests sent with an Idempotency-Key header so
+ * a retried request is answered with the response of the original one instead
+ * of being processed again. Each key moves through two states:
+ * - pending: the first request is being processed; duplicates wait for it.
+ *   A request that hasn't finished within IDEMPOTENCY_PENDING_TIMEOUT_SECONDS
+ *   (e.g. a handler that never ends its response) releases its key, so
+ *   duplicates stop waiting and process the request themselves
+ * - done: the response (status, selected headers and body) is stored and
+ *   replayed to duplicates until the key expires
+ *
+ * Keys are held in process memory for IDEMPOTENCY_TTL_SECONDS after the
+ * response was stored. Stored responses are bounded by IDEMPOTENCY_MAX_SIZE_MB;
+ * the oldest ones are evicted first.
+ *
+ * @author Debarun Lahiri
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Interval between sweeps that drop expired keys
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * IdempotencyStore Class
+ *
+ * Pending and completed idempotent requests, by client and key.
+ */
+class IdempotencyStore {
+  /**
+   * Initialize IdempotencyStore
+   *
+   * Schedules periodic removal of expired keys.
+   */
+  constructor() {
+    this.ttlMs = config.idempotency.ttlSeconds * 1000;
+    this.pendingTimeoutMs = config.idempotency.pendingTimeoutSeconds * 1000;
+    this.maxBytes = config.idempotency.maxSizeMB * 1024 * 1024;
+    this.entries = new Map(); // Key -> entry, oldest first
+    this.totalBytes = 0;
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Get the entry of a key
+   *
+   * @param {string} key - Store key (client and Idempotency-Key)
+   * @returns {Object|null} Entry with fingerprint, state, promise and response, or null if unknown or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.state === 'done' && entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Start processing a key
+   *
+   * The returned entry's promise resolves with the stored response once the
+   * request completes, or with null if it was released without a response
+   * (including when the pending timeout expires).
+   *
+   * @param {string} key - Store key
+   * @param {string} fingerprint - Fingerprint of the request (method, URL, body and uploaded file)
+   * @returns {Object} The pending entry
+   */
+  begin(key, fingerprint) {
+    const entry = { fingerprint, state: 'pending', response: null, size: 0, expiresAt: Date.now() + this.pendingTimeoutMs };
+    entry.promise = new Promise(resolve => {
+      entry.resolve = resolve;
+    });
+    entry.timer = setTimeout(() => {
+      logger.warn(`Request with an Idempotency-Key did not finish within ${this.pendingTimeoutMs / 1000}s, releasing the key`);
+      this.release(key, entry);
+    }, this.pendingTimeoutMs);
+    entry.timer.unref();
+
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store the response of a pending key and wake up waiting duplicates
+   *
+   * A request that finishes after its timeout expired still stores its
+   * response, unless a duplicate has taken over the key in the meantime.
+   *
+   * @param {string} key - Store key
+   * @param {Object} entry - Entry returned by begin
+   * @param {Object} response - Status code, headers and body (Buffer) of the response
+   * @returns {void}
+   */
+  complete(key, entry, response) {
+    const current = this.entries.get(key);
+    if ((current && current !== entry) || entry.state !== 'pending') {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    entry.state = 'done';
+    entry.response = response;
+    entry.size = response.body.length;
+    entry.expiresAt = Date.now() + this.ttlMs;
+    entry.resolve(response);
+
+    // Move the key behind older responses so eviction removes the oldest first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.totalBytes += entry.size;
+
+    for (const [oldestKey, oldest] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      if (oldest.state === 'done') {
+        this.delete(oldestKey);
+      }
+    }
+  }
+
+  /**
+   * Forget a pending key without storing a response
+   *
+   * Waiting duplicates are woken up with null and process the request themselves.
+   *
+   * @param {string} key - Store key
+   * @param {Object} entry - Entry returned by begin
+   * @returns {void}
+   */
+  release(key, entry) {
+    if (this.entries.get(key) === entry && entry.state === 'pending') {
+      clearTimeout(entry.timer);
+      this.entries.delete(key);
+      entry.resolve(null);
+    }
+  }
+
+  /**
+   * Remove a key
+   *
+   * @param {string} key - Store key
+   * @returns {void}
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+    }
+  }
+
+  /**
+   * Remove expired keys
+   *
+   * @returns {void}
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.state === 'done' && entry.expiresAt <= now) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      logger.debug(`Removed ${removed} expired idempotency keys`);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new IdempotencyStore();
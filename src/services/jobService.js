@@ -0,0 +1,454 @@
+/**
+ * Job Service
+ *
+ * This service runs transcription requests asynchronously so clients don't have
+ * to hold an HTTP connection open while the Python backend works. Jobs are
+ * processed by a bounded worker queue and move through the states:
+ * queued -> running -> done | failed
+ *
+ * Each job is persisted as a JSON file (with its uploaded audio stored next to it
+ * until the job finishes) in the jobs directory. On startup, jobs that were queued
+ * or running when the proxy stopped are loaded and queued again. When a job has a
+ * callback URL, its final state is POSTed there once it finishes.
+ *
+ * A running job may still have to wait for a free Python backend; its position
+ * in the backend queue is reported until the transcription starts.
+ *
+ * @author Debarun Lahiri
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const transcriptionService = require('./transcriptionService');
+const proxyService = require('./proxyService');
+const { runWithRequestId } = require('../utils/requestContext');
+const { checkCallbackUrl, callbackAgents } = require('../utils/callbackUrl');
+
+// Job IDs are UUIDs; anything else is rejected before touching the disk
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * JobService Class
+ *
+ * Manages the transcription job queue and job persistence.
+ */
+class JobService {
+  /**
+   * Initialize JobService
+   *
+   * Sets up the jobs directory and queue limits, then loads persisted jobs
+   * and schedules periodic removal of old finished jobs.
+   */
+  constructor() {
+    this.jobsDir = path.resolve(config.jobs.storageDir);
+    this.concurrency = config.jobs.concurrency;
+    this.maxQueueSize = config.jobs.maxQueueSize;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.backendQueueEntries = new Map(); // Job ID -> backend queue entry while the job waits for a backend
+
+    this.ready = this.loadJobs();
+
+    // Prune finished jobs once an hour
+    this.pruneTimer = setInterval(() => this.pruneJobs(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Load persisted jobs from disk
+   *
+   * Jobs that were queued or running when the proxy stopped are queued again
+   * in their original creation order, and callbacks that were never attempted
+   * for finished jobs are sent.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadJobs() {
+    try {
+      await fs.mkdir(this.jobsDir, { recursive: true });
+      const files = await fs.readdir(this.jobsDir);
+      const pending = [];
+      const undelivered = [];
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const job = JSON.parse(await fs.readFile(path.join(this.jobsDir, file), 'utf-8'));
+          this.jobs.set(job.id, job);
+          if (job.status === 'queued' || job.status === 'running') {
+            pending.push(job);
+          } else if (job.callback && job.callback.status === 'pending') {
+            undelivered.push(job);
+          }
+        } catch (error) {
+          logger.warn(`Failed to load job file ${file}: ${error.message}`);
+        }
+      }
+
+      pending.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      for (const job of pending) {
+        job.status = 'queued';
+        this.queue.push(job.id);
+      }
+
+      logger.info(`Jobs directory ready: ${this.jobsDir} (${this.jobs.size} jobs, ${pending.length} resumed)`);
+      await this.pruneJobs();
+      this.processQueue();
+
+      // Deliver callbacks for jobs that finished just before the proxy stopped
+      for (const job of undelivered) {
+        this.sendCallback(job);
+      }
+    } catch (error) {
+      logger.error(`Failed to load jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get file system path for a job's JSON file
+   *
+   * @param {string} id - Job ID
+   * @returns {string} Full path of the job file
+   */
+  getJobPath(id) {
+    return path.join(this.jobsDir, `${id}.json`);
+  }
+
+  /**
+   * Get file system path for a job's uploaded audio
+   *
+   * @param {string} id - Job ID
+   * @returns {string} Full path of the job's audio file
+   */
+  getAudioPath(id) {
+    return path.join(this.jobsDir, `${id}.audio`);
+  }
+
+  /**
+   * Persist a job to disk
+   *
+   * Writes to a temporary file first and renames it so a crash never leaves
+   * a partially written job file behind.
+   *
+   * @param {Object} job - Job record
+   * @returns {Promise<void>}
+   */
+  async saveJob(job) {
+    job.updated_at = new Date().toISOString();
+    const jobPath = this.getJobPath(job.id);
+    const tempPath = `${jobPath}.tmp`;
+
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+      await fs.rename(tempPath, jobPath);
+    } catch (error) {
+      logger.error(`Failed to persist job ${job.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a file, copying it when the destination is on another filesystem
+   *
+   * @param {string} source - Path of the file to move
+   * @param {string} destination - New path of the file
+   * @returns {Promise<void>}
+   */
+  async moveFile(source, destination) {
+    try {
+      await fs.rename(source, destination);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.copyFile(source, destination);
+      await fs.rm(source, { force: true });
+    }
+  }
+
+  /**
+   * Create a transcription job
+   *
+   * Moves the uploaded audio file into the jobs directory, persists the job and
+   * adds it to the queue. The job starts as soon as a worker slot is free.
+   *
+   * @param {Object} options - Job options
+   * @param {string} options.audioPath - Path of the uploaded audio file (moved into the jobs directory)
+   * @param {string} options.originalFilename - Original filename of the audio file
+   * @param {string} options.mimeType - MIME type of the audio file
+   * @param {Object} options.params - Transcription parameters
+   * @param {string} options.baseUrl - Base URL used to build the audio file URL
+   * @param {string|null} options.callbackUrl - URL to POST the finished job to
+   * @param {Object|null} options.audioTruncated - Truncation info from the audio duration middleware
+   * @param {string|null} options.apiKeyId - ID of the API key creating the job (if authenticated)
+   * @param {string|null} options.requestId - ID of the request creating the job, reused when the job runs
+   * @param {boolean} options.useCache - Reuse a cached backend result (default: true)
+   * @param {string|null} options.tier - Priority tier of the API key, used while every backend is busy
+   * @returns {Promise<Object>} The created job
+   * @throws {Error} If the queue is full (statusCode 503)
+   */
+  async createTranscriptionJob({ audioPath, originalFilename, mimeType, params, baseUrl, callbackUrl = null, audioTruncated = null, apiKeyId = null, requestId = null, useCache = true, tier = null }) {
+    await this.ready;
+
+    if (this.queue.length >= this.maxQueueSize) {
+      const error = new Error(`Job queue is full (${this.maxQueueSize} jobs queued), try again later`);
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type: 'transcription',
+      status: 'queued',
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      finished_at: null,
+      params,
+      original_filename: originalFilename,
+      mime_type: mimeType,
+      base_url: baseUrl,
+      audio_truncated: audioTruncated,
+      api_key_id: apiKeyId,
+      request_id: requestId,
+      use_cache: useCache,
+      tier,
+      callback_url: callbackUrl,
+      callback: callbackUrl ? { status: 'pending', attempts: 0, last_error: null } : null,
+      result: null,
+      error: null
+    };
+
+    await this.moveFile(audioPath, this.getAudioPath(job.id));
+    this.jobs.set(job.id, job);
+    await this.saveJob(job);
+
+    this.queue.push(job.id);
+    logger.info(`Transcription job ${job.id} queued (queue length: ${this.queue.length})`);
+    this.processQueue();
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   *
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job record or null if not found
+   */
+  async getJob(id) {
+    await this.ready;
+
+    if (!JOB_ID_PATTERN.test(id)) {
+      return null;
+    }
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Build the client-facing representation of a job
+   *
+   * Internal fields (base URL, original MIME type, API key, tier) are omitted and the position
+   * in the queue is included while the job is waiting. A running job that waits for a free
+   * Python backend includes its backend queue position and estimated wait instead.
+   *
+   * @param {Object} job - Job record
+   * @returns {Object} Public job data
+   */
+  toPublicJob(job) {
+    const publicJob = {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      params: job.params,
+      request_id: job.request_id || null,
+      original_filename: job.original_filename,
+      callback_url: job.callback_url,
+      callback: job.callback,
+      result: job.result,
+      error: job.error
+    };
+
+    if (job.status === 'queued') {
+      publicJob.queue_position = this.queue.indexOf(job.id) + 1;
+    }
+
+    const backendQueueEntry = this.backendQueueEntries.get(job.id);
+    const backendQueue = backendQueueEntry ? proxyService.getQueuePosition(backendQueueEntry) : null;
+    if (backendQueue) {
+      publicJob.backend_queue_position = backendQueue.position;
+      publicJob.estimated_wait_seconds = backendQueue.estimated_wait_seconds;
+    }
+
+    return publicJob;
+  }
+
+  /**
+   * Start queued jobs while worker slots are available
+   *
+   * @returns {void}
+   */
+  processQueue() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (!job) continue;
+
+      // Run under the ID of the request that created the job, not the one that triggered the queue
+      this.running++;
+      runWithRequestId(job.request_id || null, () => this.runJob(job))
+        .catch(error => logger.error(`Unexpected error running job ${job.id}: ${error.message}`))
+        .finally(() => {
+          this.running--;
+          this.processQueue();
+        });
+    }
+  }
+
+  /**
+   * Run a transcription job
+   *
+   * Marks the job as running, transcribes its audio through the shared
+   * transcription flow and records the result or error. The job's audio file
+   * is removed once the job has finished either way.
+   *
+   * @param {Object} job - Job record
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    await this.saveJob(job);
+    logger.info(`Transcription job ${job.id} started`);
+
+    try {
+      job.result = await transcriptionService.transcribe({
+        audio: this.getAudioPath(job.id),
+        originalFilename: job.original_filename,
+        mimeType: job.mime_type,
+        params: job.params,
+        baseUrl: job.base_url,
+        audioTruncated: job.audio_truncated,
+        apiKeyId: job.api_key_id || null,
+        requestId: job.request_id || null,
+        useCache: job.use_cache !== false,
+        // The job queue already bounds how many jobs wait, so jobs never time out in the backend queue
+        queue: {
+          tier: job.tier || null,
+          bounded: false,
+          onQueued: entry => this.backendQueueEntries.set(job.id, entry)
+        }
+      });
+      job.status = 'done';
+      logger.info(`Transcription job ${job.id} done`);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = {
+        status_code: error.statusCode || 500,
+        detail: error.message || 'Internal server error'
+      };
+      logger.warn(`Transcription job ${job.id} failed: ${error.message}`);
+    }
+    this.backendQueueEntries.delete(job.id);
+
+    job.finished_at = new Date().toISOString();
+    await fs.rm(this.getAudioPath(job.id), { force: true });
+    await this.saveJob(job);
+
+    if (job.callback_url) {
+      await this.sendCallback(job);
+    }
+  }
+
+  /**
+   * POST a finished job to its callback URL
+   *
+   * Retries with exponential backoff (1s, 2s, 4s, ...) up to the configured
+   * number of attempts. The outcome is recorded on the job. The URL is checked
+   * again before sending, since jobs may have been created under an older
+   * configuration, and redirects are not followed.
+   *
+   * @param {Object} job - Finished job record
+   * @returns {Promise<void>}
+   */
+  async sendCallback(job) {
+    const callbackError = await checkCallbackUrl(job.callback_url);
+    if (callbackError) {
+      job.callback.status = 'failed';
+      job.callback.last_error = callbackError;
+      logger.warn(`Callback for job ${job.id} not sent: ${callbackError}`);
+      await this.saveJob(job);
+      return;
+    }
+
+    for (let attempt = 1; attempt <= config.jobs.callbackAttempts; attempt++) {
+      job.callback.attempts = attempt;
+      try {
+        await axios.post(job.callback_url, this.toPublicJob(job), {
+          timeout: config.jobs.callbackTimeoutMs,
+          maxRedirects: 0,
+          ...callbackAgents,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(job.request_id ? { 'X-Request-Id': job.request_id } : {})
+          }
+        });
+        job.callback.status = 'delivered';
+        job.callback.last_error = null;
+        logger.info(`Callback for job ${job.id} delivered to ${job.callback_url}`);
+        break;
+      } catch (error) {
+        job.callback.status = 'failed';
+        job.callback.last_error = error.response ? `HTTP ${error.response.status}` : error.message;
+        logger.warn(`Callback attempt ${attempt} for job ${job.id} failed: ${job.callback.last_error}`);
+        if (attempt < config.jobs.callbackAttempts) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
+        }
+      }
+    }
+
+    await this.saveJob(job);
+  }
+
+  /**
+   * Remove finished jobs older than the retention period
+   *
+   * @returns {Promise<void>}
+   */
+  async pruneJobs() {
+    const cutoff = Date.now() - config.jobs.retentionHours * 60 * 60 * 1000;
+
+    for (const job of [...this.jobs.values()]) {
+      if ((job.status === 'done' || job.status === 'failed') && new Date(job.finished_at).getTime() < cutoff) {
+        this.jobs.delete(job.id);
+        await fs.rm(this.getJobPath(job.id), { force: true });
+        await fs.rm(this.getAudioPath(job.id), { force: true });
+        logger.debug(`Pruned job ${job.id}`);
+      }
+    }
+  }
+
+  /**
+   * Get queue statistics
+   *
+   * @returns {Object} Counts of queued and running jobs and the queue limits
+   */
+  getStats() {
+    return {
+      queued: this.queue.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      max_queue_size: this.maxQueueSize
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new JobService();
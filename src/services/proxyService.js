@@ -8,6 +8,12 @@
  * - Text translation requests
  * - Language detection requests
  * 
+ * Requests are spread across one or more backends by the backend pool, which
+ * health-checks them, guards each with a circuit breaker, and retries transient
+ * failures (translation and language detection also on another backend).
+ * Transcriptions are limited per backend; while every backend is busy they wait
+ * in a priority queue with one lane per API key tier.
+ * 
  * The service uses axios for HTTP requests and handles errors appropriately,
  * converting Python backend errors into Node.js error objects with proper
  * status codes and messages.
@@ -15,9 +21,10 @@
  * @author Debarun Lahiri
  */
 
-const axios = require('axios');
+const fs = require('fs');
 const FormData = require('form-data');
 const config = require('../config');
+const BackendPool = require('./backendPool');
 const logger = require('../utils/logger');
 
 /**
@@ -29,32 +36,39 @@ class ProxyService {
   /**
    * Initialize ProxyService
    * 
-   * Creates an axios client instance configured with the Python backend URL
-   * and appropriate timeout settings for long-running operations like transcription.
+   * Creates the backend pool for the configured Python backends, with
+   * appropriate timeout settings for long-running operations like transcription.
    */
   constructor() {
-    this.baseURL = config.pythonBackend.url;
-    this.client = axios.create({
-      baseURL: this.baseURL,
-      timeout: 300000, // 5 minutes timeout for transcription operations
-      headers: {
-        'Content-Type': 'application/json'
-      }
+    this.pool = new BackendPool(config.pythonBackend.urls, {
+      strategy: config.pythonBackend.strategy,
+      timeout: config.pythonBackend.timeoutMs,
+      healthCheckIntervalMs: config.pythonBackend.healthCheckIntervalMs,
+      healthCheckTimeoutMs: config.pythonBackend.healthCheckTimeoutMs,
+      retryAttempts: config.pythonBackend.retryAttempts,
+      retryBaseDelayMs: config.pythonBackend.retryBaseDelayMs,
+      circuitBreaker: config.pythonBackend.circuitBreaker,
+      maxConcurrency: config.pythonBackend.maxConcurrency,
+      queue: config.pythonBackend.queue
     });
   }
 
   /**
    * Check health status of Python backend
    * 
-   * Sends a GET request to the Python backend's health endpoint to verify
-   * that the backend service is running and accessible.
+   * Sends a GET request to a Python backend's health endpoint to verify
+   * that the backend service is running and accessible. Unavailable backends
+   * are skipped in favour of another one.
    * 
    * @returns {Promise<Object>} Health status data from Python backend
    * @throws {Error} If health check fails or backend is unreachable
    */
   async healthCheck() {
     try {
-      const response = await this.client.get('/health');
+      const response = await this.pool.execute(
+        backend => backend.client.get('/health'),
+        { idempotent: true, operation: 'health' }
+      );
       return response.data;
     } catch (error) {
       logger.error(`Health check failed: ${error.message}`);
@@ -67,28 +81,26 @@ class ProxyService {
    * 
    * Sends an audio file to the Python backend for transcription. The audio
    * is sent as multipart/form-data with query parameters for transcription options.
+   * Audio given as a file path is streamed from disk rather than loaded into memory.
+   * While every backend is running its maximum number of transcriptions, the
+   * request waits in the queue lane of its tier.
    * 
-   * @param {Buffer} audioBuffer - Audio file buffer to transcribe
+   * @param {Buffer|string} audio - Audio data to transcribe, or the path of a file holding it
    * @param {string} originalFilename - Original filename of the audio file
    * @param {string} mimeType - MIME type of the audio file
    * @param {Object} params - Transcription parameters
    * @param {string} params.language - Language code or 'auto' for automatic detection
    * @param {boolean} params.enable_word_timestamps - Enable word-level timestamps
    * @param {boolean} params.enable_diarization - Enable speaker diarization
+   * @param {Object} options - Queue options
+   * @param {string|null} options.tier - Priority tier of the API key making the request
+   * @param {boolean} options.bounded - Whether the queue size limit and wait timeout apply (default: true)
+   * @param {Function|null} options.onQueued - Called with the queue entry if the request has to wait
    * @returns {Promise<Object>} Transcription result from Python backend
-   * @throws {Error} If transcription fails or backend is unreachable
+   * @throws {Error} If transcription fails, backend is unreachable or the queue is full (statusCode 503)
    */
-  async transcribe(audioBuffer, originalFilename, mimeType, params) {
+  async transcribe(audio, originalFilename, mimeType, params, { tier = null, bounded = true, onQueued = null } = {}) {
     try {
-      // Create multipart form data for file upload
-      const formData = new FormData();
-      
-      // Append audio file to form data
-      formData.append('audio_file', audioBuffer, {
-        filename: originalFilename || 'audio',
-        contentType: mimeType || 'application/octet-stream'
-      });
-
       // Build query parameters for transcription options
       const queryParams = new URLSearchParams();
       if (params.language) {
@@ -105,14 +117,28 @@ class ProxyService {
       const url = `/v1/transcribe${queryParams.toString() ? `?${queryParams.toString()}` : ''}`;
       
       // Send POST request with form data
-      const response = await this.client.post(url, formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'Content-Type': `multipart/form-data; boundary=${formData.getBoundary()}`
-        },
-        maxContentLength: Infinity, // Allow large file uploads
-        maxBodyLength: Infinity
-      });
+      // Not idempotent: transcription is too expensive to risk running twice, so it
+      // is only retried when the connection was refused
+      const response = await this.pool.execute(backend => {
+        // Create multipart form data for file upload (a form stream can only be sent once)
+        const formData = new FormData();
+
+        // Append audio file to form data (a file stream is opened per attempt as well)
+        formData.append('audio_file', Buffer.isBuffer(audio) ? audio : fs.createReadStream(audio), {
+          filename: originalFilename || 'audio',
+          contentType: mimeType || 'application/octet-stream'
+        });
+
+        return backend.client.post(url, formData, {
+          headers: {
+            ...formData.getHeaders(),
+            'Content-Type': `multipart/form-data; boundary=${formData.getBoundary()}`
+          },
+          maxContentLength: Infinity, // Allow large file uploads
+          maxBodyLength: Infinity,
+          maxRedirects: 0 // Redirect support would keep a copy of the whole request body in memory
+        });
+      }, { operation: 'transcribe', queued: true, tier, bounded, onQueued });
 
       return response.data;
     } catch (error) {
@@ -135,11 +161,11 @@ class ProxyService {
    */
   async translate(text, sourceLanguage, targetLanguage) {
     try {
-      const response = await this.client.post('/v1/translate', {
+      const response = await this.pool.execute(backend => backend.client.post('/v1/translate', {
         text,
         source_language: sourceLanguage || null,
         target_language: targetLanguage
-      });
+      }), { idempotent: true, operation: 'translate' });
 
       return response.data;
     } catch (error) {
@@ -159,9 +185,9 @@ class ProxyService {
    */
   async detectLanguage(text) {
     try {
-      const response = await this.client.post('/v1/detect-language', {
+      const response = await this.pool.execute(backend => backend.client.post('/v1/detect-language', {
         text
-      });
+      }), { idempotent: true, operation: 'detect_language' });
 
       return response.data;
     } catch (error) {
@@ -170,19 +196,77 @@ class ProxyService {
     }
   }
 
+  /**
+   * Get the status of every configured Python backend
+   * 
+   * @returns {Array<Object>} Backend URL, health, in-flight count, last health check
+   *   details and circuit breaker status
+   */
+  getBackendStatus() {
+    return this.pool.getStatus();
+  }
+
+  /**
+   * Get the state of the transcription queue
+   *
+   * @param {string|null} tier - Priority tier of the caller, for its position estimate
+   * @returns {Object} Limits, slots in use, waiting transcriptions per tier and the caller's
+   *   position and estimated wait
+   */
+  getQueueStatus(tier = null) {
+    return this.pool.getQueueStatus(tier);
+  }
+
+  /**
+   * Get the position and estimated wait of a queued transcription
+   *
+   * @param {Object} entry - Queue entry passed to the onQueued option of transcribe()
+   * @returns {Object|null} Position and estimated wait in seconds, or null if it no longer waits
+   */
+  getQueuePosition(entry) {
+    return this.pool.getQueuePosition(entry);
+  }
+
+  /**
+   * Check whether any Python backend can currently take requests
+   * 
+   * @returns {boolean} True if at least one backend is healthy and its circuit breaker is not open
+   */
+  hasAvailableBackend() {
+    return this.pool.hasAvailableBackend();
+  }
+
   /**
    * Handle and transform errors from axios requests
    * 
    * Converts axios errors into standardized error objects with appropriate
-   * status codes and messages. Handles three types of errors:
-   * 1. Response errors (backend returned error response)
-   * 2. Request errors (backend is unreachable)
-   * 3. Other errors (configuration or other issues)
+   * status codes and messages. Handles five types of errors:
+   * 1. Circuit breaker errors (every backend is failing, request was not sent)
+   * 2. Queue errors (every backend is busy and the queue is full or the wait timed out)
+   * 3. Response errors (backend returned error response)
+   * 4. Request errors (backend is unreachable)
+   * 5. Other errors (configuration or other issues)
    * 
    * @param {Error} error - Error object from axios request
    * @returns {Error} Transformed error object with statusCode and data properties
    */
   handleError(error) {
+    // Every circuit breaker is open, fail fast and tell the client when to retry
+    if (error.code === 'CIRCUIT_OPEN') {
+      const customError = new Error('Python backend is unavailable, circuit breaker is open');
+      customError.statusCode = 503; // Service Unavailable
+      customError.retryAfter = error.retryAfter;
+
+      return customError;
+    }
+    // Every backend is busy, tell the client when a slot is likely to be free
+    if (error.code === 'QUEUE_FULL' || error.code === 'QUEUE_TIMEOUT') {
+      const customError = new Error(error.message);
+      customError.statusCode = 503; // Service Unavailable
+      customError.retryAfter = error.retryAfter;
+
+      return customError;
+    }
     // Backend responded with error status
     if (error.response) {
       const statusCode = error.response.status;
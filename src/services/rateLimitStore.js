@@ -0,0 +1,132 @@
+/**
+ * Rate Limit Store
+ *
+ * This module provides the storage backend for the token-bucket rate limiter.
+ * A store must implement a single asynchronous method:
+ *
+ *   consume(key, { capacity, refillPerSecond }) => Promise<{
+ *     allowed,           // true if a token was taken
+ *     remaining,         // whole tokens left in the bucket
+ *     retryAfterSeconds, // seconds until the next token is available (0 if allowed)
+ *     resetSeconds       // seconds until the bucket is full again
+ *   }>
+ *
+ * The built-in in-memory store keeps buckets in a Map and is suitable for a single
+ * proxy instance. Set RATE_LIMIT_STORE to the path of a module exporting a store
+ * class (or instance) with the same interface, for example one backed by Redis,
+ * to share limits between instances.
+ *
+ * @author Debarun Lahiri
+ */
+
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Interval between sweeps that drop buckets which have refilled completely
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * MemoryRateLimitStore Class
+ *
+ * Keeps token buckets in process memory.
+ */
+class MemoryRateLimitStore {
+  /**
+   * Initialize MemoryRateLimitStore
+   *
+   * Schedules periodic removal of idle buckets so memory use stays bounded
+   * by the number of recently active clients.
+   */
+  constructor() {
+    this.buckets = new Map();
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Take one token from a bucket
+   *
+   * Buckets start full and are refilled continuously based on the time elapsed
+   * since they were last updated.
+   *
+   * @param {string} key - Bucket key (route name and client identifier)
+   * @param {Object} limits - Bucket limits
+   * @param {number} limits.capacity - Maximum number of tokens (burst size)
+   * @param {number} limits.refillPerSecond - Tokens added per second
+   * @returns {Promise<Object>} Result of the attempt (see module documentation)
+   */
+  async consume(key, { capacity, refillPerSecond }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now, capacity, refillPerSecond };
+
+    // Refill tokens for the time elapsed since the last update
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+    bucket.updatedAt = now;
+    bucket.capacity = capacity;
+    bucket.refillPerSecond = refillPerSecond;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerSecond),
+      resetSeconds: Math.ceil((capacity - bucket.tokens) / refillPerSecond)
+    };
+  }
+
+  /**
+   * Remove buckets that have refilled completely
+   *
+   * A full bucket behaves exactly like a missing one, so dropping it is safe.
+   *
+   * @returns {void}
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      const tokens = bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.refillPerSecond;
+      if (tokens >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Create the configured rate limit store
+ *
+ * @returns {Object} Store implementing consume()
+ */
+function createStore() {
+  const storeSetting = config.rateLimit.store;
+
+  if (!storeSetting || storeSetting === 'memory') {
+    return new MemoryRateLimitStore();
+  }
+
+  try {
+    const StoreModule = require(path.resolve(storeSetting));
+    const store = typeof StoreModule === 'function' ? new StoreModule() : StoreModule;
+    if (typeof store.consume !== 'function') {
+      throw new Error('store does not implement consume()');
+    }
+    logger.info(`Using rate limit store from ${storeSetting}`);
+    return store;
+  } catch (error) {
+    logger.error(`Failed to load rate limit store ${storeSetting}, falling back to memory: ${error.message}`);
+    return new MemoryRateLimitStore();
+  }
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  createStore
+};
@@ -0,0 +1,394 @@
+/**
+ * Recording Index
+ *
+ * This module keeps an in-memory index of saved recordings (filename, size,
+ * dates, title, pinned flag, API key and a summary of the stored transcript)
+ * so listing, searching, pagination and lookups don't have to scan the storage
+ * driver on every request. The index is persisted as an append-only JSON Lines
+ * log that starts with its format version, followed by one change per line:
+ *
+ *   {"op":"version","version":2}
+ *   {"op":"put","filename":"...","size":1024,"created_at":"...","modified_at":"...","title":null,"pinned":false,
+ *    "api_key_id":null,"language":"en","duration_sec":12.5,"speaker_count":2,"text":"..."}
+ *   {"op":"delete","filename":"..."}
+ *
+ * Replaying the log from the top gives the current state. When the log holds
+ * many more lines than live entries, it is compacted by rewriting it with one
+ * put line per recording (to a temporary file that is renamed into place).
+ * A missing log, or one written in another format version, is rebuilt by
+ * scanning the storage; unreadable lines are skipped with a warning.
+ *
+ * @author Debarun Lahiri
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Compact once the log has this many lines more than there are live entries
+const COMPACT_SLACK_LINES = 1000;
+
+// Format version of the log; logs with another version are rebuilt from storage
+const INDEX_VERSION = 2;
+
+/**
+ * Compare two index records by creation date, then filename
+ *
+ * @param {Object} a - Index record
+ * @param {Object} b - Index record
+ * @returns {number} Negative if a sorts before b, positive if after, 0 if equal
+ */
+function compareRecords(a, b) {
+  return a.createdAt - b.createdAt || (a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0);
+}
+
+/**
+ * RecordingIndex Class
+ *
+ * Holds the recordings sorted by creation date and persists changes to the log.
+ */
+class RecordingIndex {
+  /**
+   * Initialize RecordingIndex
+   *
+   * @param {string} filePath - Path of the JSON Lines log
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.records = new Map();
+    this.sorted = []; // Oldest first, so new recordings are usually appended
+    this.totalBytes = 0;
+    this.logLines = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the index from its log, or build it with the scan function if the log doesn't exist
+   *
+   * @param {Function} scan - Async function returning every stored recording as an index record
+   * @returns {Promise<void>}
+   */
+  async load(scan) {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      logger.info(`Recording index ${this.filePath} not found, rebuilding from storage`);
+      return this.rebuild(scan);
+    }
+
+    if (this.readVersion(content) !== INDEX_VERSION) {
+      logger.info(`Recording index ${this.filePath} has an outdated format, rebuilding from storage`);
+      return this.rebuild(scan);
+    }
+
+    await this.enqueue(async () => {
+      this.clear();
+      const lines = content.split('\n').filter(line => line.trim());
+
+      lines.forEach((line, number) => {
+        try {
+          const entry = JSON.parse(line);
+          if (entry.op === 'put') {
+            this.apply(this.parseRecord(entry));
+          } else if (entry.op === 'delete') {
+            this.unapply(entry.filename);
+          } else if (entry.op !== 'version') {
+            throw new Error(`unknown op '${entry.op}'`);
+          }
+        } catch (error) {
+          logger.warn(`Skipping line ${number + 1} of recording index: ${error.message}`);
+        }
+      });
+
+      this.logLines = lines.length;
+      await this.compactIfNeeded();
+    });
+
+    logger.info(`Recording index loaded: ${this.records.size} recordings`);
+  }
+
+  /**
+   * Read the format version from the first line of the log
+   *
+   * @param {string} content - Log content
+   * @returns {number|null} Format version, or null if the log doesn't start with one
+   */
+  readVersion(content) {
+    try {
+      const entry = JSON.parse(content.slice(0, content.indexOf('\n')));
+      return entry.op === 'version' ? entry.version : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Replace the index with a fresh scan of the storage and rewrite the log
+   *
+   * @param {Function} scan - Async function returning every stored recording as an index record
+   * @returns {Promise<void>}
+   */
+  async rebuild(scan) {
+    const records = await scan();
+
+    await this.enqueue(async () => {
+      this.clear();
+      for (const record of records) {
+        this.apply(record);
+      }
+      await this.compact();
+    });
+
+    logger.info(`Recording index rebuilt: ${this.records.size} recordings`);
+  }
+
+  /**
+   * Get the index record of a recording
+   *
+   * @param {string} filename - Name of the audio file
+   * @returns {Object|null} Index record or null if the recording isn't indexed
+   */
+  get(filename) {
+    return this.records.get(filename) || null;
+  }
+
+  /**
+   * Get a slice of the recordings, newest first
+   *
+   * @param {number} offset - Number of recordings to skip
+   * @param {number} limit - Maximum number of recordings to return (all when omitted)
+   * @returns {Array} Index records
+   */
+  list(offset = 0, limit = Infinity) {
+    const end = Math.max(this.sorted.length - offset, 0);
+    const start = Math.max(end - limit, 0);
+    return this.sorted.slice(start, end).reverse();
+  }
+
+  /**
+   * Get the number of indexed recordings and their total size
+   *
+   * @returns {Object} Recording count and total bytes
+   */
+  getTotals() {
+    return { count: this.records.size, bytes: this.totalBytes };
+  }
+
+  /**
+   * Add or replace a recording
+   *
+   * @param {Object} record - Index record (filename, size, createdAt, modifiedAt, title, pinned,
+   *   apiKeyId, language, durationSec, speakerCount, text)
+   * @returns {Promise<void>} Resolves once the change is written to the log
+   */
+  put(record) {
+    return this.enqueue(async () => {
+      this.apply(record);
+      await this.append({ op: 'put', ...this.serializeRecord(record) });
+    });
+  }
+
+  /**
+   * Remove a recording
+   *
+   * @param {string} filename - Name of the audio file
+   * @returns {Promise<void>} Resolves once the change is written to the log
+   */
+  remove(filename) {
+    return this.enqueue(async () => {
+      if (this.unapply(filename)) {
+        await this.append({ op: 'delete', filename });
+      }
+    });
+  }
+
+  /**
+   * Run a change after all earlier changes, so log lines are written in order
+   *
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   */
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Append one entry to the log, compacting it when it has grown too long
+   *
+   * A failed append is logged rather than thrown: the in-memory index is
+   * already up to date and the next compaction rewrites the whole log.
+   *
+   * @param {Object} entry - Log entry
+   * @returns {Promise<void>}
+   */
+  async append(entry) {
+    try {
+      await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+      this.logLines += 1;
+    } catch (error) {
+      logger.error(`Failed to write recording index: ${error.message}`);
+      this.logLines = Infinity;
+    }
+
+    await this.compactIfNeeded();
+  }
+
+  /**
+   * Compact the log when it holds many more lines than live entries
+   *
+   * @returns {Promise<void>}
+   */
+  async compactIfNeeded() {
+    if (this.logLines <= this.records.size + 1 + COMPACT_SLACK_LINES) {
+      return;
+    }
+
+    try {
+      await this.compact();
+    } catch (error) {
+      logger.error(`Failed to compact recording index: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rewrite the log with the version line and one put line per recording
+   *
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = [
+      `${JSON.stringify({ op: 'version', version: INDEX_VERSION })}\n`,
+      ...this.sorted.map(record => `${JSON.stringify({ op: 'put', ...this.serializeRecord(record) })}\n`)
+    ];
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, lines.join(''));
+    await fs.rename(tempPath, this.filePath);
+    this.logLines = lines.length;
+  }
+
+  /**
+   * Empty the in-memory index
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.records.clear();
+    this.sorted = [];
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Add or replace a recording in memory
+   *
+   * @param {Object} record - Index record
+   * @returns {void}
+   */
+  apply(record) {
+    this.unapply(record.filename);
+    this.records.set(record.filename, record);
+    this.sorted.splice(this.findPosition(record), 0, record);
+    this.totalBytes += record.size;
+  }
+
+  /**
+   * Remove a recording from memory
+   *
+   * @param {string} filename - Name of the audio file
+   * @returns {boolean} True if the recording was indexed
+   */
+  unapply(filename) {
+    const record = this.records.get(filename);
+    if (!record) {
+      return false;
+    }
+
+    this.records.delete(filename);
+    this.sorted.splice(this.findPosition(record), 1);
+    this.totalBytes -= record.size;
+    return true;
+  }
+
+  /**
+   * Find the position of a record in the sorted list (binary search)
+   *
+   * @param {Object} record - Index record
+   * @returns {number} Index of the record, or where it would be inserted
+   */
+  findPosition(record) {
+    let low = 0;
+    let high = this.sorted.length;
+
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (compareRecords(this.sorted[middle], record) < 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Convert a record to its log representation
+   *
+   * @param {Object} record - Index record
+   * @returns {Object} Log fields
+   */
+  serializeRecord(record) {
+    return {
+      filename: record.filename,
+      size: record.size,
+      created_at: record.createdAt.toISOString(),
+      modified_at: record.modifiedAt.toISOString(),
+      title: record.title || null,
+      pinned: record.pinned === true,
+      api_key_id: record.apiKeyId || null,
+      language: record.language || null,
+      duration_sec: typeof record.durationSec === 'number' ? record.durationSec : null,
+      speaker_count: typeof record.speakerCount === 'number' ? record.speakerCount : null,
+      text: record.text || null
+    };
+  }
+
+  /**
+   * Convert a put log entry to a record
+   *
+   * @param {Object} entry - Log entry
+   * @returns {Object} Index record
+   * @throws {Error} If required fields are missing or invalid
+   */
+  parseRecord(entry) {
+    const record = {
+      filename: entry.filename,
+      size: entry.size,
+      createdAt: new Date(entry.created_at),
+      modifiedAt: new Date(entry.modified_at),
+      title: entry.title || null,
+      pinned: entry.pinned === true,
+      apiKeyId: entry.api_key_id || null,
+      language: entry.language || null,
+      durationSec: typeof entry.duration_sec === 'number' ? entry.duration_sec : null,
+      speakerCount: typeof entry.speaker_count === 'number' ? entry.speaker_count : null,
+      text: entry.text || null
+    };
+
+    if (typeof record.filename !== 'string' || typeof record.size !== 'number' ||
+        isNaN(record.createdAt.getTime()) || isNaN(record.modifiedAt.getTime())) {
+      throw new Error('invalid put entry');
+    }
+
+    return record;
+  }
+}
+
+module.exports = RecordingIndex;
@@ -0,0 +1,251 @@
+/**
+ * Recording Storage
+ *
+ * This module provides the storage drivers used by AudioService to keep saved
+ * recordings and their sidecar metadata. Objects are addressed by key, a path
+ * relative to the storage root (e.g. `2024-11-24_21-26-27_a1b2c3d4.mp3` or
+ * `.metadata/2024-11-24_21-26-27_a1b2c3d4.mp3.json`). A driver implements:
+ *
+ *   init() => Promise<void>                        // prepare the storage location
+ *   save(key, data, { contentType, contentLength }) => Promise<void>
+ *                                                  // data is a Buffer or readable stream
+ *   read(key) => Promise<Buffer|null>              // whole object, null if missing
+ *   createReadStream(key, { start, end }) => Promise<Readable>
+ *                                                  // optional inclusive byte range
+ *   stat(key) => Promise<{ size, createdAt, modifiedAt }|null>
+ *   list() => Promise<Array<{ key, size, createdAt, modifiedAt }>>
+ *                                                  // objects at the top level only
+ *   delete(key) => Promise<boolean>                // false if the object didn't exist
+ *   getDownloadUrl(key) => Promise<string|null>    // presigned URL, null if unsupported
+ *   getStatus() => Promise<{ driver, location, writable, free_bytes, total_bytes }>
+ *
+ * AUDIO_STORAGE_DRIVER selects the driver:
+ * - local: files in AUDIO_STORAGE_DIR (suitable for a single proxy instance)
+ * - s3: objects in an S3-compatible bucket, shared by every proxy instance
+ *
+ * @author Debarun Lahiri
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+
+/**
+ * LocalRecordingStorage Class
+ *
+ * Stores objects as files below a directory on the local disk.
+ */
+class LocalRecordingStorage {
+  /**
+   * Initialize LocalRecordingStorage
+   *
+   * @param {string} rootDir - Directory holding the recordings
+   */
+  constructor(rootDir) {
+    this.driver = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve the file system path of a key
+   *
+   * @param {string} key - Object key
+   * @returns {string} Full file path
+   * @throws {Error} If the key resolves outside the storage directory
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Storage key outside the storage directory: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Create the storage directory and its metadata subdirectory
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await fs.promises.mkdir(path.join(this.rootDir, '.metadata'), { recursive: true });
+  }
+
+  /**
+   * Write an object
+   *
+   * @param {string} key - Object key
+   * @param {Buffer|Readable} data - Object content
+   * @returns {Promise<void>}
+   */
+  async save(key, data) {
+    const filePath = this.resolvePath(key);
+    if (Buffer.isBuffer(data)) {
+      await fs.promises.writeFile(filePath, data);
+    } else {
+      await pipeline(data, fs.createWriteStream(filePath));
+    }
+  }
+
+  /**
+   * Read a whole object
+   *
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer|null>} Object content or null if it doesn't exist
+   */
+  async read(key) {
+    try {
+      return await fs.promises.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open a read stream on an object
+   *
+   * @param {string} key - Object key
+   * @param {Object} range - Optional inclusive byte range
+   * @param {number} range.start - First byte
+   * @param {number} range.end - Last byte
+   * @returns {Promise<Readable>} Object content stream
+   */
+  async createReadStream(key, { start, end } = {}) {
+    return fs.createReadStream(this.resolvePath(key), { start, end });
+  }
+
+  /**
+   * Get the size and timestamps of an object
+   *
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} Size and dates, or null if the object doesn't exist
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      if (!stats.isFile()) {
+        return null;
+      }
+      return { size: stats.size, createdAt: stats.birthtime, modifiedAt: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the files in the storage directory (subdirectories are skipped)
+   *
+   * @returns {Promise<Array>} Keys with size and dates
+   */
+  async list() {
+    const entries = await fs.promises.readdir(this.rootDir, { withFileTypes: true });
+    const objects = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile()) {
+        continue;
+      }
+
+      const stats = await this.stat(entry.name);
+      if (stats) {
+        objects.push({ key: entry.name, ...stats });
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Delete an object
+   *
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} True if the file was deleted, false if it didn't exist
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Local files are always streamed through the proxy
+   *
+   * @returns {Promise<null>}
+   */
+  async getDownloadUrl() {
+    return null;
+  }
+
+  /**
+   * Get the storage directory status
+   *
+   * @returns {Promise<Object>} Driver, directory, writability and disk space in bytes
+   */
+  async getStatus() {
+    const status = {
+      driver: this.driver,
+      location: this.rootDir,
+      writable: false,
+      free_bytes: null,
+      total_bytes: null
+    };
+
+    try {
+      await fs.promises.access(this.rootDir, fs.constants.W_OK);
+      status.writable = true;
+    } catch (error) {
+      // Directory missing or not writable
+    }
+
+    try {
+      const stats = await fs.promises.statfs(this.rootDir);
+      status.free_bytes = stats.bavail * stats.bsize;
+      status.total_bytes = stats.blocks * stats.bsize;
+    } catch (error) {
+      // Directory missing or statfs unsupported, leave sizes unknown
+    }
+
+    return status;
+  }
+}
+
+/**
+ * Create the configured recording storage driver
+ *
+ * The S3 driver is loaded only when selected, so the AWS SDK is not required
+ * for local storage.
+ *
+ * @returns {Object} Storage driver
+ * @throws {Error} If the driver name is unknown
+ */
+function createStorage() {
+  const driver = config.audio.storageDriver;
+
+  if (driver === 'local') {
+    return new LocalRecordingStorage(config.audio.storageDir);
+  }
+
+  if (driver === 's3') {
+    const S3RecordingStorage = require('./s3RecordingStorage');
+    return new S3RecordingStorage(config.audio.s3);
+  }
+
+  throw new Error(`Unknown audio storage driver '${driver}'`);
+}
+
+module.exports = {
+  LocalRecordingStorage,
+  createStorage
+};
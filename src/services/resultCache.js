@@ -0,0 +1,238 @@
+/**
+ * Result Cache
+ *
+ * This service caches Python backend results so that a repeated request, such
+ * as a client retrying an upload after a timeout, doesn't cost another backend
+ * run. Results are keyed by a SHA-256 hash of the operation and its inputs:
+ * - transcribe: hash of the audio plus language, enable_word_timestamps and enable_diarization
+ * - translate: text, source language and target language
+ * - detect_language: text
+ *
+ * Entries expire after CACHE_TTL_SECONDS. The cache is held in process memory
+ * and bounded by CACHE_MAX_SIZE_MB (measured as the size of the JSON results);
+ * the least recently used entries are evicted first. While a result is being
+ * computed, identical requests wait for it instead of calling the backend
+ * again. Errors are never cached.
+ *
+ * The outcome of each lookup (HIT, MISS or BYPASS) is recorded in the request
+ * context for the X-Cache response header.
+ *
+ * @author Debarun Lahiri
+ */
+
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { cacheRequestsTotal, cacheSizeBytes } = require('../utils/metrics');
+const { setCacheStatus } = require('../utils/requestContext');
+
+// Interval between sweeps that drop expired entries
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * ResultCache Class
+ *
+ * Least-recently-used cache of backend results with a TTL and a size cap.
+ */
+class ResultCache {
+  /**
+   * Initialize ResultCache
+   *
+   * Schedules periodic removal of expired entries so their memory is freed
+   * even if they are never looked up again.
+   */
+  constructor() {
+    this.enabled = config.cache.enabled;
+    this.ttlMs = config.cache.ttlSeconds * 1000;
+    this.maxBytes = config.cache.maxSizeMB * 1024 * 1024;
+    this.entries = new Map(); // Key -> { value, size, expiresAt }, least recently used first
+    this.pending = new Map(); // Key -> promise of a result being computed
+    this.totalBytes = 0;
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Check whether a request allows cached results
+   *
+   * Clients bypass the cache with the query parameter cache=false.
+   *
+   * @param {Object} query - Parsed query string (e.g., req.query)
+   * @returns {boolean} False if the request asked to bypass the cache
+   */
+  isAllowed(query) {
+    return query.cache !== 'false';
+  }
+
+  /**
+   * Build a cache key from an operation and its inputs
+   *
+   * @param {string} operation - Operation name (e.g., 'translate')
+   * @param {Array} parts - Inputs that determine the result (JSON-serializable)
+   * @returns {string} Hex SHA-256 of the operation and inputs
+   */
+  createKey(operation, parts) {
+    return crypto.createHash('sha256').update(JSON.stringify([operation, ...parts])).digest('hex');
+  }
+
+  /**
+   * Hash audio for use in a cache key
+   *
+   * @param {Buffer|string} audio - Audio data, or the path of a file holding it
+   * @returns {Promise<string>} Hex SHA-256 of the audio
+   */
+  async hashAudio(audio) {
+    const hash = crypto.createHash('sha256');
+    if (Buffer.isBuffer(audio)) {
+      hash.update(audio);
+    } else {
+      await pipeline(createReadStream(audio), hash);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Get a cached result
+   *
+   * Marks the entry as most recently used.
+   *
+   * @param {string} key - Cache key
+   * @returns {*} Cached result or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a result
+   *
+   * Evicts the least recently used entries until the cache fits its size cap.
+   * Results larger than the whole cache are not stored.
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - Result (JSON-serializable)
+   * @returns {void}
+   */
+  set(key, value) {
+    const size = Buffer.byteLength(JSON.stringify(value));
+    this.delete(key);
+    if (size > this.maxBytes) {
+      logger.debug(`Result of ${size} bytes exceeds the cache size, not caching it`);
+      return;
+    }
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + this.ttlMs });
+    this.totalBytes += size;
+
+    for (const [oldestKey] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      this.delete(oldestKey);
+    }
+    cacheSizeBytes.set(this.totalBytes);
+  }
+
+  /**
+   * Remove an entry
+   *
+   * @param {string} key - Cache key
+   * @returns {void}
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+      cacheSizeBytes.set(this.totalBytes);
+    }
+  }
+
+  /**
+   * Remove expired entries
+   *
+   * @returns {void}
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get a result from the cache or compute and cache it
+   *
+   * With bypass set, the cache is not read but the fresh result replaces the
+   * cached one. The outcome is recorded in the request context.
+   *
+   * @param {string} operation - Operation name, used for the key and metrics
+   * @param {Array|Function} parts - Inputs that determine the result, or an async function returning them
+   * @param {Function} compute - Async function producing the result on a miss
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.bypass - Skip the cache lookup (default: false)
+   * @returns {Promise<*>} Cached or computed result
+   */
+  async wrap(operation, parts, compute, { bypass = false } = {}) {
+    if (!this.enabled) {
+      return compute();
+    }
+
+    const key = this.createKey(operation, typeof parts === 'function' ? await parts() : parts);
+
+    if (!bypass) {
+      const cached = this.get(key);
+      if (cached !== undefined) {
+        return this.record(operation, 'HIT', cached);
+      }
+      if (this.pending.has(key)) {
+        return this.record(operation, 'HIT', await this.pending.get(key));
+      }
+    }
+
+    const promise = compute();
+    this.pending.set(key, promise);
+    try {
+      const value = await promise;
+      this.set(key, value);
+      return this.record(operation, bypass ? 'BYPASS' : 'MISS', value);
+    } finally {
+      if (this.pending.get(key) === promise) {
+        this.pending.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Record the outcome of a lookup
+   *
+   * @param {string} operation - Operation name
+   * @param {string} status - HIT, MISS or BYPASS
+   * @param {*} value - Result to pass through
+   * @returns {*} The result
+   */
+  record(operation, status, value) {
+    setCacheStatus(status);
+    cacheRequestsTotal.inc({ operation, status: status.toLowerCase() });
+    return value;
+  }
+}
+
+// Export singleton instance
+module.exports = new ResultCache();
@@ -0,0 +1,279 @@
+/**
+ * S3 Recording Storage
+ *
+ * A recording storage driver (see recordingStorage.js) that keeps recordings and
+ * their sidecar metadata as objects in an S3 bucket, so several proxy instances
+ * can share the same recordings. Any S3-compatible service works, for example
+ * MinIO, by setting S3_ENDPOINT and S3_FORCE_PATH_STYLE=true.
+ *
+ * Objects are stored below S3_PREFIX. S3 does not record creation times, so
+ * an object's last-modified time is reported as both its creation and
+ * modification date.
+ *
+ * @author Debarun Lahiri
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Check whether an S3 error means the object does not exist
+ *
+ * @param {Error} error - Error thrown by the S3 client
+ * @returns {boolean} True for "not found" errors
+ */
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+/**
+ * S3RecordingStorage Class
+ *
+ * Stores objects in an S3-compatible bucket.
+ */
+class S3RecordingStorage {
+  /**
+   * Initialize S3RecordingStorage
+   *
+   * Credentials fall back to the default AWS credential chain (environment,
+   * shared config, instance role) when no access key is configured.
+   *
+   * @param {Object} options - S3 settings (config.audio.s3)
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.prefix - Key prefix for all objects
+   * @param {string} options.region - Bucket region
+   * @param {string} options.endpoint - Custom endpoint URL for S3-compatible services
+   * @param {boolean} options.forcePathStyle - Use path-style bucket addressing
+   * @param {string} options.accessKeyId - Access key ID
+   * @param {string} options.secretAccessKey - Secret access key
+   * @param {boolean} options.presignedUrls - Hand out presigned download URLs
+   * @param {number} options.presignedUrlExpirySeconds - Lifetime of presigned URLs
+   * @throws {Error} If no bucket is configured
+   */
+  constructor({ bucket, prefix, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, presignedUrls, presignedUrlExpirySeconds }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 audio storage driver');
+    }
+
+    this.driver = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+    this.presignedUrls = presignedUrls;
+    this.presignedUrlExpirySeconds = presignedUrlExpirySeconds;
+
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  /**
+   * Get the full object key for a storage key
+   *
+   * @param {string} key - Storage key
+   * @returns {string} Key including the configured prefix
+   */
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Nothing to prepare: the bucket must already exist
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Upload an object
+   *
+   * Streams must be accompanied by their length, which S3 requires up front.
+   *
+   * @param {string} key - Storage key
+   * @param {Buffer|Readable} data - Object content
+   * @param {Object} options - Upload options
+   * @param {string} options.contentType - MIME type stored with the object
+   * @param {number} options.contentLength - Length in bytes (required for streams)
+   * @returns {Promise<void>}
+   */
+  async save(key, data, { contentType, contentLength } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: data,
+      ContentType: contentType,
+      ContentLength: Buffer.isBuffer(data) ? data.length : contentLength
+    }));
+  }
+
+  /**
+   * Download a whole object
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} Object content or null if it doesn't exist
+   */
+  async read(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open a read stream on an object
+   *
+   * @param {string} key - Storage key
+   * @param {Object} range - Optional inclusive byte range
+   * @param {number} range.start - First byte
+   * @param {number} range.end - Last byte
+   * @returns {Promise<Readable>} Object content stream
+   */
+  async createReadStream(key, { start, end } = {}) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined
+    }));
+    return response.Body;
+  }
+
+  /**
+   * Get the size and timestamps of an object
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Size and dates, or null if the object doesn't exist
+   */
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return { size: response.ContentLength, createdAt: response.LastModified, modifiedAt: response.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the objects directly below the prefix
+   *
+   * Objects in "subdirectories" such as .metadata/ are skipped.
+   *
+   * @returns {Promise<Array>} Keys with size and dates
+   */
+  async list() {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix,
+        Delimiter: '/',
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        objects.push({
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          createdAt: object.LastModified,
+          modifiedAt: object.LastModified
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * Delete an object
+   *
+   * S3 deletes succeed for missing objects, so existence is checked first.
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} True if the object was deleted, false if it didn't exist
+   */
+  async delete(key) {
+    if (!(await this.stat(key))) {
+      return false;
+    }
+
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return true;
+  }
+
+  /**
+   * Create a presigned download URL for an object
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} Presigned URL, or null if presigned URLs are disabled
+   */
+  async getDownloadUrl(key) {
+    if (!this.presignedUrls) {
+      return null;
+    }
+
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }), { expiresIn: this.presignedUrlExpirySeconds });
+  }
+
+  /**
+   * Get the bucket status
+   *
+   * The bucket counts as writable when it is reachable with the configured
+   * credentials. Free and total space are unknown for object storage.
+   *
+   * @returns {Promise<Object>} Driver, bucket location and reachability
+   */
+  async getStatus() {
+    const status = {
+      driver: this.driver,
+      location: `s3://${this.bucket}/${this.prefix}`,
+      writable: false,
+      free_bytes: null,
+      total_bytes: null
+    };
+
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+      status.writable = true;
+    } catch (error) {
+      // Bucket missing, unreachable or access denied
+    }
+
+    return status;
+  }
+}
+
+module.exports = S3RecordingStorage;
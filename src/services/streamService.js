@@ -0,0 +1,530 @@
+/**
+ * Stream Service
+ *
+ * This service implements streaming transcription over WebSocket (/v1/stream).
+ * Clients send raw 16-bit little-endian mono PCM audio as binary messages, and
+ * each session cuts the buffered audio into windows:
+ * - vad: A window ends at a pause (frames below the RMS threshold for
+ *   STREAM_VAD_SILENCE_MS) or after STREAM_MAX_WINDOW_SECONDS; silence before
+ *   speech is skipped rather than transcribed
+ * - fixed: Windows of a fixed number of seconds
+ *
+ * Windows are forwarded to the Python backend one at a time, in order, as WAV
+ * files through ProxyService.transcribe. Each window's result is pushed to the
+ * client as a partial message, with timestamps relative to the start of the
+ * stream. When the stream ends (end message, client disconnect, idle timeout or
+ * duration limit), the remaining audio is transcribed, the assembled audio is
+ * saved as a recording with the combined transcription and a final message is
+ * sent.
+ *
+ * Upgrade requests are routed through the Express app, so /v1/stream runs the
+ * usual request ID, authentication and rate limit middleware before the
+ * WebSocket connection is accepted.
+ *
+ * @author Debarun Lahiri
+ */
+
+const http = require('http');
+const { AsyncResource } = require('async_hooks');
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../config');
+const proxyService = require('./proxyService');
+const audioService = require('./audioService');
+const apiKeyService = require('./apiKeyService');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { rmsLevel, toWav } = require('../utils/pcm');
+
+// Length of the frames analysed by voice activity detection
+const VAD_FRAME_MS = 30;
+
+// Largest accepted WebSocket message (a chunk of audio or a control message)
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// WebSocket close codes
+const CLOSE_NORMAL = 1000;
+const CLOSE_GOING_AWAY = 1001;
+const CLOSE_POLICY_VIOLATION = 1008;
+
+/**
+ * Round a time in seconds to milliseconds
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {number} Rounded time
+ */
+const roundSeconds = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Shift the timestamps of segments or words by an offset
+ *
+ * @param {Array<Object>} items - Segments or words with start and end times
+ * @param {number} offset - Seconds to add
+ * @returns {Array<Object>} Copies of the items with shifted times (including nested words)
+ */
+const shiftTimestamps = (items, offset) => items.map(item => ({
+  ...item,
+  ...(typeof item.start === 'number' ? { start: roundSeconds(item.start + offset) } : {}),
+  ...(typeof item.end === 'number' ? { end: roundSeconds(item.end + offset) } : {}),
+  ...(Array.isArray(item.words) ? { words: shiftTimestamps(item.words, offset) } : {})
+}));
+
+/**
+ * StreamSession Class
+ *
+ * Buffers the audio of one WebSocket connection, transcribes it window by
+ * window and saves the recording when the stream ends.
+ */
+class StreamSession {
+  /**
+   * Initialize StreamSession
+   *
+   * @param {WebSocket} ws - Accepted WebSocket connection
+   * @param {Object} options - Session options
+   * @param {string} options.requestId - ID of the upgrade request, used as session ID
+   * @param {Object} options.log - Logger for the session
+   * @param {Object} options.params - Transcription parameters (see TranscriptionService.parseParams)
+   * @param {number} options.sampleRate - Sample rate of the streamed PCM in Hz
+   * @param {string} options.chunking - Chunking mode: 'vad' or 'fixed'
+   * @param {number} options.windowSeconds - Window length for fixed chunking
+   * @param {string|null} options.apiKeyId - ID of the API key that opened the stream (if authenticated)
+   * @param {string|null} options.tier - Priority tier of the API key, used while every backend is busy
+   * @param {string} options.baseUrl - Base URL used to build the audio file URL
+   * @param {Function} options.onFinished - Called with the session once it has ended
+   */
+  constructor(ws, { requestId, log, params, sampleRate, chunking, windowSeconds, apiKeyId, tier, baseUrl, onFinished }) {
+    this.ws = ws;
+    this.requestId = requestId;
+    this.log = log;
+    this.params = params;
+    this.sampleRate = sampleRate;
+    this.chunking = chunking;
+    this.apiKeyId = apiKeyId;
+    this.tier = tier || null;
+    this.baseUrl = baseUrl;
+    this.onFinished = onFinished;
+
+    // Byte sizes are kept even so windows always start on a sample boundary
+    this.bytesPerSecond = sampleRate * 2;
+    this.windowBytes = Math.round(windowSeconds * sampleRate) * 2;
+    this.maxWindowBytes = Math.round(config.stream.maxWindowSeconds * sampleRate) * 2;
+    this.frameBytes = Math.round(sampleRate * VAD_FRAME_MS / 1000) * 2;
+    this.maxBytes = config.stream.maxDurationSeconds * this.bytesPerSecond;
+
+    // Audio of the whole stream, saved as the recording
+    this.recorded = [];
+    this.recordedBytes = 0;
+
+    // Audio of the current window and its voice activity state
+    this.window = Buffer.alloc(0);
+    this.windowStart = 0; // Offset of the window in the stream, in bytes
+    this.scanned = 0; // Bytes of the window already analysed by VAD
+    this.hasSpeech = false;
+    this.silenceMs = 0;
+
+    // Combined transcription of the windows sent so far
+    this.windowCount = 0;
+    this.texts = [];
+    this.segments = [];
+    this.words = [];
+    this.detectedLanguage = null;
+
+    this.queue = Promise.resolve();
+    this.idleTimer = null;
+    this.finishing = null;
+  }
+
+  /**
+   * Start handling messages and tell the client the stream is ready
+   *
+   * @returns {void}
+   */
+  start() {
+    this.ws.on('message', AsyncResource.bind((data, isBinary) => this.handleMessage(data, isBinary)));
+    this.ws.on('close', AsyncResource.bind(() => this.finish(null)));
+    this.ws.on('error', AsyncResource.bind(error => this.log.warn(`Stream ${this.requestId} socket error: ${error.message}`)));
+
+    this.log.info(`Stream ${this.requestId} opened (${this.sampleRate} Hz, ${this.chunking} chunking)`);
+    this.send({
+      type: 'ready',
+      request_id: this.requestId,
+      sample_rate: this.sampleRate,
+      chunking: this.chunking
+    });
+    this.resetIdleTimer();
+  }
+
+  /**
+   * Handle a message from the client: binary audio or a JSON control message
+   *
+   * @param {Buffer} data - Message payload
+   * @param {boolean} isBinary - Whether the message is binary
+   * @returns {void}
+   */
+  handleMessage(data, isBinary) {
+    if (this.finishing) {
+      return;
+    }
+
+    this.resetIdleTimer();
+
+    if (isBinary) {
+      this.addAudio(data);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      message = null;
+    }
+
+    if (message && message.type === 'end') {
+      this.finish(CLOSE_NORMAL);
+    } else {
+      this.sendError('Control messages must be JSON objects with type \'end\'');
+    }
+  }
+
+  /**
+   * Add a chunk of audio to the stream and cut the windows it completes
+   *
+   * Audio beyond the maximum stream duration is dropped and ends the stream.
+   *
+   * @param {Buffer} chunk - 16-bit little-endian mono PCM samples
+   * @returns {void}
+   */
+  addAudio(chunk) {
+    const overLimit = this.maxBytes > 0 && this.recordedBytes + chunk.length > this.maxBytes;
+    const audio = overLimit ? chunk.subarray(0, this.maxBytes - this.recordedBytes) : chunk;
+
+    this.recorded.push(audio);
+    this.recordedBytes += audio.length;
+    this.window = Buffer.concat([this.window, audio]);
+
+    if (this.chunking === 'fixed') {
+      while (this.window.length >= this.windowBytes) {
+        this.cutWindow(this.windowBytes, true);
+      }
+    } else {
+      this.detectPauses();
+    }
+
+    if (overLimit) {
+      this.sendError(`Stream exceeds the maximum duration of ${config.stream.maxDurationSeconds} seconds`);
+      this.finish(CLOSE_POLICY_VIOLATION);
+    }
+  }
+
+  /**
+   * Analyse the new frames of the current window and cut it at pauses
+   *
+   * A pause after speech ends the window; a pause without speech drops the
+   * silence so the next window starts close to the speech. Windows that reach
+   * the maximum window length are cut even without a pause.
+   *
+   * @returns {void}
+   */
+  detectPauses() {
+    while (this.scanned + this.frameBytes <= this.window.length) {
+      const frame = this.window.subarray(this.scanned, this.scanned + this.frameBytes);
+      this.scanned += this.frameBytes;
+
+      if (rmsLevel(frame) >= config.stream.vadThreshold) {
+        this.hasSpeech = true;
+        this.silenceMs = 0;
+      } else {
+        this.silenceMs += VAD_FRAME_MS;
+      }
+
+      if (this.silenceMs >= config.stream.vadSilenceMs || this.scanned >= this.maxWindowBytes) {
+        this.cutWindow(this.scanned, this.hasSpeech);
+      }
+    }
+  }
+
+  /**
+   * Remove the start of the current window and queue it for transcription
+   *
+   * @param {number} length - Bytes to cut from the window
+   * @param {boolean} transcribe - Whether to transcribe the cut audio (false drops silence)
+   * @returns {void}
+   */
+  cutWindow(length, transcribe) {
+    const pcm = this.window.subarray(0, length);
+    const start = this.windowStart / this.bytesPerSecond;
+
+    this.window = this.window.subarray(length);
+    this.windowStart += length;
+    this.scanned = 0;
+    this.hasSpeech = false;
+    this.silenceMs = 0;
+
+    if (transcribe && pcm.length > 0) {
+      const index = ++this.windowCount;
+      this.queue = this.queue.then(() => this.transcribeWindow(index, pcm, start));
+    }
+  }
+
+  /**
+   * Transcribe one window and push the result to the client
+   *
+   * A failed window is reported to the client and the stream continues.
+   *
+   * @param {number} index - Window number, starting at 1
+   * @param {Buffer} pcm - PCM samples of the window
+   * @param {number} start - Start of the window in the stream, in seconds
+   * @returns {Promise<void>}
+   */
+  async transcribeWindow(index, pcm, start) {
+    try {
+      const result = await proxyService.transcribe(
+        toWav(pcm, this.sampleRate),
+        `stream-${index}.wav`,
+        'audio/wav',
+        this.params,
+        { tier: this.tier }
+      );
+
+      // Count the transcribed audio against the API key's daily quota
+      if (this.apiKeyId) {
+        apiKeyService.recordAudioSeconds(this.apiKeyId, result.audio_duration_sec);
+      }
+
+      const text = (result.text || '').trim();
+      const segments = shiftTimestamps(Array.isArray(result.segments) ? result.segments : [], start);
+
+      if (text) {
+        this.texts.push(text);
+      }
+      this.segments.push(...segments);
+      if (Array.isArray(result.words)) {
+        this.words.push(...shiftTimestamps(result.words, start));
+      }
+      this.detectedLanguage = this.detectedLanguage || result.detected_language || null;
+
+      this.send({
+        type: 'partial',
+        window: index,
+        start: roundSeconds(start),
+        end: roundSeconds(start + pcm.length / this.bytesPerSecond),
+        text,
+        language: result.detected_language || result.language || null,
+        segments,
+        transcript: this.texts.join(' ')
+      });
+    } catch (error) {
+      this.log.warn(`Stream ${this.requestId} window ${index} failed: ${error.message}`);
+      this.sendError(error.message, { window: index });
+    }
+  }
+
+  /**
+   * End the stream: transcribe the remaining audio, save the recording and send the final message
+   *
+   * Safe to call more than once; later calls wait for the first one.
+   *
+   * @param {number|null} closeCode - WebSocket close code, or null if the client already disconnected
+   * @returns {Promise<void>}
+   */
+  finish(closeCode) {
+    if (!this.finishing) {
+      this.finishing = this.runFinish(closeCode);
+    }
+    return this.finishing;
+  }
+
+  /**
+   * Carry out the end of the stream (see finish)
+   *
+   * @param {number|null} closeCode - WebSocket close code, or null if the client already disconnected
+   * @returns {Promise<void>}
+   */
+  async runFinish(closeCode) {
+    clearTimeout(this.idleTimer);
+
+    // The last window has no pause after it; with VAD it is only sent if it has speech
+    if (this.chunking === 'fixed' || this.hasSpeech) {
+      this.cutWindow(this.window.length - (this.window.length % 2), true);
+    }
+    await this.queue;
+
+    const transcription = {
+      text: this.texts.join(' '),
+      language: this.params.language,
+      detected_language: this.detectedLanguage,
+      segments: this.segments,
+      words: this.words,
+      audio_duration_sec: roundSeconds(Math.floor(this.recordedBytes / 2) * 2 / this.bytesPerSecond)
+    };
+
+    // Saving the recording is best-effort, the final transcript is sent either way
+    let audioFileUrl = null;
+    if (this.recordedBytes >= 2) {
+      try {
+        const pcm = Buffer.concat(this.recorded);
+        const savedFilename = await audioService.saveAudioFile(
+          toWav(pcm.subarray(0, pcm.length - (pcm.length % 2)), this.sampleRate),
+          'stream.wav',
+          'audio/wav',
+          { api_key_id: this.apiKeyId, request_id: this.requestId }
+        );
+        if (savedFilename) {
+          await audioService.saveTranscription(savedFilename, transcription, this.params);
+          audioFileUrl = audioService.getAudioUrl(savedFilename, this.baseUrl);
+        }
+      } catch (error) {
+        this.log.warn(`Failed to save recording of stream ${this.requestId}: ${error.message}`);
+      }
+    }
+
+    this.send({
+      type: 'final',
+      ...transcription,
+      windows: this.windowCount,
+      audio_file_url: audioFileUrl
+    });
+
+    if (closeCode && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.close(closeCode);
+    }
+
+    this.log.info(`Stream ${this.requestId} ended: ${transcription.audio_duration_sec}s of audio in ${this.windowCount} windows`);
+    this.onFinished(this);
+  }
+
+  /**
+   * Restart the timer that ends the stream when the client goes quiet
+   *
+   * @returns {void}
+   */
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    if (config.stream.idleTimeoutSeconds > 0) {
+      this.idleTimer = setTimeout(() => {
+        this.sendError(`No audio received for ${config.stream.idleTimeoutSeconds} seconds`);
+        this.finish(CLOSE_POLICY_VIOLATION);
+      }, config.stream.idleTimeoutSeconds * 1000);
+    }
+  }
+
+  /**
+   * Send a JSON message to the client if the connection is still open
+   *
+   * @param {Object} message - Message to send
+   * @returns {void}
+   */
+  send(message) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Send an error message to the client
+   *
+   * @param {string} detail - Error description
+   * @param {Object} extra - Additional fields (e.g., the failed window)
+   * @returns {void}
+   */
+  sendError(detail, extra = {}) {
+    this.send({ type: 'error', ...extra, detail });
+  }
+}
+
+/**
+ * StreamService Class
+ *
+ * Accepts WebSocket connections for streaming transcription and tracks the open sessions.
+ */
+class StreamService {
+  /**
+   * Initialize StreamService
+   */
+  constructor() {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+    this.sessions = new Set();
+
+    // Echo the request ID in the handshake response, like on HTTP responses
+    this.wss.on('headers', (headers, req) => {
+      if (req.id) {
+        headers.push(`X-Request-Id: ${req.id}`);
+      }
+    });
+  }
+
+  /**
+   * Route an HTTP upgrade request through the Express app
+   *
+   * The request is handled like any other request, with a response bound to
+   * the raw socket. Middleware that rejects it writes a normal HTTP response;
+   * the /v1/stream route accepts it with accept().
+   *
+   * @param {Function} app - Express application
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Socket of the request
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @returns {void}
+   */
+  routeUpgrade(app, req, socket, head) {
+    socket.on('error', error => logger.debug(`Upgrade socket error: ${error.message}`));
+
+    req.upgradeHead = head;
+    const res = new http.ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+    res.on('finish', () => socket.end());
+
+    app(req, res);
+  }
+
+  /**
+   * Check whether a request arrived as a WebSocket upgrade
+   *
+   * @param {Object} req - Express request object
+   * @returns {boolean} True if the request can be accepted with accept()
+   */
+  isUpgradeRequest(req) {
+    return Buffer.isBuffer(req.upgradeHead);
+  }
+
+  /**
+   * Complete the WebSocket handshake and start a streaming session
+   *
+   * @param {Object} req - Express request object (an upgrade request)
+   * @param {Object} res - Express response object bound to the request socket
+   * @param {Object} options - Session options (params, sampleRate, chunking, windowSeconds, apiKeyId, tier, baseUrl)
+   * @returns {void}
+   */
+  accept(req, res, options) {
+    this.wss.handleUpgrade(req, req.socket, req.upgradeHead, AsyncResource.bind(ws => {
+      const session = new StreamSession(ws, {
+        ...options,
+        requestId: req.id,
+        log: req.log || logger,
+        onFinished: finished => {
+          this.sessions.delete(finished);
+          metrics.activeStreams.dec();
+        }
+      });
+
+      this.sessions.add(session);
+      metrics.activeStreams.inc();
+      session.start();
+    }));
+  }
+
+  /**
+   * End every open session (used on shutdown)
+   *
+   * Pending windows are still transcribed and the recordings saved.
+   *
+   * @returns {Promise<void>} Resolves once all sessions have ended
+   */
+  async closeAll() {
+    await Promise.all([...this.sessions].map(session => session.finish(CLOSE_GOING_AWAY)));
+  }
+}
+
+// Export singleton instance
+module.exports = new StreamService();
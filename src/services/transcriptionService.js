@@ -0,0 +1,194 @@
+/**
+ * Transcription Service
+ *
+ * This service implements the transcription flow shared by the synchronous
+ * transcription endpoint and asynchronous transcription jobs:
+ * - Forwarding the audio to the Python backend for transcription, or reusing
+ *   the cached result of the same audio and parameters
+ * - Optionally saving the audio file once it has been transcribed, with the
+ *   transcription result alongside it
+ * - Building the response with the audio file URL
+ *
+ * @author Debarun Lahiri
+ */
+
+const proxyService = require('./proxyService');
+const audioService = require('./audioService');
+const apiKeyService = require('./apiKeyService');
+const resultCache = require('./resultCache');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * TranscriptionService Class
+ *
+ * Coordinates audio storage and the Python backend for transcription requests.
+ */
+class TranscriptionService {
+  /**
+   * Parse transcription parameters from a query string object
+   *
+   * Applies the defaults used by the Python backend:
+   * - language: 'auto'
+   * - enable_word_timestamps: true
+   * - enable_diarization: false
+   *
+   * @param {Object} query - Parsed query string (e.g., req.query)
+   * @returns {Object} Transcription parameters
+   */
+  parseParams(query) {
+    return {
+      language: query.language || 'auto',
+      enable_word_timestamps: query.enable_word_timestamps !== undefined
+        ? query.enable_word_timestamps === 'true'
+        : true,
+      enable_diarization: query.enable_diarization !== undefined
+        ? query.enable_diarization === 'true'
+        : false
+    };
+  }
+
+  /**
+   * Transcribe audio and store the recording
+   *
+   * The recording is saved after the backend returns a result, so failed
+   * requests (including those rejected by the transcription queue) save nothing.
+   * Requests answered from the result cache share the original request's
+   * recording (and its audio_file_url) when they come from the same API key;
+   * another key gets a recording of its own, saved on its first hit. Saving the audio file or its transcription is best-effort: failures are
+   * logged and the transcription result is still returned.
+   *
+   * @param {Object} options - Transcription options
+   * @param {Buffer|string} options.audio - Audio data, or the path of a file holding it
+   * @param {string} options.originalFilename - Original filename of the audio file
+   * @param {string} options.mimeType - MIME type of the audio file
+   * @param {Object} options.params - Transcription parameters (see parseParams)
+   * @param {string} options.baseUrl - Base URL used to build the audio file URL
+   * @param {Object|null} options.audioTruncated - Truncation info from the audio duration middleware
+   * @param {string|null} options.apiKeyId - ID of the API key making the request (if authenticated)
+   * @param {string|null} options.requestId - ID of the request, stored in the recording metadata
+   * @param {boolean} options.useCache - Reuse a cached backend result (default: true)
+   * @param {Object} options.queue - Options for waiting while every backend is busy (see ProxyService.transcribe)
+   * @returns {Promise<Object>} Transcription result with audio_file_url
+   * @throws {Error} If the Python backend transcription fails
+   */
+  async transcribe({ audio, originalFilename, mimeType, params, baseUrl, audioTruncated = null, apiKeyId = null, requestId = null, useCache = true, queue = {} }) {
+    const metadata = { api_key_id: apiKeyId, request_id: requestId };
+
+    // Forward transcription request to Python backend unless the same audio
+    // was transcribed with the same parameters recently. The recording is cached
+    // with the result per API key (recordings are owned by the key that saved
+    // them), so a cache hit reuses the caller's earlier recording instead of
+    // saving the audio again
+    let computed = false;
+    const owner = apiKeyId || '';
+    const cached = await resultCache.wrap(
+      'transcribe',
+      async () => [await resultCache.hashAudio(audio), params.language, params.enable_word_timestamps, params.enable_diarization],
+      async () => {
+        computed = true;
+        const result = await proxyService.transcribe(audio, originalFilename, mimeType, params, queue);
+
+        // Record audio duration and speed of the transcription
+        if (typeof result.audio_duration_sec === 'number') {
+          metrics.audioDurationSeconds.observe(result.audio_duration_sec);
+        }
+        if (typeof result.real_time_factor === 'number') {
+          metrics.realTimeFactor.observe(result.real_time_factor);
+        }
+
+        // Save the recording only once the backend has transcribed it, so requests
+        // rejected by the backend or the queue leave no recordings behind
+        const savedFilename = await this.saveRecording({ audio, originalFilename, mimeType, metadata, result, params });
+        return { result, recordings: { [owner]: savedFilename } };
+      },
+      { bypass: !useCache }
+    );
+
+    const transcriptionResult = cached.result;
+
+    // Count the transcribed audio against the API key's daily quota
+    if (apiKeyId) {
+      apiKeyService.recordAudioSeconds(apiKeyId, transcriptionResult.audio_duration_sec);
+    }
+
+    // On a cache hit, save the audio for the caller if its key has no recording
+    // of it yet, or the recording is gone (deleted since, or saving it failed);
+    // later hits from the key then share the new recording
+    let savedFilename = cached.recordings[owner] || null;
+    if (!computed && !(savedFilename && await this.recordingExists(savedFilename))) {
+      savedFilename = await this.saveRecording({ audio, originalFilename, mimeType, metadata, result: transcriptionResult, params });
+      cached.recordings[owner] = savedFilename;
+    }
+
+    // Generate audio file URL if file was saved
+    const audioFileUrl = savedFilename ? audioService.getAudioUrl(savedFilename, baseUrl) : null;
+
+    // Combine transcription result with audio file URL
+    const response = {
+      ...transcriptionResult,
+      audio_file_url: audioFileUrl || null
+    };
+
+    // Report when the audio was trimmed to the maximum duration
+    if (audioTruncated) {
+      response.audio_truncated = true;
+      response.original_audio_duration_sec = Math.round(audioTruncated.originalDuration * 100) / 100;
+    }
+
+    return response;
+  }
+
+  /**
+   * Save the audio file and its transcription (if audio saving is configured)
+   *
+   * Best-effort: failures are logged and no recording is returned.
+   *
+   * @param {Object} options - Recording to save
+   * @param {Buffer|string} options.audio - Audio data, or the path of a file holding it
+   * @param {string} options.originalFilename - Original filename of the audio file
+   * @param {string} options.mimeType - MIME type of the audio file
+   * @param {Object} options.metadata - Metadata stored with the recording (api_key_id, request_id)
+   * @param {Object} options.result - Transcription result from the backend
+   * @param {Object} options.params - Transcription parameters
+   * @returns {Promise<string|null>} Filename of the saved recording or null
+   */
+  async saveRecording({ audio, originalFilename, mimeType, metadata, result, params }) {
+    let savedFilename = null;
+    try {
+      savedFilename = await audioService.saveAudioFile(audio, originalFilename, mimeType, metadata);
+    } catch (error) {
+      logger.warn(`Failed to save audio file: ${error.message}`);
+      return null;
+    }
+
+    // Persist transcription next to the saved recording
+    // The recording is still returned if persisting fails
+    if (savedFilename) {
+      try {
+        await audioService.saveTranscription(savedFilename, result, params);
+      } catch (error) {
+        logger.warn(`Failed to save transcription for ${savedFilename}: ${error.message}`);
+      }
+    }
+    return savedFilename;
+  }
+
+  /**
+   * Check whether a saved recording still exists
+   *
+   * @param {string} filename - Name of the audio file
+   * @returns {Promise<boolean>} True if the audio file is in storage
+   */
+  async recordingExists(filename) {
+    try {
+      return Boolean(await audioService.getAudioFileStats(filename));
+    } catch (error) {
+      logger.warn(`Failed to check recording ${filename}: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new TranscriptionService();
@@ -0,0 +1,424 @@
+/**
+ * Upload Service
+ *
+ * This service implements resumable uploads for clients on unreliable
+ * networks. Instead of sending the audio in one request, a client creates an
+ * upload with the total size, sends the file in chunks (each at a given byte
+ * offset, optionally with a checksum), asks for the current offset after a
+ * dropped connection, and finally hands the completed upload to the
+ * transcription flow.
+ *
+ * Each upload is persisted as a JSON file next to its partial data file in the
+ * uploads directory, so uploads survive a restart of the proxy. A chunk is
+ * written at the upload's offset and only counts once it has been received
+ * completely and its checksum matched; otherwise the data file is truncated
+ * back to the previous offset. Uploads that receive no chunk for
+ * UPLOADS_EXPIRY_HOURS are deleted.
+ *
+ * A completed upload is kept until it has been transcribed successfully, so a
+ * transcription that fails (e.g. the backend is busy) or whose client
+ * disconnects can be retried without uploading the file again.
+ *
+ * @author Debarun Lahiri
+ */
+
+const crypto = require('crypto');
+const { createReadStream, createWriteStream } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Upload IDs are UUIDs; anything else is rejected before touching the disk
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Checksum algorithms accepted for chunks and completed files
+const CHECKSUM_ALGORITHMS = ['sha256', 'sha1', 'md5'];
+
+/**
+ * Create an error carrying an HTTP status code for the error handler
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode set
+ */
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * UploadService Class
+ *
+ * Manages resumable uploads and their persistence.
+ */
+class UploadService {
+  /**
+   * Initialize UploadService
+   *
+   * Sets up the uploads directory, then loads persisted uploads and schedules
+   * periodic removal of expired uploads.
+   */
+  constructor() {
+    this.uploadsDir = path.resolve(config.uploads.storageDir);
+    this.expiryMs = config.uploads.expiryHours * 60 * 60 * 1000;
+    this.maxPending = config.uploads.maxPending;
+    this.uploads = new Map();
+    this.writing = new Set(); // IDs of uploads with a chunk being written
+    this.transcribing = new Set(); // IDs of completed uploads being transcribed
+
+    this.ready = this.loadUploads();
+
+    // Expire stale uploads every 10 minutes
+    this.expireTimer = setInterval(() => this.expireUploads(), 10 * 60 * 1000);
+    this.expireTimer.unref();
+  }
+
+  /**
+   * Load persisted uploads from disk
+   *
+   * Data files are truncated to the persisted offset, which drops a chunk that
+   * was being written when the proxy stopped. Data files without an upload
+   * and copies handed to transcriptions that were interrupted are deleted.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadUploads() {
+    try {
+      await fs.mkdir(this.uploadsDir, { recursive: true });
+      const files = await fs.readdir(this.uploadsDir);
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const upload = JSON.parse(await fs.readFile(path.join(this.uploadsDir, file), 'utf-8'));
+          await fs.truncate(this.getDataPath(upload.id), upload.offset);
+          this.uploads.set(upload.id, upload);
+        } catch (error) {
+          logger.warn(`Failed to load upload file ${file}: ${error.message}`);
+        }
+      }
+
+      for (const file of files.filter(name => name.endsWith('.part'))) {
+        if (!this.uploads.has(path.basename(file, '.part'))) {
+          await fs.rm(path.join(this.uploadsDir, file), { force: true });
+        }
+      }
+
+      for (const file of files.filter(name => name.endsWith('.transcribing'))) {
+        await fs.rm(path.join(this.uploadsDir, file), { force: true });
+      }
+
+      logger.info(`Uploads directory ready: ${this.uploadsDir} (${this.uploads.size} uploads in progress)`);
+      await this.expireUploads();
+    } catch (error) {
+      logger.error(`Failed to load uploads: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get file system path for an upload's JSON file
+   *
+   * @param {string} id - Upload ID
+   * @returns {string} Full path of the upload file
+   */
+  getUploadPath(id) {
+    return path.join(this.uploadsDir, `${id}.json`);
+  }
+
+  /**
+   * Get file system path for an upload's data
+   *
+   * @param {string} id - Upload ID
+   * @returns {string} Full path of the partial data file
+   */
+  getDataPath(id) {
+    return path.join(this.uploadsDir, `${id}.part`);
+  }
+
+  /**
+   * Persist an upload to disk
+   *
+   * Writes to a temporary file first and renames it so a crash never leaves
+   * a partially written upload file behind.
+   *
+   * @param {Object} upload - Upload record
+   * @returns {Promise<void>}
+   */
+  async saveUpload(upload) {
+    const uploadPath = this.getUploadPath(upload.id);
+    const tempPath = `${uploadPath}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(upload, null, 2));
+    await fs.rename(tempPath, uploadPath);
+  }
+
+  /**
+   * Parse a checksum in the form "<algorithm> <base64 digest>"
+   *
+   * @param {string} value - Checksum string (e.g., "sha256 n4bQgYhMfWWaL+qgxVrQFaO/TxsrC4Is0V1sFbDwCgg=")
+   * @returns {Object|null} Algorithm and digest (as a Buffer), or null if the value is malformed
+   */
+  parseChecksum(value) {
+    const match = /^(\S+) ([A-Za-z0-9+/]+={0,2})$/.exec(String(value).trim());
+    if (!match || !CHECKSUM_ALGORITHMS.includes(match[1].toLowerCase())) {
+      return null;
+    }
+    return { algorithm: match[1].toLowerCase(), digest: Buffer.from(match[2], 'base64') };
+  }
+
+  /**
+   * Create an upload
+   *
+   * Creates the empty data file and persists the upload. Chunks can be sent as
+   * soon as it has been created.
+   *
+   * @param {Object} options - Upload options
+   * @param {number} options.size - Total size of the file in bytes
+   * @param {string} options.filename - Original filename of the audio file
+   * @param {string} options.mimeType - MIME type of the audio file
+   * @param {Object|null} options.checksum - Checksum of the complete file (see parseChecksum)
+   * @param {string|null} options.apiKeyId - ID of the API key creating the upload (if authenticated)
+   * @returns {Promise<Object>} The created upload
+   * @throws {Error} If too many uploads are in progress (statusCode 503)
+   */
+  async createUpload({ size, filename, mimeType, checksum = null, apiKeyId = null }) {
+    await this.ready;
+
+    if (this.uploads.size >= this.maxPending) {
+      throw createError(`Too many uploads in progress (${this.maxPending}), try again later`, 503);
+    }
+
+    const now = new Date().toISOString();
+    const upload = {
+      id: uuidv4(),
+      size,
+      offset: 0,
+      filename,
+      mime_type: mimeType,
+      checksum: checksum ? { algorithm: checksum.algorithm, digest: checksum.digest.toString('base64') } : null,
+      api_key_id: apiKeyId,
+      created_at: now,
+      updated_at: now
+    };
+
+    await fs.writeFile(this.getDataPath(upload.id), Buffer.alloc(0));
+    await this.saveUpload(upload);
+    this.uploads.set(upload.id, upload);
+    logger.info(`Upload ${upload.id} created (${size} bytes)`);
+
+    return upload;
+  }
+
+  /**
+   * Get an upload by ID
+   *
+   * @param {string} id - Upload ID
+   * @returns {Promise<Object|null>} Upload record or null if not found
+   */
+  async getUpload(id) {
+    await this.ready;
+
+    if (!UPLOAD_ID_PATTERN.test(id)) {
+      return null;
+    }
+    return this.uploads.get(id) || null;
+  }
+
+  /**
+   * Build the client-facing representation of an upload
+   *
+   * @param {Object} upload - Upload record
+   * @returns {Object} Public upload data
+   */
+  toPublicUpload(upload) {
+    return {
+      id: upload.id,
+      size: upload.size,
+      offset: upload.offset,
+      complete: upload.offset === upload.size,
+      filename: upload.filename,
+      mime_type: upload.mime_type,
+      created_at: upload.created_at,
+      updated_at: upload.updated_at,
+      expires_at: new Date(new Date(upload.updated_at).getTime() + this.expiryMs).toISOString()
+    };
+  }
+
+  /**
+   * Write a chunk to an upload
+   *
+   * The chunk is written at the upload's current offset. If the stream fails,
+   * holds more bytes than the upload has left or doesn't match its checksum,
+   * the data file is truncated back to the previous offset and the error is
+   * thrown.
+   *
+   * @param {Object} upload - Upload record
+   * @param {Readable} stream - Chunk data (e.g., the request)
+   * @param {Object|null} checksum - Checksum of the chunk (see parseChecksum)
+   * @returns {Promise<Object>} The updated upload
+   * @throws {Error} If another chunk is being written (statusCode 409), the chunk is too large (statusCode 413)
+   *   or its checksum doesn't match (statusCode 400)
+   */
+  async appendChunk(upload, stream, checksum = null) {
+    if (this.writing.has(upload.id)) {
+      throw createError(`Another chunk is being written to upload ${upload.id}`, 409);
+    }
+
+    this.writing.add(upload.id);
+    const offset = upload.offset;
+    const remaining = upload.size - offset;
+    const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+    let received = 0;
+
+    // Count and hash the chunk on its way to the data file
+    const meter = new Transform({
+      transform(data, encoding, callback) {
+        received += data.length;
+        if (received > remaining) {
+          return callback(createError(`Chunk exceeds the ${remaining} bytes remaining in upload ${upload.id}`, 413));
+        }
+        if (hash) {
+          hash.update(data);
+        }
+        callback(null, data);
+      }
+    });
+
+    try {
+      await pipeline(stream, meter, createWriteStream(this.getDataPath(upload.id), { flags: 'r+', start: offset }));
+
+      if (hash && !hash.digest().equals(checksum.digest)) {
+        throw createError(`Chunk checksum mismatch (${checksum.algorithm})`, 400);
+      }
+
+      upload.offset = offset + received;
+      upload.updated_at = new Date().toISOString();
+      await this.saveUpload(upload);
+      logger.debug(`Upload ${upload.id}: ${upload.offset}/${upload.size} bytes`);
+      return upload;
+    } catch (error) {
+      await fs.truncate(this.getDataPath(upload.id), offset).catch(() => {});
+      throw error;
+    } finally {
+      this.writing.delete(upload.id);
+    }
+  }
+
+  /**
+   * Hash a file
+   *
+   * @param {string} filePath - Path of the file
+   * @param {string} algorithm - Hash algorithm
+   * @returns {Promise<Buffer>} Digest of the file content
+   */
+  async hashFile(filePath, algorithm) {
+    const hash = crypto.createHash(algorithm);
+    await pipeline(createReadStream(filePath), hash);
+    return hash.digest();
+  }
+
+  /**
+   * Complete an upload for transcription
+   *
+   * The upload stays available but can't be completed again until the
+   * transcription is released (see releaseUpload). The caller gets its own
+   * link to the data (a copy where hard links aren't supported), which it owns
+   * and must delete when done. When the upload has a checksum, the complete
+   * file is verified first; a mismatch deletes the upload.
+   *
+   * @param {Object} upload - Upload record
+   * @returns {Promise<string>} Path of the caller's copy of the complete data file
+   * @throws {Error} If the upload is incomplete, a chunk is being written or it is
+   *   already being transcribed (statusCode 409), or the file doesn't match its checksum (statusCode 400)
+   */
+  async completeUpload(upload) {
+    if (this.writing.has(upload.id) || upload.offset !== upload.size) {
+      throw createError(`Upload ${upload.id} is incomplete (${upload.offset}/${upload.size} bytes received)`, 409);
+    }
+    if (this.transcribing.has(upload.id)) {
+      throw createError(`Upload ${upload.id} is already being transcribed`, 409);
+    }
+
+    // Mark the upload before any await so concurrent requests can't complete it again
+    this.transcribing.add(upload.id);
+    const dataPath = this.getDataPath(upload.id);
+    const copyPath = path.join(this.uploadsDir, `${upload.id}-${uuidv4()}.transcribing`);
+
+    try {
+      if (upload.checksum) {
+        const digest = await this.hashFile(dataPath, upload.checksum.algorithm);
+        if (!digest.equals(Buffer.from(upload.checksum.digest, 'base64'))) {
+          await this.deleteUpload(upload);
+          throw createError(`Upload checksum mismatch (${upload.checksum.algorithm}), the upload has been discarded`, 400);
+        }
+      }
+
+      await fs.link(dataPath, copyPath).catch(() => fs.copyFile(dataPath, copyPath));
+    } catch (error) {
+      this.transcribing.delete(upload.id);
+      throw error;
+    }
+
+    logger.info(`Upload ${upload.id} completed (${upload.size} bytes)`);
+    return copyPath;
+  }
+
+  /**
+   * Release an upload after its transcription request ended
+   *
+   * A transcribed upload is deleted. Otherwise it can be completed again, e.g.
+   * when the client retries after a failure or a dropped connection.
+   *
+   * @param {Object} upload - Upload record
+   * @param {boolean} transcribed - Whether the transcription succeeded
+   * @returns {Promise<void>}
+   */
+  async releaseUpload(upload, transcribed) {
+    this.transcribing.delete(upload.id);
+    if (!transcribed) {
+      return;
+    }
+
+    try {
+      await this.deleteUpload(upload);
+      logger.debug(`Upload ${upload.id} transcribed and deleted`);
+    } catch (error) {
+      logger.warn(`Failed to delete transcribed upload ${upload.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an upload and its data
+   *
+   * @param {Object} upload - Upload record
+   * @returns {Promise<void>}
+   */
+  async deleteUpload(upload) {
+    this.uploads.delete(upload.id);
+    await fs.rm(this.getUploadPath(upload.id), { force: true });
+    await fs.rm(this.getDataPath(upload.id), { force: true });
+  }
+
+  /**
+   * Delete uploads that have received no chunk within the expiry period
+   *
+   * @returns {Promise<void>}
+   */
+  async expireUploads() {
+    const cutoff = Date.now() - this.expiryMs;
+
+    for (const upload of [...this.uploads.values()]) {
+      if (!this.writing.has(upload.id) && !this.transcribing.has(upload.id) && new Date(upload.updated_at).getTime() < cutoff) {
+        await this.deleteUpload(upload);
+        logger.info(`Expired upload ${upload.id} (${upload.offset}/${upload.size} bytes received)`);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new UploadService();
@@ -0,0 +1,547 @@
+/**
+ * Audio Probe Utility
+ *
+ * This module determines the container format and duration of an audio buffer
+ * by reading its headers, without decoding any audio. Supported formats:
+ * - WAV: fmt chunk byte rate and data chunk size
+ * - MP3: Xing/Info or VBRI frame count, or constant bitrate estimate
+ * - OGG (Vorbis/Opus): last page granule position and stream sample rate
+ * - FLAC: STREAMINFO total samples and sample rate
+ * - M4A/MP4: movie header (mvhd) duration and timescale
+ *
+ * Formats that are not recognized return null so callers can decide how to
+ * treat audio of unknown duration.
+ *
+ * Files are probed without loading them into memory: only the first and last
+ * bytes (and, for MP4, the movie box) are read.
+ *
+ * @author Debarun Lahiri
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+// Bytes read from the start and the end of a file when probing it
+const PROBE_HEAD_BYTES = 1024 * 1024;
+const PROBE_TAIL_BYTES = 128 * 1024;
+
+// Largest MP4 movie (moov) box read when probing a file
+const MAX_MP4_MOOV_BYTES = 16 * 1024 * 1024;
+
+// MP3 bitrates in kbps indexed by [version][layer][bitrate index]
+const MP3_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+// MP3 sample rates indexed by version (1, 2, 2.5)
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+/**
+ * Probe WAV (RIFF/WAVE) duration
+ *
+ * @param {Buffer} buffer - Audio data (at least up to the data chunk header)
+ * @param {number} size - Total size of the audio in bytes
+ * @returns {number|null} Duration in seconds or null if headers are invalid
+ */
+const probeWav = (buffer, size = buffer.length) => {
+  let offset = 12;
+  let byteRate = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ' && offset + 16 <= buffer.length) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (chunkId === 'data') {
+      if (!byteRate) {
+        return null;
+      }
+      // Streaming writers leave the size unset; use the bytes actually present
+      const available = size - (offset + 8);
+      const dataSize = chunkSize === 0 || chunkSize === 0xFFFFFFFF ? available : Math.min(chunkSize, available);
+      return dataSize / byteRate;
+    }
+
+    // Chunks are padded to an even number of bytes
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+};
+
+/**
+ * Parse an MP3 frame header
+ *
+ * @param {Buffer} buffer - Audio data
+ * @param {number} offset - Offset of the candidate frame header
+ * @returns {Object|null} Frame information or null if no valid header is present
+ */
+const parseMp3FrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0F;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = MP3_BITRATES[version === 1 ? 1 : 2][layer][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 1) ? 576 : 1152;
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    samplesPerFrame,
+    mono: channelMode === 3
+  };
+};
+
+/**
+ * Probe MP3 duration
+ *
+ * Uses the frame count from a Xing/Info or VBRI header when present (VBR files),
+ * otherwise estimates the duration from the first frame's bitrate (CBR files).
+ *
+ * @param {Buffer} buffer - Audio data (at least the first frames)
+ * @param {number} size - Total size of the audio in bytes
+ * @param {Buffer} tail - Last bytes of the audio, checked for an ID3v1 tag
+ * @returns {number|null} Duration in seconds or null if no frame is found
+ */
+const probeMp3 = (buffer, size = buffer.length, tail = buffer) => {
+  let offset = 0;
+
+  // Skip ID3v2 tag (size is stored as a 28-bit syncsafe integer)
+  if (buffer.toString('ascii', 0, 3) === 'ID3' && buffer.length >= 10) {
+    const tagSize = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) | ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+    offset = 10 + tagSize + ((buffer[5] & 0x10) ? 10 : 0);
+  }
+
+  // Find the first frame sync within a bounded window
+  const searchEnd = Math.min(buffer.length - 4, offset + 65536);
+  let header = null;
+  for (; offset <= searchEnd; offset++) {
+    header = parseMp3FrameHeader(buffer, offset);
+    if (header) break;
+  }
+  if (!header) {
+    return null;
+  }
+
+  // Xing/Info header follows the side information of the first frame
+  const sideInfoSize = header.version === 1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+  const xingOffset = offset + 4 + sideInfoSize;
+  if (xingOffset + 12 <= buffer.length) {
+    const tag = buffer.toString('ascii', xingOffset, xingOffset + 4);
+    if ((tag === 'Xing' || tag === 'Info') && (buffer.readUInt32BE(xingOffset + 4) & 0x01)) {
+      const frames = buffer.readUInt32BE(xingOffset + 8);
+      return (frames * header.samplesPerFrame) / header.sampleRate;
+    }
+  }
+
+  // VBRI header is always 32 bytes after the frame header
+  const vbriOffset = offset + 36;
+  if (vbriOffset + 18 <= buffer.length && buffer.toString('ascii', vbriOffset, vbriOffset + 4) === 'VBRI') {
+    const frames = buffer.readUInt32BE(vbriOffset + 14);
+    return (frames * header.samplesPerFrame) / header.sampleRate;
+  }
+
+  // Constant bitrate estimate, excluding a trailing ID3v1 tag
+  let audioBytes = size - offset;
+  if (tail.length >= 128 && tail.toString('ascii', tail.length - 128, tail.length - 125) === 'TAG') {
+    audioBytes -= 128;
+  }
+  return (audioBytes * 8) / header.bitrate;
+};
+
+/**
+ * Probe OGG (Vorbis or Opus) duration
+ *
+ * @param {Buffer} buffer - Audio data
+ * @returns {number|null} Duration in seconds or null if the stream is not Vorbis or Opus
+ */
+const probeOgg = (buffer) => {
+  if (buffer.length < 28) {
+    return null;
+  }
+
+  // First packet starts after the page header and its segment table
+  const segmentCount = buffer[26];
+  const packetOffset = 27 + segmentCount;
+  let sampleRate = null;
+  let preSkip = 0;
+
+  if (buffer.toString('ascii', packetOffset, packetOffset + 8) === 'OpusHead') {
+    // Opus granule positions are always expressed at 48 kHz
+    sampleRate = 48000;
+    preSkip = buffer.readUInt16LE(packetOffset + 10);
+  } else if (buffer[packetOffset] === 0x01 && buffer.toString('ascii', packetOffset + 1, packetOffset + 7) === 'vorbis') {
+    sampleRate = buffer.readUInt32LE(packetOffset + 12);
+  }
+
+  if (!sampleRate) {
+    return null;
+  }
+
+  // Granule position of the last page is the total sample count
+  const lastPage = buffer.lastIndexOf('OggS');
+  if (lastPage < 0 || lastPage + 14 > buffer.length) {
+    return null;
+  }
+  const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+  if (granule < 0) {
+    return null;
+  }
+
+  return Math.max(0, granule - preSkip) / sampleRate;
+};
+
+/**
+ * Probe FLAC duration from the STREAMINFO block
+ *
+ * @param {Buffer} buffer - Audio data
+ * @returns {number|null} Duration in seconds or null if the total sample count is unknown
+ */
+const probeFlac = (buffer) => {
+  if (buffer.length < 26) {
+    return null;
+  }
+
+  // STREAMINFO is always the first metadata block, starting at byte 8
+  const sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  const totalSamples = (buffer[21] & 0x0F) * 0x100000000 + buffer.readUInt32BE(22);
+
+  if (!sampleRate || !totalSamples) {
+    return null;
+  }
+  return totalSamples / sampleRate;
+};
+
+/**
+ * Find a child box in an ISO base media (MP4) box range
+ *
+ * @param {Buffer} buffer - Audio data
+ * @param {string} type - Four character box type to find
+ * @param {number} start - Start offset of the range
+ * @param {number} end - End offset of the range
+ * @returns {Object|null} Box content range or null if not found
+ */
+const findMp4Box = (buffer, type, start, end) => {
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const boxType = buffer.toString('ascii', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) return null;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) {
+      return null;
+    }
+
+    if (boxType === type) {
+      return { start: offset + headerSize, end: Math.min(offset + size, end) };
+    }
+    offset += size;
+  }
+
+  return null;
+};
+
+/**
+ * Probe M4A/MP4 duration from the movie header
+ *
+ * @param {Buffer} buffer - Audio data
+ * @returns {number|null} Duration in seconds or null if no movie header is found
+ */
+const probeMp4 = (buffer) => {
+  const moov = findMp4Box(buffer, 'moov', 0, buffer.length);
+  if (!moov) {
+    return null;
+  }
+  const mvhd = findMp4Box(buffer, 'mvhd', moov.start, moov.end);
+  if (!mvhd || mvhd.start + 32 > buffer.length) {
+    return null;
+  }
+
+  const version = buffer[mvhd.start];
+  const timescale = version === 1
+    ? buffer.readUInt32BE(mvhd.start + 20)
+    : buffer.readUInt32BE(mvhd.start + 12);
+  const duration = version === 1
+    ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+    : buffer.readUInt32BE(mvhd.start + 16);
+
+  if (!timescale) {
+    return null;
+  }
+  return duration / timescale;
+};
+
+/**
+ * Detect the container format of an audio buffer from its magic bytes
+ *
+ * @param {Buffer} buffer - Audio data
+ * @returns {string|null} One of 'wav', 'mp3', 'ogg', 'flac', 'mp4' or null if unknown
+ */
+const detectFormat = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'OggS') {
+    return 'ogg';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'fLaC') {
+    return 'flac';
+  }
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    return 'mp4';
+  }
+  if (buffer.toString('ascii', 0, 3) === 'ID3' || parseMp3FrameHeader(buffer, 0)) {
+    return 'mp3';
+  }
+  return null;
+};
+
+const PROBES = {
+  wav: probeWav,
+  mp3: probeMp3,
+  ogg: probeOgg,
+  flac: probeFlac,
+  mp4: probeMp4
+};
+
+/**
+ * Probe the format and duration of an audio buffer
+ *
+ * @param {Buffer} buffer - Audio data
+ * @returns {Object|null} { format, duration } with duration in seconds, or null if unknown
+ */
+const probe = (buffer) => {
+  const format = detectFormat(buffer);
+  if (!format) {
+    return null;
+  }
+
+  try {
+    const duration = PROBES[format](buffer);
+    if (duration === null || !isFinite(duration)) {
+      return null;
+    }
+    return { format, duration };
+  } catch (error) {
+    // Truncated or malformed headers
+    return null;
+  }
+};
+
+/**
+ * Find the audio format and data chunk of a WAV file
+ *
+ * @param {Buffer} buffer - WAV data, at least up to the data chunk header
+ * @returns {Object|null} byteRate, blockAlign, dataSizeOffset (offset of the data chunk
+ *   size field) and dataStart, or null if the headers are invalid
+ */
+const findWavData = (buffer) => {
+  let offset = 12;
+  let byteRate = null;
+  let blockAlign = 1;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ' && offset + 22 <= buffer.length) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+      blockAlign = buffer.readUInt16LE(offset + 20) || 1;
+    } else if (chunkId === 'data') {
+      return byteRate ? { byteRate, blockAlign, dataSizeOffset: offset + 4, dataStart: offset + 8 } : null;
+    }
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+};
+
+/**
+ * Read a byte range of an open file
+ *
+ * @param {fs.promises.FileHandle} handle - Open file
+ * @param {number} position - Offset of the first byte
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<Buffer>} Bytes read (shorter at the end of the file)
+ */
+const readRange = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Read the movie (moov) box of an MP4 file by walking its top-level boxes
+ *
+ * @param {fs.promises.FileHandle} handle - Open file
+ * @param {number} size - File size in bytes
+ * @returns {Promise<Buffer|null>} The moov box, or null if missing or too large
+ */
+const readMp4Moov = async (handle, size) => {
+  let offset = 0;
+
+  while (offset + 8 <= size) {
+    const header = await readRange(handle, offset, 16);
+    let boxSize = header.readUInt32BE(0);
+    const boxType = header.toString('ascii', 4, 8);
+
+    if (boxSize === 1) {
+      if (header.length < 16) return null;
+      boxSize = Number(header.readBigUInt64BE(8));
+    } else if (boxSize === 0) {
+      boxSize = size - offset;
+    }
+    if (boxSize < 8) {
+      return null;
+    }
+
+    if (boxType === 'moov') {
+      return boxSize <= MAX_MP4_MOOV_BYTES ? readRange(handle, offset, Math.min(boxSize, size - offset)) : null;
+    }
+    offset += boxSize;
+  }
+
+  return null;
+};
+
+/**
+ * Probe the format and duration of an audio file
+ *
+ * Reads only the start and end of the file, so memory use does not depend
+ * on the file size.
+ *
+ * @param {string} filePath - Path of the audio file
+ * @returns {Promise<Object|null>} { format, duration } with duration in seconds, or null if unknown
+ */
+const probeFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    const head = await readRange(handle, 0, Math.min(size, PROBE_HEAD_BYTES));
+    const format = detectFormat(head);
+    if (!format) {
+      return null;
+    }
+
+    const tail = await readRange(handle, Math.max(size - PROBE_TAIL_BYTES, 0), Math.min(size, PROBE_TAIL_BYTES));
+    let duration = null;
+
+    if (format === 'wav') {
+      duration = probeWav(head, size);
+    } else if (format === 'mp3') {
+      duration = probeMp3(head, size, tail);
+    } else if (format === 'ogg') {
+      // First page from the head, last page from the tail
+      duration = probeOgg(Buffer.concat([head, tail]));
+    } else if (format === 'flac') {
+      duration = probeFlac(head);
+    } else if (format === 'mp4') {
+      const moov = await readMp4Moov(handle, size);
+      duration = moov ? probeMp4(moov) : null;
+    }
+
+    if (duration === null || !isFinite(duration)) {
+      return null;
+    }
+    return { format, duration };
+  } catch (error) {
+    // Truncated or malformed headers
+    return null;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Truncate a PCM WAV file to a maximum duration
+ *
+ * Copies everything up to the data chunk, then streams only as many bytes of
+ * audio as fit in the given duration (aligned to whole sample frames), with the
+ * RIFF and data chunk sizes rewritten.
+ *
+ * @param {string} inputPath - Path of the WAV file
+ * @param {string} outputPath - Path of the truncated file to write
+ * @param {number} maxSeconds - Maximum duration in seconds
+ * @returns {Promise<boolean>} True if written, false if the headers are invalid
+ */
+const truncateWavFile = async (inputPath, outputPath, maxSeconds) => {
+  const handle = await fs.promises.open(inputPath, 'r');
+  let size;
+  let head;
+  try {
+    size = (await handle.stat()).size;
+    head = await readRange(handle, 0, Math.min(size, PROBE_HEAD_BYTES));
+  } finally {
+    await handle.close();
+  }
+
+  const layout = findWavData(head);
+  if (!layout) {
+    return false;
+  }
+
+  const maxBytes = Math.floor((maxSeconds * layout.byteRate) / layout.blockAlign) * layout.blockAlign;
+  const dataSize = Math.max(Math.min(maxBytes, size - layout.dataStart), 0);
+
+  const header = Buffer.from(head.subarray(0, layout.dataStart));
+  header.writeUInt32LE(layout.dataStart + dataSize - 8, 4);
+  header.writeUInt32LE(dataSize, layout.dataSizeOffset);
+
+  await fs.promises.writeFile(outputPath, header);
+  if (dataSize > 0) {
+    await pipeline(
+      fs.createReadStream(inputPath, { start: layout.dataStart, end: layout.dataStart + dataSize - 1 }),
+      fs.createWriteStream(outputPath, { flags: 'a' })
+    );
+  }
+  return true;
+};
+
+module.exports = {
+  probe,
+  probeFile,
+  detectFormat,
+  truncateWavFile
+};
@@ -0,0 +1,133 @@
+/**
+ * Callback URL Utility
+ *
+ * This module checks job callback URLs before the proxy sends requests to them.
+ * Callbacks may only reach public addresses, so clients cannot use the proxy to
+ * call services on its own network (loopback, private, link-local and cloud
+ * metadata addresses such as 169.254.169.254). When JOBS_CALLBACK_ALLOWED_HOSTS
+ * is set, only the listed hosts are accepted, and they may resolve to any address.
+ *
+ * Host names are checked again when the callback connects, so a host that
+ * resolves to a public address at job creation can't later be pointed at an
+ * internal one.
+ *
+ * @author Debarun Lahiri
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const config = require('../config');
+
+// Address ranges callbacks may not reach unless the host is allowlisted
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, including cloud metadata services
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['::ffff:0:0', 96], // IPv4-mapped
+  ['64:ff9b::', 96], // IPv4/IPv6 translation
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is publicly routable
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True unless the address is in a blocked range
+ */
+const isPublicAddress = (address) => !blockedAddresses.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+/**
+ * Check whether a host is listed in JOBS_CALLBACK_ALLOWED_HOSTS
+ *
+ * @param {string} hostname - Host name or IP address
+ * @returns {boolean} True if the host is allowlisted
+ */
+const isAllowedHost = (hostname) => config.jobs.callbackAllowedHosts.includes(hostname.toLowerCase());
+
+/**
+ * Validate a callback URL supplied by a client
+ *
+ * @param {string} value - Callback URL
+ * @returns {Promise<string|null>} Reason the URL is rejected, or null if it may be used
+ */
+const checkCallbackUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+    return 'callback_url must be an absolute http or https URL';
+  }
+
+  // IPv6 hosts are bracketed in URLs
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (config.jobs.callbackAllowedHosts.length > 0) {
+    return isAllowedHost(hostname) ? null : `callback_url host ${hostname} is not an allowed callback host`;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `callback_url host ${hostname} could not be resolved`;
+  }
+  if (addresses.some(entry => !isPublicAddress(entry.address))) {
+    return 'callback_url must not point to a private, loopback or link-local address';
+  }
+  return null;
+};
+
+/**
+ * DNS lookup for callback connections that refuses non-public addresses
+ *
+ * Same signature as dns.lookup, so it can be used as the lookup of an http.Agent.
+ *
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Receives an error or the resolved address(es)
+ * @returns {void}
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || isAllowedHost(hostname)) {
+      return callback(error, address, family);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Callback host ${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Agents for callback requests, re-checking host names when connecting
+const callbackAgents = {
+  httpAgent: new http.Agent({ lookup: lookupPublicAddress }),
+  httpsAgent: new https.Agent({ lookup: lookupPublicAddress })
+};
+
+module.exports = {
+  checkCallbackUrl,
+  callbackAgents
+};
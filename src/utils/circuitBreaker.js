@@ -0,0 +1,160 @@
+/**
+ * Circuit Breaker
+ *
+ * This module implements a circuit breaker used to stop sending requests to a
+ * backend that keeps failing, so callers fail fast instead of waiting for
+ * connection errors or timeouts. The breaker has three states:
+ * - closed: requests flow normally; consecutive failures are counted
+ * - open: requests are rejected until the reset timeout has elapsed
+ * - half-open: a limited number of trial requests are let through; a success
+ *   closes the breaker, a failure opens it again
+ *
+ * @author Debarun Lahiri
+ */
+
+const logger = require('./logger');
+
+/**
+ * CircuitBreaker Class
+ *
+ * Tracks failures of a single backend.
+ */
+class CircuitBreaker {
+  /**
+   * Initialize CircuitBreaker
+   *
+   * @param {string} name - Name used in log messages (e.g. the backend URL)
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+   * @param {number} options.resetTimeoutMs - Time the breaker stays open before allowing trial requests
+   * @param {number} options.halfOpenMaxRequests - Trial requests allowed at once while half-open
+   */
+  constructor(name, { failureThreshold, resetTimeoutMs, halfOpenMaxRequests }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.halfOpenMaxRequests = halfOpenMaxRequests;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+  }
+
+  /**
+   * Check whether a request may be sent
+   *
+   * Moves an open breaker to half-open once the reset timeout has elapsed.
+   *
+   * @returns {boolean} True if a request may be sent now
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition('half-open');
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'half-open') {
+      return this.halfOpenInFlight < this.halfOpenMaxRequests;
+    }
+    return false;
+  }
+
+  /**
+   * Register the start of a request
+   *
+   * Must be called after canRequest() returned true, and be followed by
+   * exactly one call to recordSuccess() or recordFailure().
+   *
+   * @returns {void}
+   */
+  acquire() {
+    if (this.state === 'half-open') {
+      this.halfOpenInFlight++;
+    }
+  }
+
+  /**
+   * Record a request that reached the backend
+   *
+   * Closes a half-open breaker and resets the failure count.
+   *
+   * @returns {void}
+   */
+  recordSuccess() {
+    this.releaseTrial();
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  /**
+   * Record a failed request
+   *
+   * Opens the breaker when a trial request fails or the failure threshold is reached.
+   *
+   * @returns {void}
+   */
+  recordFailure() {
+    this.releaseTrial();
+    this.failures++;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  /**
+   * Free a half-open trial slot
+   *
+   * @returns {void}
+   */
+  releaseTrial() {
+    if (this.halfOpenInFlight > 0) {
+      this.halfOpenInFlight--;
+    }
+  }
+
+  /**
+   * Change state and log the transition
+   *
+   * @param {string} state - New state
+   * @returns {void}
+   */
+  transition(state) {
+    const log = state === 'open' ? logger.warn : logger.info;
+    log.call(logger, `Circuit breaker for ${this.name} ${this.state} -> ${state}`);
+    this.state = state;
+  }
+
+  /**
+   * Get the number of seconds until an open breaker allows trial requests
+   *
+   * @returns {number} Seconds until half-open (0 if not open)
+   */
+  retryAfterSeconds() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+  }
+
+  /**
+   * Get the breaker status
+   *
+   * @returns {Object} State, consecutive failures and when an open breaker was opened
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      consecutive_failures: this.failures,
+      opened_at: this.state === 'open' ? new Date(this.openedAt).toISOString() : null,
+      retry_after_seconds: this.retryAfterSeconds()
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
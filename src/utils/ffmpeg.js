@@ -0,0 +1,84 @@
+/**
+ * FFmpeg Utility
+ *
+ * This module wraps the ffmpeg command line tool used for audio conversion.
+ * It spawns the configured ffmpeg binary as a child process and resolves once
+ * the process exits successfully. Processes that run longer than FFMPEG_TIMEOUT_MS
+ * (e.g. hung on a malformed upload) are killed. Availability of the binary is probed once
+ * and cached, so callers can fall back gracefully when ffmpeg is not installed.
+ *
+ * @author Debarun Lahiri
+ */
+
+const { spawn } = require('child_process');
+const config = require('../config');
+const logger = require('./logger');
+
+// Cached availability check so ffmpeg is only probed once per process
+let availabilityCheck = null;
+
+/**
+ * Run ffmpeg with the given arguments
+ *
+ * Banner output is suppressed and only errors are written to stderr, which is
+ * included in the rejection message when ffmpeg exits with a non-zero code.
+ *
+ * @param {Array<string>} args - ffmpeg command line arguments
+ * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+ * @throws {Error} If ffmpeg cannot be started, exits with an error or times out
+ */
+const run = (args) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(config.audio.ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', ...args], {
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    let timedOut = false;
+    const timeout = config.audio.ffmpegTimeoutMs > 0 ? setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, config.audio.ffmpegTimeoutMs) : null;
+
+    child.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timeout);
+      if (timedOut) {
+        reject(new Error(`ffmpeg timed out after ${config.audio.ffmpegTimeoutMs} ms`));
+      } else if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+      }
+    });
+  });
+};
+
+/**
+ * Check whether the ffmpeg binary can be executed
+ *
+ * @returns {Promise<boolean>} True if ffmpeg is available
+ */
+const isAvailable = () => {
+  if (!availabilityCheck) {
+    availabilityCheck = run(['-version'])
+      .then(() => true)
+      .catch((error) => {
+        logger.warn(`ffmpeg is not available, audio will be stored in its original format: ${error.message}`);
+        return false;
+      });
+  }
+  return availabilityCheck;
+};
+
+module.exports = {
+  run,
+  isAvailable
+};
@@ -2,12 +2,15 @@
  * Logger Utility
  * 
  * This module configures and exports a Winston logger instance for the application.
- * The logger supports both file and console output with different formatting:
- * - File logs: JSON format for structured logging and easy parsing
- * - Console logs: Colorized, human-readable format for development
+ * Log output goes to the sinks listed in LOG_SINKS:
+ * - console: Colorized, human-readable format for development
+ * - stdout-json: One JSON object per line on stdout, for container log collectors
+ * - file: JSON format in LOG_FILE, rotated by size
+ * - syslog: JSON messages sent over UDP to a syslog collector (RFC 5424)
  * 
  * The logger automatically creates the log directory if it doesn't exist and
- * implements log rotation with file size limits.
+ * implements log rotation with file size limits. Lines logged while handling a
+ * request carry its request_id.
  * 
  * @author Debarun Lahiri
  */
@@ -16,11 +19,84 @@ const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
 const config = require('../config');
+const { getRequestId } = require('./requestContext');
+const SyslogTransport = require('./syslogTransport');
 
-// Ensure log directory exists
-const logDir = path.dirname(config.logging.file);
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
+/**
+ * Add the current request ID to log entries that do not already have one
+ */
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.request_id) {
+    info.request_id = requestId;
+  }
+  return info;
+});
+
+/**
+ * Human-readable console format
+ * 
+ * Colorized level followed by the message and any metadata as JSON.
+ */
+const consoleFormat = winston.format.combine(
+  winston.format.colorize(), // Add colors to log levels
+  winston.format.printf(({ timestamp, level, message, ...meta }) => {
+    let msg = `${timestamp} [${level}]: ${message}`;
+    // Append metadata if present
+    if (Object.keys(meta).length > 0) {
+      msg += ` ${JSON.stringify(meta)}`;
+    }
+    return msg;
+  })
+);
+
+/**
+ * Create a size-rotated file transport
+ * 
+ * Creates the file's directory if it doesn't exist.
+ * 
+ * @param {string} filename - Log file path
+ * @param {number} maxSizeMB - Rotate the file at this size
+ * @param {number} maxFiles - Number of rotated files to keep
+ * @returns {Object} Winston file transport
+ */
+function createFileTransport(filename, maxSizeMB, maxFiles) {
+  const logDir = path.dirname(filename);
+  if (!fs.existsSync(logDir)) {
+    fs.mkdirSync(logDir, { recursive: true });
+  }
+
+  return new winston.transports.File({
+    filename,
+    maxsize: maxSizeMB * 1024 * 1024,
+    maxFiles
+  });
+}
+
+/**
+ * Create the transport for a configured log sink
+ * 
+ * @param {string} sink - Sink name (console, stdout-json, file, syslog)
+ * @returns {Object} Winston transport
+ * @throws {Error} If the sink name is unknown
+ */
+function createSinkTransport(sink) {
+  switch (sink) {
+    case 'console':
+      // Output colorized logs to console
+      return new winston.transports.Console({ format: consoleFormat });
+    case 'stdout-json':
+      // Output one JSON object per line, in the logger's JSON format
+      return new winston.transports.Console();
+    case 'file':
+      // Write structured JSON logs to the log file with rotation
+      return createFileTransport(config.logging.file, config.logging.fileMaxSizeMB, config.logging.fileMaxFiles);
+    case 'syslog':
+      // Send JSON logs to the syslog collector over UDP
+      return new SyslogTransport(config.logging.syslog);
+    default:
+      throw new Error(`Unknown log sink '${sink}' in LOG_SINKS (expected console, stdout-json, file or syslog)`);
+  }
 }
 
 /**
@@ -30,13 +106,10 @@ if (!fs.existsSync(logDir)) {
  * - Log level from configuration (default: 'info')
  * - Timestamp format: YYYY-MM-DD HH:mm:ss
  * - Error stack traces included
- * - JSON format for file logs
- * - Colorized console output for development
- * - File rotation: 5MB max file size, keep 5 files
- * 
- * Transports:
- * 1. File transport: Writes structured JSON logs to configured log file
- * 2. Console transport: Outputs colorized logs to console for development
+ * - Request ID of the current request included
+ * - JSON format for file, stdout-json and syslog sinks
+ * - Colorized output for the console sink
+ * - Transports from LOG_SINKS (default: console and file)
  */
 const logger = winston.createLogger({
   level: config.logging.level,
@@ -44,31 +117,11 @@ const logger = winston.createLogger({
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }), // Include stack traces for errors
     winston.format.splat(), // Enable string interpolation
+    requestIdFormat(), // Tag entries with the current request ID
     winston.format.json() // JSON format for structured logging
   ),
   defaultMeta: { service: 'stt-proxy' },
-  transports: [
-    // File transport: Write logs to file with rotation
-    new winston.transports.File({ 
-      filename: config.logging.file,
-      maxsize: 5242880, // 5MB max file size
-      maxFiles: 5 // Keep 5 rotated log files
-    }),
-    // Console transport: Output colorized logs to console
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(), // Add colors to log levels
-        winston.format.printf(({ timestamp, level, message, ...meta }) => {
-          let msg = `${timestamp} [${level}]: ${message}`;
-          // Append metadata if present
-          if (Object.keys(meta).length > 0) {
-            msg += ` ${JSON.stringify(meta)}`;
-          }
-          return msg;
-        })
-      )
-    })
-  ]
+  transports: config.logging.sinks.map(createSinkTransport)
 });
 
 module.exports = logger;
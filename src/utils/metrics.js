@@ -0,0 +1,161 @@
+/**
+ * Metrics Utility
+ *
+ * This module defines the Prometheus metrics exposed on /metrics. All metrics are
+ * registered on a dedicated registry and prefixed with `stt_proxy_`:
+ * - HTTP request counts and latency per route and status
+ * - Python backend call latency and error counts per backend and operation
+ * - Transcriptions waiting for a backend slot, their wait time and rejections
+ * - Upload sizes, audio durations and real-time factors of transcriptions
+ * - Saved recording count and storage bytes (updated when /metrics is scraped)
+ * - Open streaming transcription sessions
+ * - Result cache lookups by operation and outcome, and the size of the cache
+ * - Default Node.js process metrics (CPU, memory, event loop, GC)
+ *
+ * @author Debarun Lahiri
+ */
+
+const client = require('prom-client');
+
+// Registry holding every metric exposed on /metrics
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register, prefix: 'stt_proxy_' });
+
+// HTTP requests handled, by route and status code
+const httpRequestsTotal = new client.Counter({
+  name: 'stt_proxy_http_requests_total',
+  help: 'Total HTTP requests handled by the proxy',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+// HTTP request latency, by route and status code
+const httpRequestDurationSeconds = new client.Histogram({
+  name: 'stt_proxy_http_request_duration_seconds',
+  help: 'HTTP request latency in seconds',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [register]
+});
+
+// Python backend call latency, by backend, operation and outcome
+const backendRequestDurationSeconds = new client.Histogram({
+  name: 'stt_proxy_backend_request_duration_seconds',
+  help: 'Python backend request latency in seconds',
+  labelNames: ['backend', 'operation', 'outcome'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [register]
+});
+
+// Python backend call errors, by backend, operation and error type
+const backendErrorsTotal = new client.Counter({
+  name: 'stt_proxy_backend_errors_total',
+  help: 'Total failed Python backend requests',
+  labelNames: ['backend', 'operation', 'type'],
+  registers: [register]
+});
+
+// Transcriptions waiting for a free backend slot, by tier
+const backendQueueSize = new client.Gauge({
+  name: 'stt_proxy_backend_queue_size',
+  help: 'Number of transcriptions waiting for a free backend slot',
+  labelNames: ['tier'],
+  registers: [register]
+});
+
+// Time transcriptions waited for a backend slot, by tier
+const backendQueueWaitSeconds = new client.Histogram({
+  name: 'stt_proxy_backend_queue_wait_seconds',
+  help: 'Time transcriptions waited for a free backend slot in seconds',
+  labelNames: ['tier'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [register]
+});
+
+// Transcriptions rejected by the backend queue, by reason (full, timeout)
+const backendQueueRejectedTotal = new client.Counter({
+  name: 'stt_proxy_backend_queue_rejected_total',
+  help: 'Total transcriptions rejected because the backend queue was full or the wait timed out',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+// Size of uploaded audio files
+const uploadSizeBytes = new client.Histogram({
+  name: 'stt_proxy_upload_size_bytes',
+  help: 'Size of uploaded audio files in bytes',
+  buckets: [16384, 65536, 262144, 1048576, 4194304, 16777216, 67108864, 268435456],
+  registers: [register]
+});
+
+// Duration of transcribed audio, as reported by the backend
+const audioDurationSeconds = new client.Histogram({
+  name: 'stt_proxy_audio_duration_seconds',
+  help: 'Duration of transcribed audio in seconds',
+  buckets: [1, 5, 10, 30, 60, 120, 300, 600, 1800, 3600],
+  registers: [register]
+});
+
+// Real-time factor of transcriptions (processing time / audio duration)
+const realTimeFactor = new client.Histogram({
+  name: 'stt_proxy_transcription_real_time_factor',
+  help: 'Real-time factor of transcriptions reported by the backend',
+  buckets: [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 5],
+  registers: [register]
+});
+
+// Number of saved recordings
+const recordingsTotal = new client.Gauge({
+  name: 'stt_proxy_recordings',
+  help: 'Number of saved recordings',
+  registers: [register]
+});
+
+// Bytes used by saved recordings
+const recordingsStorageBytes = new client.Gauge({
+  name: 'stt_proxy_recordings_storage_bytes',
+  help: 'Total size of saved recordings in bytes',
+  registers: [register]
+});
+
+// Open WebSocket streaming transcription sessions
+const activeStreams = new client.Gauge({
+  name: 'stt_proxy_active_streams',
+  help: 'Number of open streaming transcription sessions',
+  registers: [register]
+});
+
+// Result cache lookups, by operation and outcome (hit, miss, bypass)
+const cacheRequestsTotal = new client.Counter({
+  name: 'stt_proxy_cache_requests_total',
+  help: 'Total result cache lookups',
+  labelNames: ['operation', 'status'],
+  registers: [register]
+});
+
+// Bytes held by the result cache
+const cacheSizeBytes = new client.Gauge({
+  name: 'stt_proxy_cache_size_bytes',
+  help: 'Approximate size of the cached results in bytes',
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  httpRequestsTotal,
+  httpRequestDurationSeconds,
+  backendRequestDurationSeconds,
+  backendErrorsTotal,
+  backendQueueSize,
+  backendQueueWaitSeconds,
+  backendQueueRejectedTotal,
+  uploadSizeBytes,
+  audioDurationSeconds,
+  realTimeFactor,
+  recordingsTotal,
+  recordingsStorageBytes,
+  activeStreams,
+  cacheRequestsTotal,
+  cacheSizeBytes
+};
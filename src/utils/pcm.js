@@ -0,0 +1,64 @@
+/**
+ * PCM Utility
+ *
+ * This module works with raw 16-bit little-endian mono PCM audio, the format
+ * streamed to the WebSocket transcription endpoint:
+ * - Measuring the loudness (RMS level) of a frame for voice activity detection
+ * - Wrapping PCM samples in a WAV container for the Python backend and for
+ *   saved recordings
+ *
+ * @author Debarun Lahiri
+ */
+
+// Size of a WAV header with a single fmt and data chunk
+const WAV_HEADER_BYTES = 44;
+
+/**
+ * Get the RMS level of 16-bit PCM samples
+ *
+ * @param {Buffer} pcm - 16-bit little-endian PCM samples (an odd trailing byte is ignored)
+ * @returns {number} Root mean square of the sample values (0-32768)
+ */
+const rmsLevel = (pcm) => {
+  const sampleCount = Math.floor(pcm.length / 2);
+  if (sampleCount === 0) {
+    return 0;
+  }
+
+  let sumOfSquares = 0;
+  for (let offset = 0; offset < sampleCount * 2; offset += 2) {
+    const sample = pcm.readInt16LE(offset);
+    sumOfSquares += sample * sample;
+  }
+  return Math.sqrt(sumOfSquares / sampleCount);
+};
+
+/**
+ * Wrap 16-bit mono PCM samples in a WAV container
+ *
+ * @param {Buffer} pcm - 16-bit little-endian mono PCM samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Buffer} WAV file
+ */
+const toWav = (pcm, sampleRate) => {
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(WAV_HEADER_BYTES - 8 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  header.writeUInt16LE(2, 32); // Block align
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+};
+
+module.exports = {
+  rmsLevel,
+  toWav
+};
@@ -0,0 +1,91 @@
+/**
+ * Request Context Utility
+ *
+ * This module keeps per-request context in AsyncLocalStorage, so code that does
+ * not receive the Express request object, such as services and the logger, can
+ * still find out which request it runs for. The context holds:
+ * - requestId: ID of the request
+ * - backendTimeMs: time spent waiting for the Python backend so far
+ * - cacheStatus: outcome of the last result cache lookup (HIT, MISS or BYPASS)
+ *
+ * Callbacks invoked from stream events (e.g. multer) may run outside the
+ * context; bind them with AsyncResource.bind() to keep it.
+ *
+ * @author Debarun Lahiri
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Storage for the context of the request currently being handled
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the given request ID as context
+ *
+ * @param {string} requestId - Request ID
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const runWithRequestId = (requestId, fn) => storage.run({ requestId, backendTimeMs: 0, cacheStatus: null }, fn);
+
+/**
+ * Get the context of the request currently being handled
+ *
+ * @returns {Object|null} Request context or null outside of a request
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * Get the ID of the request currently being handled
+ *
+ * @returns {string|null} Request ID or null outside of a request
+ */
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+};
+
+/**
+ * Add time spent waiting for the Python backend to the current request
+ *
+ * @param {number} ms - Elapsed time in milliseconds
+ * @returns {void}
+ */
+const addBackendTime = (ms) => {
+  const context = storage.getStore();
+  if (context) {
+    context.backendTimeMs += ms;
+  }
+};
+
+/**
+ * Record the outcome of a result cache lookup for the current request
+ *
+ * @param {string} status - HIT, MISS or BYPASS
+ * @returns {void}
+ */
+const setCacheStatus = (status) => {
+  const context = storage.getStore();
+  if (context) {
+    context.cacheStatus = status;
+  }
+};
+
+/**
+ * Get the outcome of the last result cache lookup of the current request
+ *
+ * @returns {string|null} HIT, MISS, BYPASS or null if the cache was not used
+ */
+const getCacheStatus = () => {
+  const context = storage.getStore();
+  return context ? context.cacheStatus : null;
+};
+
+module.exports = {
+  runWithRequestId,
+  getContext,
+  getRequestId,
+  addBackendTime,
+  setCacheStatus,
+  getCacheStatus
+};
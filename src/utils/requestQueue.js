@@ -0,0 +1,163 @@
+/**
+ * Request Queue
+ *
+ * This module implements the queue in which transcriptions wait for a free
+ * backend slot when every backend is at its concurrency limit. The queue has
+ * one FIFO lane per priority tier (e.g. premium, standard); requests are only
+ * taken from a lane once every higher-priority lane is empty. Requests with no
+ * tier or an unknown tier wait in the last, lowest-priority lane.
+ *
+ * @author Debarun Lahiri
+ */
+
+/**
+ * RequestQueue Class
+ *
+ * Bounded priority queue of waiting requests, one FIFO lane per tier.
+ */
+class RequestQueue {
+  /**
+   * Initialize RequestQueue
+   *
+   * @param {Array<string>} tiers - Tier names, highest priority first
+   * @param {number} maxSize - Maximum number of waiting requests across all lanes
+   */
+  constructor(tiers, maxSize) {
+    this.tiers = tiers.length > 0 ? tiers : ['default'];
+    this.maxSize = maxSize;
+    this.lanes = new Map(this.tiers.map(tier => [tier, []]));
+    this.size = 0;
+  }
+
+  /**
+   * Get the lane a tier waits in
+   *
+   * @param {string|null} tier - Tier name
+   * @returns {string} The tier if known, otherwise the lowest-priority tier
+   */
+  resolveTier(tier) {
+    return this.lanes.has(tier) ? tier : this.tiers[this.tiers.length - 1];
+  }
+
+  /**
+   * Check whether the queue has reached its maximum size
+   *
+   * @returns {boolean} True if no more requests may wait
+   */
+  isFull() {
+    return this.size >= this.maxSize;
+  }
+
+  /**
+   * Add a request to the end of its tier's lane
+   *
+   * The returned entry's promise settles when the entry is resolved or
+   * rejected by the caller that takes it from the queue.
+   *
+   * @param {string|null} tier - Tier of the request
+   * @returns {Object} Queue entry with tier, enqueuedAt, promise, resolve and reject
+   */
+  push(tier) {
+    const entry = { tier: this.resolveTier(tier), enqueuedAt: Date.now() };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.lanes.get(entry.tier).push(entry);
+    this.size++;
+    return entry;
+  }
+
+  /**
+   * Take the next request from the highest-priority lane that isn't empty
+   *
+   * @returns {Object|null} Queue entry or null if the queue is empty
+   */
+  shift() {
+    for (const lane of this.lanes.values()) {
+      if (lane.length > 0) {
+        this.size--;
+        return lane.shift();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remove a request that stopped waiting (e.g. it timed out)
+   *
+   * @param {Object} entry - Queue entry
+   * @returns {boolean} True if the entry was still waiting
+   */
+  remove(entry) {
+    const lane = this.lanes.get(entry.tier);
+    const index = lane.indexOf(entry);
+    if (index === -1) {
+      return false;
+    }
+
+    lane.splice(index, 1);
+    this.size--;
+    return true;
+  }
+
+  /**
+   * Count the requests waiting in the lanes up to a tier
+   *
+   * @param {string} tier - Resolved tier name
+   * @param {boolean} inclusive - Whether to count the tier's own lane
+   * @returns {number} Number of waiting requests
+   */
+  countWaiting(tier, inclusive) {
+    let count = 0;
+    for (const [name, lane] of this.lanes) {
+      if (name === tier && !inclusive) {
+        break;
+      }
+      count += lane.length;
+      if (name === tier) {
+        break;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Get the position of a waiting request
+   *
+   * Positions can grow while a request waits, when requests of a higher tier arrive.
+   *
+   * @param {Object} entry - Queue entry
+   * @returns {number} Position starting at 1, or 0 if the request no longer waits
+   */
+  getPosition(entry) {
+    const index = this.lanes.get(entry.tier).indexOf(entry);
+    return index === -1 ? 0 : this.countWaiting(entry.tier, false) + index + 1;
+  }
+
+  /**
+   * Get the position a new request of a tier would get
+   *
+   * @param {string|null} tier - Tier of the request
+   * @returns {number} Position starting at 1
+   */
+  getNextPosition(tier) {
+    return this.countWaiting(this.resolveTier(tier), true) + 1;
+  }
+
+  /**
+   * Get the number of waiting requests per tier
+   *
+   * @returns {Object} Tier name -> number of waiting requests
+   */
+  getCounts() {
+    const counts = {};
+    for (const [tier, lane] of this.lanes) {
+      counts[tier] = lane.length;
+    }
+    return counts;
+  }
+}
+
+module.exports = RequestQueue;
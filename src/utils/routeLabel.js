@@ -0,0 +1,29 @@
+/**
+ * Route Label Utility
+ *
+ * This module derives a stable label for the route that handled a request, used
+ * by the metrics and access log middleware. Routed requests are labelled with
+ * their route pattern (e.g. /recordings/:filename) rather than the raw path, so
+ * label cardinality stays bounded.
+ *
+ * @author Debarun Lahiri
+ */
+
+/**
+ * Get the route label for a finished request
+ *
+ * Routed requests use their route pattern. Every other request (404s, and
+ * errors such as malformed bodies or failed authentication on unknown paths)
+ * shares a single label, so clients can't create new label values.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} Route label
+ */
+const getRouteLabel = (req) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return 'unmatched';
+};
+
+module.exports = getRouteLabel;
@@ -0,0 +1,335 @@
+/**
+ * Subtitles Utility
+ *
+ * This module renders a transcription (as returned by the Python backend or
+ * stored with a recording) in the export formats offered by the API:
+ * - srt: SubRip subtitles
+ * - vtt: WebVTT subtitles (speakers as <v> voice spans)
+ * - txt: Plain text, one segment per line
+ * - tsv: Tab-separated start/end times in milliseconds, speaker and text
+ * - json: The transcription object itself
+ *
+ * Subtitle cues follow the transcription segments. Segments longer than the
+ * maximum characters per cue are split, at word timestamps when the backend
+ * returned them and otherwise at word boundaries with times interpolated by
+ * character count. Cue text is wrapped at the maximum line length. Speaker
+ * labels are included whenever the segments carry one (diarization enabled).
+ *
+ * @author Debarun Lahiri
+ */
+
+// Content type of each export format
+const FORMATS = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// Subtitle layout defaults: two lines of 42 characters per cue
+const DEFAULT_MAX_LINE_LENGTH = 42;
+const DEFAULT_MAX_CHARS_PER_CUE = 84;
+
+/**
+ * Check whether a format name is a supported export format
+ *
+ * @param {string} format - Format name
+ * @returns {boolean} True for srt, vtt, txt, tsv and json
+ */
+const isSupportedFormat = (format) => Object.prototype.hasOwnProperty.call(FORMATS, format);
+
+/**
+ * Get the content type of an export format
+ *
+ * @param {string} format - Format name
+ * @returns {string} Content type with charset
+ */
+const getContentType = (format) => FORMATS[format];
+
+/**
+ * Parse the subtitle layout options from a query string object
+ *
+ * - max_line_length: Maximum characters per subtitle line (0 disables wrapping)
+ * - max_chars_per_cue: Maximum characters per subtitle cue (0 disables splitting)
+ *
+ * @param {Object} query - Parsed query string (e.g., req.query)
+ * @returns {Object} maxLineLength and maxCharsPerCue, or an error message
+ */
+const parseOptions = (query) => {
+  const options = {
+    maxLineLength: DEFAULT_MAX_LINE_LENGTH,
+    maxCharsPerCue: DEFAULT_MAX_CHARS_PER_CUE
+  };
+
+  for (const [name, option] of [['max_line_length', 'maxLineLength'], ['max_chars_per_cue', 'maxCharsPerCue']]) {
+    if (query[name] === undefined) {
+      continue;
+    }
+
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${name} must be a non-negative integer` };
+    }
+    options[option] = value;
+  }
+
+  return options;
+};
+
+/**
+ * Get the text of a word timestamp entry
+ *
+ * @param {Object} word - Word entry from the backend
+ * @returns {string} Word text without surrounding whitespace
+ */
+const getWordText = (word) => String(word.word ?? word.text ?? '').trim();
+
+/**
+ * Get the speaker label of a segment
+ *
+ * @param {Object} segment - Transcription segment
+ * @returns {string|null} Speaker label or null without diarization
+ */
+const getSpeaker = (segment) => (segment.speaker !== null && segment.speaker !== undefined ? String(segment.speaker) : null);
+
+/**
+ * Group words greedily so each group's text stays within a character limit
+ *
+ * A single word longer than the limit forms its own group.
+ *
+ * @param {Array} items - Items to group
+ * @param {Function} getText - Returns the text of an item
+ * @param {number} maxChars - Maximum characters per group (words joined by spaces)
+ * @returns {Array<Array>} Groups of items
+ */
+const groupWords = (items, getText, maxChars) => {
+  const groups = [];
+  let current = [];
+  let length = 0;
+
+  for (const item of items) {
+    const textLength = getText(item).length;
+    if (current.length > 0 && length + 1 + textLength > maxChars) {
+      groups.push(current);
+      current = [];
+      length = 0;
+    }
+    length += (current.length > 0 ? 1 : 0) + textLength;
+    current.push(item);
+  }
+
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  return groups;
+};
+
+/**
+ * Split one segment into cues of at most maxCharsPerCue characters
+ *
+ * @param {Object} segment - Transcription segment
+ * @param {number} maxCharsPerCue - Maximum characters per cue (0 disables splitting)
+ * @returns {Array<Object>} Cues with start, end, speaker and text
+ */
+const splitSegment = (segment, maxCharsPerCue) => {
+  const text = String(segment.text || '').trim();
+  const start = Number(segment.start) || 0;
+  const end = Math.max(Number(segment.end) || 0, start);
+  const speaker = getSpeaker(segment);
+
+  if (!text) {
+    return [];
+  }
+  if (!maxCharsPerCue || text.length <= maxCharsPerCue) {
+    return [{ start, end, speaker, text }];
+  }
+
+  // Prefer the backend's word timestamps for the cue boundaries
+  const words = Array.isArray(segment.words)
+    ? segment.words.filter(word => getWordText(word) && typeof word.start === 'number' && typeof word.end === 'number')
+    : [];
+
+  if (words.length > 0) {
+    return groupWords(words, getWordText, maxCharsPerCue).map(group => ({
+      start: group[0].start,
+      end: group[group.length - 1].end,
+      speaker,
+      text: group.map(getWordText).join(' ')
+    }));
+  }
+
+  // Otherwise share the segment's time between cues by character count
+  const groups = groupWords(text.split(/\s+/), word => word, maxCharsPerCue).map(group => group.join(' '));
+  const totalChars = groups.reduce((total, group) => total + group.length, 0);
+  let charsBefore = 0;
+
+  return groups.map(group => {
+    const cue = {
+      start: start + (end - start) * (charsBefore / totalChars),
+      end: start + (end - start) * ((charsBefore + group.length) / totalChars),
+      speaker,
+      text: group
+    };
+    charsBefore += group.length;
+    return cue;
+  });
+};
+
+/**
+ * Build subtitle cues from the segments of a transcription
+ *
+ * Falls back to a single cue with the full text when there are no segments.
+ *
+ * @param {Object} transcription - Transcription with text and segments
+ * @param {number} maxCharsPerCue - Maximum characters per cue (0 disables splitting)
+ * @returns {Array<Object>} Cues with start, end, speaker and text
+ */
+const buildCues = (transcription, maxCharsPerCue) => {
+  const segments = Array.isArray(transcription.segments) && transcription.segments.length > 0
+    ? transcription.segments
+    : [{ start: 0, end: transcription.audio_duration_sec || 0, text: transcription.text }];
+
+  return segments.flatMap(segment => splitSegment(segment, maxCharsPerCue));
+};
+
+/**
+ * Wrap text into lines of at most maxLineLength characters
+ *
+ * @param {string} text - Text to wrap
+ * @param {number} maxLineLength - Maximum characters per line (0 disables wrapping)
+ * @returns {string} Wrapped text with newline separators
+ */
+const wrapText = (text, maxLineLength) => {
+  if (!maxLineLength || text.length <= maxLineLength) {
+    return text;
+  }
+  return groupWords(text.split(/\s+/), word => word, maxLineLength).map(line => line.join(' ')).join('\n');
+};
+
+/**
+ * Format seconds as a subtitle timestamp (HH:MM:SS,mmm or HH:MM:SS.mmm)
+ *
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Separator before the milliseconds
+ * @returns {string} Formatted timestamp
+ */
+const formatTimestamp = (seconds, separator) => {
+  const totalMs = Math.max(Math.round(seconds * 1000), 0);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * Escape text for a WebVTT cue payload
+ *
+ * @param {string} text - Cue text
+ * @returns {string} Text with &, < and > escaped
+ */
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Render cues as SubRip subtitles
+ *
+ * @param {Array<Object>} cues - Subtitle cues
+ * @param {number} maxLineLength - Maximum characters per line
+ * @returns {string} SRT content
+ */
+const renderSrt = (cues, maxLineLength) => cues.map((cue, index) => {
+  const text = wrapText(cue.text, maxLineLength);
+  return `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n` +
+    `${cue.speaker ? `[${cue.speaker}] ` : ''}${text}\n`;
+}).join('\n');
+
+/**
+ * Render cues as WebVTT subtitles
+ *
+ * @param {Array<Object>} cues - Subtitle cues
+ * @param {number} maxLineLength - Maximum characters per line
+ * @returns {string} VTT content
+ */
+const renderVtt = (cues, maxLineLength) => `WEBVTT\n\n${cues.map(cue => {
+  const text = escapeVtt(wrapText(cue.text, maxLineLength));
+  return `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n` +
+    `${cue.speaker ? `<v ${escapeVtt(cue.speaker)}>` : ''}${text}\n`;
+}).join('\n')}`;
+
+/**
+ * Render segments as plain text, one segment per line
+ *
+ * Consecutive segments of the same speaker are joined on one line prefixed
+ * with the speaker label.
+ *
+ * @param {Object} transcription - Transcription with text and segments
+ * @returns {string} Text content
+ */
+const renderTxt = (transcription) => {
+  const cues = buildCues(transcription, 0);
+  if (!cues.some(cue => cue.speaker)) {
+    return `${cues.map(cue => cue.text).join('\n')}\n`;
+  }
+
+  const lines = [];
+  for (const cue of cues) {
+    const last = lines[lines.length - 1];
+    if (last && last.speaker === cue.speaker) {
+      last.text += ` ${cue.text}`;
+    } else {
+      lines.push({ speaker: cue.speaker, text: cue.text });
+    }
+  }
+  return `${lines.map(line => (line.speaker ? `${line.speaker}: ${line.text}` : line.text)).join('\n')}\n`;
+};
+
+/**
+ * Render segments as tab-separated values
+ *
+ * @param {Object} transcription - Transcription with text and segments
+ * @returns {string} TSV content with a header row
+ */
+const renderTsv = (transcription) => {
+  const clean = text => String(text).replace(/[\t\r\n]+/g, ' ');
+  const rows = buildCues(transcription, 0).map(cue =>
+    [Math.round(cue.start * 1000), Math.round(cue.end * 1000), clean(cue.speaker || ''), clean(cue.text)].join('\t'));
+  return `start\tend\tspeaker\ttext\n${rows.map(row => `${row}\n`).join('')}`;
+};
+
+/**
+ * Render a transcription in an export format
+ *
+ * @param {Object} transcription - Transcription with text, segments (start, end, text, speaker, words) and language
+ * @param {string} format - Export format (srt, vtt, txt, tsv or json)
+ * @param {Object} options - Subtitle layout options (see parseOptions), used by srt and vtt
+ * @returns {string} Rendered content
+ * @throws {Error} If the format is not supported
+ */
+const render = (transcription, format, options = {}) => {
+  const maxLineLength = options.maxLineLength ?? DEFAULT_MAX_LINE_LENGTH;
+  const maxCharsPerCue = options.maxCharsPerCue ?? DEFAULT_MAX_CHARS_PER_CUE;
+
+  switch (format) {
+    case 'srt':
+      return renderSrt(buildCues(transcription, maxCharsPerCue), maxLineLength);
+    case 'vtt':
+      return renderVtt(buildCues(transcription, maxCharsPerCue), maxLineLength);
+    case 'txt':
+      return renderTxt(transcription);
+    case 'tsv':
+      return renderTsv(transcription);
+    case 'json':
+      return JSON.stringify(transcription, null, 2);
+    default:
+      throw new Error(`Unsupported transcript format '${format}'`);
+  }
+};
+
+module.exports = {
+  isSupportedFormat,
+  getContentType,
+  parseOptions,
+  render
+};
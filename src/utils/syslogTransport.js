@@ -0,0 +1,128 @@
+/**
+ * Syslog Transport
+ *
+ * A Winston transport that sends log entries over UDP to a syslog collector
+ * (for example a local rsyslog, syslog-ng or Vector agent). Messages use the
+ * RFC 5424 format with the JSON-encoded log entry as the message body:
+ *
+ *   <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID - - {"level":"info",...}
+ *
+ * UDP delivery is fire-and-forget: send errors are reported once on stderr and
+ * never block or fail logging.
+ *
+ * @author Debarun Lahiri
+ */
+
+const dgram = require('dgram');
+const os = require('os');
+const winston = require('winston');
+
+// Syslog facility codes by name
+const FACILITIES = {
+  user: 1,
+  daemon: 3,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23
+};
+
+// Syslog severity codes for Winston's npm log levels
+const SEVERITIES = {
+  error: 3,
+  warn: 4,
+  info: 6,
+  http: 6,
+  verbose: 7,
+  debug: 7,
+  silly: 7
+};
+
+/**
+ * SyslogTransport Class
+ *
+ * Sends each log entry as a single UDP datagram.
+ */
+class SyslogTransport extends winston.Transport {
+  /**
+   * Initialize SyslogTransport
+   *
+   * @param {Object} options - Transport options (plus standard Winston transport options)
+   * @param {string} options.host - Collector host
+   * @param {number} options.port - Collector UDP port
+   * @param {string} options.appName - APP-NAME field of each message
+   * @param {string} options.facility - Facility name (user, daemon, local0-local7)
+   */
+  constructor({ host, port, appName, facility, ...options }) {
+    super(options);
+
+    if (!(facility in FACILITIES)) {
+      throw new Error(`Unknown syslog facility '${facility}'`);
+    }
+
+    this.host = host;
+    this.port = port;
+    this.appName = appName;
+    this.facility = FACILITIES[facility];
+    this.hostname = os.hostname();
+    this.reportedError = false;
+
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('error', error => this.reportError(error));
+    this.socket.unref();
+  }
+
+  /**
+   * Send a log entry
+   *
+   * @param {Object} info - Winston log entry
+   * @param {Function} callback - Called once the entry has been handed off
+   * @returns {void}
+   */
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+
+    const severity = SEVERITIES[info.level] !== undefined ? SEVERITIES[info.level] : 6;
+    const priority = this.facility * 8 + severity;
+    const header = `<${priority}>1 ${new Date().toISOString()} ${this.hostname} ${this.appName} ${process.pid} - -`;
+    const message = Buffer.from(`${header} ${JSON.stringify(info)}`);
+
+    this.socket.send(message, this.port, this.host, (error) => {
+      if (error) {
+        this.reportError(error);
+      }
+    });
+
+    callback();
+  }
+
+  /**
+   * Report a delivery problem once
+   *
+   * Written to stderr because logging through Winston could loop back here.
+   *
+   * @param {Error} error - Socket or send error
+   * @returns {void}
+   */
+  reportError(error) {
+    if (!this.reportedError) {
+      this.reportedError = true;
+      process.stderr.write(`Syslog transport error (${this.host}:${this.port}): ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Close the UDP socket
+   *
+   * @returns {void}
+   */
+  close() {
+    this.socket.close();
+  }
+}
+
+module.exports = SyslogTransport;